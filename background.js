@@ -0,0 +1,207 @@
+// background.js - Service worker keeping the global search index, opening search hits,
+// notifying about finished answers and running the content script on self-hosted chat sites
+
+importScripts('search.js', 'search-index.js');
+
+const PENDING_NAVIGATION_PREFIX = 'ai-nav:pending:';
+const SELF_HOSTED_SCRIPT_ID = 'ai-nav-self-hosted';
+const GENERATION_NOTIFICATION_PREFIX = 'ai-nav-generation:'; // Followed by the tab ID, so a click can focus the tab
+const CONVERSATION_STORAGE_PREFIX = 'ai-nav:conv:'; // Keys of the conversation records in chrome.storage.local (see storage.js)
+
+const conversationIndex = new ConversationIndex();
+
+/**
+ * Opens a conversation from a search hit and remembers which turn to scroll to,
+ * so the content script in the new tab can pick it up once the chat has loaded
+ * @param {string} url - Conversation URL
+ * @param {Object} turn - { itemKey, role, turnIndex, text } of the hit
+ */
+async function openSearchHit(url, turn) {
+    const tab = await chrome.tabs.create({ url });
+    // Session storage survives the service worker being stopped while the tab loads
+    await chrome.storage.session.set({ [`${PENDING_NAVIGATION_PREFIX}${tab.id}`]: turn });
+}
+
+/**
+ * Returns and forgets the turn a tab was opened to show
+ * @param {number} tabId - The tab
+ * @returns {Promise<Object|null>} The turn, or null
+ */
+async function takePendingNavigation(tabId) {
+    const key = `${PENDING_NAVIGATION_PREFIX}${tabId}`;
+    const stored = await chrome.storage.session.get(key);
+    if (!stored[key]) return null;
+
+    await chrome.storage.session.remove(key);
+    return stored[key];
+}
+
+/**
+ * Shows a desktop notification for an answer that finished in a background tab,
+ * replacing the previous one for the same tab
+ * @param {Object} tab - The tab the answer finished in
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ */
+async function notifyGenerationComplete(tab, title, message) {
+    await chrome.notifications.create(`${GENERATION_NOTIFICATION_PREFIX}${tab.id}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('images/icon128.png'),
+        title,
+        message
+    });
+}
+
+/**
+ * Answers messages from content scripts and the global search page
+ * @param {Object} message - The message
+ * @param {Object} sender - The sender
+ * @param {Function} sendResponse - Callback for the response
+ * @returns {boolean|undefined} True when the response is sent asynchronously
+ */
+function handleBackgroundMessage(message, sender, sendResponse) {
+    // Messages for the service worker use their own prefix, so the content script running
+    // on the viewer page (which also receives runtime messages) never answers them
+    if (!message || typeof message.type !== 'string' || !message.type.startsWith('ai-nav-background:')) return;
+
+    let result;
+    switch (message.type) {
+        case 'ai-nav-background:indexConversation':
+            result = conversationIndex.indexConversation(message.conversation, message.turns, message.removedItemKeys);
+            break;
+
+        case 'ai-nav-background:openSearchHit':
+            result = openSearchHit(message.url, message.turn);
+            break;
+
+        case 'ai-nav-background:takePendingNavigation':
+            result = sender.tab ? takePendingNavigation(sender.tab.id) : Promise.resolve(null);
+            break;
+
+        case 'ai-nav-background:notifyGenerationComplete':
+            result = sender.tab ? notifyGenerationComplete(sender.tab, message.title, message.message) : Promise.resolve();
+            break;
+
+        default:
+            sendResponse({ error: `Unknown message type: ${message.type}` });
+            return;
+    }
+
+    result
+        .then(value => sendResponse({ ok: true, value }))
+        .catch(error => {
+            console.error(`AI Navigator: ${message.type} failed:`, error);
+            sendResponse({ error: error.message });
+        });
+    return true;
+}
+
+chrome.runtime.onMessage.addListener(handleBackgroundMessage);
+
+// Pending scrolls for tabs that were closed before their chat loaded
+chrome.tabs.onRemoved.addListener(tabId => {
+    chrome.storage.session.remove(`${PENDING_NAVIGATION_PREFIX}${tabId}`);
+    chrome.notifications.clear(`${GENERATION_NOTIFICATION_PREFIX}${tabId}`);
+});
+
+// Conversations whose stored state was evicted, by any tab, leave the search index with it
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    const removedKeys = Object.keys(changes)
+        .filter(key => key.startsWith(CONVERSATION_STORAGE_PREFIX) && changes[key].newValue === undefined);
+    if (removedKeys.length === 0) return;
+
+    conversationIndex.removeConversations(removedKeys)
+        .then(() => console.log(`AI Navigator: Removed ${removedKeys.length} evicted conversations from the search index`))
+        .catch(error => console.error('AI Navigator: Could not remove evicted conversations from the search index:', error));
+});
+
+// Clicking a finished-answer notification brings its tab to the front
+chrome.notifications.onClicked.addListener(async notificationId => {
+    if (!notificationId.startsWith(GENERATION_NOTIFICATION_PREFIX)) return;
+    chrome.notifications.clear(notificationId);
+
+    const tabId = Number(notificationId.slice(GENERATION_NOTIFICATION_PREFIX.length));
+    try {
+        const tab = await chrome.tabs.update(tabId, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+    } catch (error) {
+        console.warn(`AI Navigator: Could not switch to tab ${tabId}:`, error);
+    }
+});
+
+// --- Self-Hosted Chats ---
+
+/**
+ * Gets the sites the user granted access to on the options page
+ * @returns {Promise<Array<string>>} Match patterns of the granted sites
+ */
+async function getSelfHostedOrigins() {
+    const builtInMatches = chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches);
+    const { origins = [] } = await chrome.permissions.getAll();
+    return origins.filter(origin => !builtInMatches.includes(origin));
+}
+
+/**
+ * Registers the content script for every granted site, replacing the previous registration
+ */
+async function syncSelfHostedContentScripts() {
+    const origins = await getSelfHostedOrigins();
+    const [contentScript] = chrome.runtime.getManifest().content_scripts;
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [SELF_HOSTED_SCRIPT_ID] });
+    if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [SELF_HOSTED_SCRIPT_ID] });
+    }
+    if (origins.length === 0) return;
+
+    await chrome.scripting.registerContentScripts([{
+        id: SELF_HOSTED_SCRIPT_ID,
+        matches: origins,
+        js: contentScript.js,
+        css: contentScript.css,
+        runAt: 'document_idle'
+    }]);
+    console.log(`AI Navigator: Content script registered for ${origins.join(', ')}`);
+}
+
+/**
+ * Starts the navigator in tabs that were already open on newly granted sites. Tabs it already runs
+ * in, e.g. when access to a site is granted again, are left alone: its scripts declare top-level
+ * constants, which throw when run a second time in the same page.
+ * @param {Array<string>} origins - Match patterns of the granted sites
+ */
+async function injectIntoOpenTabs(origins) {
+    const [contentScript] = chrome.runtime.getManifest().content_scripts;
+    const tabs = await chrome.tabs.query({ url: origins });
+    await Promise.all(tabs.map(async tab => {
+        try {
+            const [probe] = await chrome.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: () => !!window.NavigationStore
+            });
+            if (probe && probe.result) return;
+
+            await chrome.scripting.insertCSS({ target: { tabId: tab.id }, files: contentScript.css });
+            await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: contentScript.js });
+        } catch (error) {
+            console.warn(`AI Navigator: Could not start in tab ${tab.id}:`, error);
+        }
+    }));
+}
+
+chrome.permissions.onAdded.addListener(permissions => {
+    syncSelfHostedContentScripts().catch(error => console.error('AI Navigator: Could not register content scripts:', error));
+    if (permissions.origins && permissions.origins.length > 0) {
+        injectIntoOpenTabs(permissions.origins);
+    }
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+    syncSelfHostedContentScripts().catch(error => console.error('AI Navigator: Could not register content scripts:', error));
+});
+
+// Registrations survive restarts, but the script list may have changed with an update
+chrome.runtime.onInstalled.addListener(() => {
+    syncSelfHostedContentScripts().catch(error => console.error('AI Navigator: Could not register content scripts:', error));
+});
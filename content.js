@@ -1,8 +1,19 @@
 // content.js
 
 // --- Configuration ---
-const MAX_SUMMARY_WORDS = 10; // Max words for the summary in the nav bar
-const OBSERVER_DEBOUNCE_TIME = 1000; // Milliseconds to wait after DOM changes before updating nav
+// Effective settings for the current provider, loaded from the options page (see settings.js).
+// maxSummaryWords: max words for the summary in the nav bar
+// observerDebounceTime: milliseconds to wait after DOM changes before updating nav
+let navSettings = SettingsStore.getDefaults();
+const SEARCH_INDEX_DEBOUNCE_TIME = 2000; // Milliseconds to wait for streaming responses to settle before indexing
+const PENDING_NAVIGATION_TIMEOUT = 30000; // Milliseconds to wait for a turn opened from the global search to load
+const PROVIDER_DETECT_INTERVAL = 1000; // Milliseconds between checks for a self-hosted chat's markup
+const PROVIDER_DETECT_ATTEMPTS = 30; // Checks before deciding the page is not a chat
+const SELECTOR_HEALTH_GRACE_PERIOD = 5000; // Milliseconds questions must stay missing before the sidebar reports broken selectors
+const MAX_TURN_VERSIONS = 10; // Other versions of an edited question or regenerated response remembered per turn
+const OBSERVER_MAX_DELAYS = 2; // A chat that keeps changing, like a streaming response, is scanned at least once per this many update delays
+const STREAMING_CHECK_INTERVAL = 1000; // Milliseconds between checks whether a streaming response has finished
+const STREAMING_IDLE_TIME = 3000; // On sites without a streaming signal, milliseconds a response's text must stay unchanged to count as finished
 
 // --- State ---
 let navBar;
@@ -13,19 +24,79 @@ let lastProcessedQueryId = -1;
 let lastProcessedResponseId = -1;
 let observerTimeout;
 let currentProvider; // Current AI provider instance
+let providerConfigs = []; // User-defined provider configs from the options page (see provider-configs.js)
 let sessionQueries = []; // Persistent storage for queries in current session
+let navigationStore; // Per-conversation persistence layer (see storage.js)
+let conversationRecord = null; // Stored record for the conversation sessionQueries belongs to
+let sessionConversationKey = null; // Storage key of the conversation currently loaded
+let activeItemKey = null; // Key of the last clicked nav item, restored across reloads
+let pinnedTurns = []; // Pins for the loaded conversation, matched to queries by turn identity
+let turnNotes = []; // Private notes for the loaded conversation, matched to queries by turn identity
+let noteEditorState = null; // { itemKey, draft } of the open note editor, kept across rebuilds
 let isLoading = false; // Loading state for data refresh
 let currentUrl = window.location.href; // Track current URL for change detection
 let currentNavigationIndex = -1; // Track currently highlighted nav item for keyboard navigation
 let keyboardNavigationActive = false; // Track if keyboard navigation is active
+let navViewMode = 'both'; // Which nav items to show: 'queries', 'responses' or 'both'
+let expandedOutlines = new Set(); // Keys of response nav items whose heading outline is expanded
+let expandedVersionLists = new Set(); // Keys of nav items whose list of other versions is expanded
+let navTab = 'chat'; // Sidebar tab: 'chat' for the conversation, 'code' for the code block index, 'diagnostics' for selector health
+let codeBlockEntries = new Map(); // <pre> element -> its entry in the Code tab, updated incrementally
+let codeBlockTurns = new Map(); // Session query -> { response, preElements } its code blocks were last read from
+
+// --- Turn Tracking State ---
+let trackedTurns = new Map(); // Query or response element -> { type, text, queryData, wrapsQuery } as last read from the page
+let chatObserver = null; // MutationObserver watching the chat container
+let changedTurnNodes = new Set(); // Nodes the MutationObserver saw change since the last scan; turns around them are read again
+let renderedTurns = new Map(); // Session query -> { query, response } elements the last scan found it at
+let navItemsByKey = new Map(); // Item key -> { navItem, queryData, type, target, text, turnNumber, versionsKey, statusKey, summaryWords } as last rendered
+let placeholderElements = new Map(); // Item key -> placeholder element of a turn outside a virtualized list
+let observerPendingSince = null; // Time of the first change the next scan is waiting to read, null when none is waiting
+let scanChangesSince = null; // Time of the first change the running scan reads, while a scan started by the MutationObserver runs
+
+// --- Streaming State ---
+let streamingTurns = new Map(); // Session query -> { startedAt, lastChangeAt } while its response is being generated
+let streamingCheckTimeout = null; // Next check whether the streaming responses have finished
 
 // --- Focus Mode State ---
-let focusModeEnabled = true; // Master toggle for focus mode
+let focusModeEnabled = navSettings.focusModeEnabled; // Master toggle for focus mode
 let sidebarCollapsedByFocus = false; // Track if sidebar was auto-collapsed by focus
 let sidebarWasCollapsedManually = false; // Track manual collapse state before focus
 let focusBlurTimeout = null; // Timeout for handling blur events with delay
 let attachedInputElements = new Set(); // Track attached input listeners
 
+// --- Scroll Spy State ---
+let scrollSpyObserver = null; // IntersectionObserver tracking which turn is in view
+let scrollSpyRoot = null; // Scroll container the observer was created for (null = viewport)
+let scrollSpyTargets = new Map(); // Observed turn element -> key of its nav item
+let scrollSpyVisibleTargets = new Set(); // Observed turns currently crossing the reading band
+let scrollSpyPausedUntil = 0; // Ignore intersections until this time, while a click scrolls the page
+
+// --- Find In Chat State ---
+let findModeEnabled = false; // Whether the search also highlights matches inside the chat
+let findMatches = []; // Ranges of the matches in the chat, in document order
+let findMatchIndex = -1; // Index of the current match in findMatches
+let findQueryText = ''; // Search the matches were found for, to restart at the first match when it changes
+let findMatchesByItem = new Map(); // Nav item -> matches inside its turn, so a patched item is searched again on its own
+let filteredSearchTerm = null; // Search the nav items were last filtered with
+let navItemSearchScores = new WeakMap(); // Nav item -> relevance score from the last time the search was applied to it
+
+// --- Global Search Index State ---
+let indexedConversationKey = null; // Conversation the search index was last updated for
+let pendingIndexItemKeys = new Set(); // Item keys of turns added or changed since the last index update
+let pendingIndexRemovedKeys = new Set(); // Item keys of turns removed since the last index update
+let indexedTitle = null; // Page title last sent to the search index
+let searchIndexTimeout = null; // Debounce for sending turns to the search index
+let pendingNavigation = null; // Turn to scroll to once it loads, when the tab was opened from the global search
+
+// --- Diagnostics State ---
+let mainContentMatch = null; // { selector, fallback } that adjustMainContentLayout found the main column with
+let observedContainer = null; // Element the MutationObserver watches
+let observerLastFiredAt = null; // Time the observer last saw a change to the chat
+let lastChatScanAt = null; // Time processChatElements last ran
+let queriesBrokenSince = null; // Time questions were first found missing, while they stay missing
+let selectorHealthTimeout = null; // Recheck at the end of the grace period
+
 // --- Loading State Management ---
 
 /**
@@ -40,6 +111,7 @@ function showLoadingState() {
     const existingNavItems = navBar.querySelectorAll('.nav-item');
     existingNavItems.forEach(item => item.remove());
     allNavItems = [];
+    navItemsByKey = new Map();
     resetNavigationIndex(); // Reset keyboard navigation when clearing items
     
     // Create loading indicator
@@ -79,8 +151,18 @@ function handleFocusModeToggle(event) {
     
     // Toggle focus mode
     toggleFocusMode(!focusModeEnabled);
+    updateFocusModeButton();
     
-    // Update button visual state
+    console.log(`AI Navigator: Focus mode ${focusModeEnabled ? 'enabled' : 'disabled'} by user`);
+}
+
+/**
+ * Updates the focus mode button to reflect the current focus mode state
+ */
+function updateFocusModeButton() {
+    const focusModeBtn = document.getElementById('ai-nav-focus-mode-btn');
+    if (!focusModeBtn) return;
+
     if (focusModeEnabled) {
         focusModeBtn.classList.add('active');
         focusModeBtn.title = 'Focus Mode: ON - Sidebar auto-hides when typing';
@@ -88,8 +170,6 @@ function handleFocusModeToggle(event) {
         focusModeBtn.classList.remove('active');
         focusModeBtn.title = 'Focus Mode: OFF - Click to enable auto-hide when typing';
     }
-    
-    console.log(`AI Navigator: Focus mode ${focusModeEnabled ? 'enabled' : 'disabled'} by user`);
 }
 
 /**
@@ -137,22 +217,27 @@ function handleRefreshClick(event) {
 }
 
 /**
- * Refreshes all data - clears session and reprocesses page
+ * Refreshes all data - reloads the stored session for the current conversation and reprocesses page
  */
 function refreshData() {
     console.log('AI Navigator: Refreshing data...');
     
     showLoadingState();
     
-    // Clear session data
-    sessionQueries = [];
-    
     // Reset focus mode state
     resetFocusModeState();
     
     // Process with a small delay to show loading state
-    setTimeout(() => {
+    setTimeout(async () => {
         try {
+            const previousConversationKey = sessionConversationKey;
+            sessionQueries = await loadSessionQueries();
+
+            // Restore the sidebar state that was saved for this conversation
+            if (sessionConversationKey !== previousConversationKey) {
+                setNavCollapsed(conversationRecord.collapsed);
+            }
+
             processChatElements();
             hideLoadingState();
             // Reattach focus mode listeners after refresh
@@ -161,7 +246,6 @@ function refreshData() {
         } catch (error) {
             hideLoadingState();
             console.error('AI Navigator: Error during data refresh:', error);
-            throw error; // Re-throw to be caught by handleRefreshClick
         }
     }, 500);
 }
@@ -178,7 +262,7 @@ function handleUrlChange() {
         currentUrl = newUrl;
         
         // Check if we're still on a supported provider page
-        const providerFactory = new ProviderFactory();
+        const providerFactory = new ProviderFactory(providerConfigs);
         const newProvider = providerFactory.getCurrentProvider();
         
         if (newProvider && newProvider.name === currentProvider?.name) {
@@ -237,312 +321,1937 @@ function setupPageChangeDetection() {
 // --- Session Management ---
 
 /**
- * Loads persisted queries (in-memory only, resets on page reload)
- * @returns {Array} Array of stored query objects
+ * Gets the storage key for the conversation on the current page
+ * @returns {string|null} The conversation key, or null without a provider
+ */
+function getCurrentConversationKey() {
+    if (!currentProvider) return null;
+    return NavigationStore.getConversationKey(currentProvider.name, currentProvider.getConversationId());
+}
+
+/**
+ * Loads persisted navigation state for the current conversation
+ * @returns {Promise<Array>} Array of stored query objects
  */
-function loadSessionQueries() {
-    // Return empty array - fresh start on each page load
-    return [];
+async function loadSessionQueries() {
+    if (!navigationStore) {
+        navigationStore = new NavigationStore();
+    }
+
+    conversationRecord = await navigationStore.load(
+        currentProvider.name,
+        currentProvider.getConversationId(),
+        { collapsed: navSettings.startCollapsed }
+    );
+    sessionConversationKey = getCurrentConversationKey();
+    activeItemKey = conversationRecord.activeItemKey;
+    pinnedTurns = conversationRecord.pins;
+    turnNotes = conversationRecord.notes;
+    noteEditorState = null;
+    resetTurnTracking();
+
+    console.log(`AI Navigator: Loaded ${conversationRecord.queries.length} stored queries for ${sessionConversationKey}`);
+    return conversationRecord.queries;
 }
 
 /**
- * Saves current queries (in-memory only, no persistence)
+ * Saves current queries and sidebar state for the loaded conversation
  */
 function saveSessionQueries() {
-    // No-op - we don't persist to storage to avoid stale data
-    // Data is kept in memory only during the current page session
+    if (!navigationStore || !conversationRecord) return;
+
+    conversationRecord.queries = sessionQueries;
+    conversationRecord.activeItemKey = activeItemKey;
+    conversationRecord.pins = pinnedTurns;
+    conversationRecord.notes = turnNotes;
+    if (navBar) {
+        // A collapse caused by focus mode is temporary and not the user's preference
+        conversationRecord.collapsed = navBar.classList.contains('collapsed') && !sidebarCollapsedByFocus;
+    }
+    if (getCurrentConversationKey() === sessionConversationKey) {
+        conversationRecord.url = window.location.href;
+        conversationRecord.title = document.title;
+    }
+
+    navigationStore.save(conversationRecord);
 }
 
 /**
- * Adds a new query to the session if it doesn't already exist
- * @param {Object} queryData - Query data object {id, text, element, index}
+ * Forgets which elements the session's turns were found at, so the next scan reads every turn
  */
-function addQueryToSession(queryData) {
-    // Check if query already exists (by ID or text)
-    const existingIndex = sessionQueries.findIndex(q => 
-        q.id === queryData.id || q.text === queryData.text
-    );
-    
-    if (existingIndex === -1) {
-        sessionQueries.push(queryData);
-        saveSessionQueries();
-        return true; // New query added
+function resetTurnTracking() {
+    trackedTurns = new Map();
+    changedTurnNodes = new Set();
+    renderedTurns = new Map();
+    streamingTurns = new Map();
+    clearTimeout(streamingCheckTimeout);
+    streamingCheckTimeout = null;
+}
+
+/**
+ * Remembers where the chat changed, ignoring changes to our own sidebar (when observing body, e.g. on Gemini)
+ * @param {Array<MutationRecord>} mutations - Records from the MutationObserver
+ * @returns {number} How many of the records are changes to the chat
+ */
+function noteChatMutations(mutations) {
+    let chatMutationCount = 0;
+    mutations.forEach(mutation => {
+        if (navBar && (mutation.target === navBar || navBar.contains(mutation.target))) return;
+        changedTurnNodes.add(mutation.target);
+        chatMutationCount++;
+    });
+    return chatMutationCount;
+}
+
+/**
+ * Finds the turns around the nodes the MutationObserver saw change since the last scan
+ * @param {Object} selectors - The current provider's selectors
+ * @returns {Set<HTMLElement>} Query and response elements whose content changed
+ */
+function collectChangedTurns(selectors) {
+    // Changes made since the observer's last callback, e.g. right before a scan after a click
+    if (chatObserver) {
+        noteChatMutations(chatObserver.takeRecords());
     }
-    return false; // Query already existed
+
+    const changedTurns = new Set();
+    changedTurnNodes.forEach(node => {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (!element || !element.isConnected) return;
+
+        const queryElement = element.closest(selectors.queries);
+        if (queryElement) changedTurns.add(queryElement);
+        const responseElement = selectors.responses ? element.closest(selectors.responses) : null;
+        if (responseElement) changedTurns.add(responseElement);
+    });
+    changedTurnNodes.clear();
+    return changedTurns;
 }
 
 /**
- * Validates session queries against current DOM and removes inactive ones
- * @returns {Array} Array of validated and active query objects
+ * Reads the text of a query or response element, reusing what was read last time unless the element changed since
+ * @param {HTMLElement} element - The turn element
+ * @param {string} type - 'query' or 'response'
+ * @param {boolean} changed - Whether a mutation touched the element since it was last read
+ * @param {Object} selectors - The current provider's selectors
+ * @returns {Object} The element's entry in trackedTurns: { type, text, queryData, wrapsQuery }
  */
-function validateSessionQueries() {
-    if (!currentProvider) return sessionQueries;
+function readTurnElement(element, type, changed, selectors) {
+    const tracked = trackedTurns.get(element);
+    if (tracked && tracked.type === type && !changed) return tracked;
 
-    const selectors = currentProvider.getSelectors();
-    const currentDOMQueries = document.querySelectorAll(selectors.queries);
-    const validQueries = [];
-    let removedCount = 0;
+    let text = '';
+    try {
+        text = (type === 'query' ? currentProvider.extractTextContent(element) : currentProvider.extractResponseText(element)) || '';
+    } catch (error) {
+        console.warn(`AI Navigator: Error processing ${type} element:`, error, element);
+    }
+    text = text.trim();
+    if (!text && type === 'query') {
+        console.warn(`AI Navigator: Could not extract text content for query element:`, element);
+    }
 
-    console.log(`AI Navigator: Validating ${sessionQueries.length} stored queries against ${currentDOMQueries.length} DOM queries`);
+    const entry = {
+        type,
+        text,
+        // A question whose text changed is looked up again, as editing it may have given it a new identity
+        queryData: tracked && tracked.type === type && tracked.text === text ? tracked.queryData : null,
+        wrapsQuery: type === 'response' && !!element.querySelector(selectors.queries)
+    };
+    trackedTurns.set(element, entry);
+    return entry;
+}
 
-    sessionQueries.forEach((queryData, index) => {
-        let isValid = false;
-        let targetElement = null;
-
-        // First try to find by stored element ID
-        if (queryData.elementId) {
-            targetElement = document.getElementById(queryData.elementId);
-            if (targetElement) {
-                // Verify the element still contains the expected text
-                try {
-                    const currentText = currentProvider.extractTextContent(targetElement);
-                    if (currentText && currentText.trim() === queryData.text.trim()) {
-                        isValid = true;
-                    }
-                } catch (error) {
-                    // Element exists but can't extract text - might be broken
-                    console.warn(`AI Navigator: Could not extract text from stored element ${queryData.elementId}`);
-                }
-            }
-        }
+/**
+ * Hashes text into a short string (32-bit FNV-1a)
+ * @param {string} text - The text
+ * @returns {string} The hash in base 36
+ */
+function hashText(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return (hash >>> 0).toString(36);
+}
 
-        // If not found by ID, try to find by content matching
-        if (!isValid) {
-            for (const element of currentDOMQueries) {
-                try {
-                    const elementText = currentProvider.extractTextContent(element);
-                    if (elementText && elementText.trim() === queryData.text.trim()) {
-                        targetElement = element;
-                        // Update the element ID reference if it changed
-                        if (element.id && element.id !== queryData.elementId) {
-                            queryData.elementId = element.id;
-                        }
-                        isValid = true;
-                        break;
-                    }
-                } catch (error) {
-                    // Continue searching
-                }
-            }
+/**
+ * Gets the identity of a question in the page, which keys its session query, nav items, pins and notes.
+ * The site's own message ID is used where the provider knows one; otherwise the question's position
+ * and text, so asking the same thing twice still gives two turns.
+ * @param {HTMLElement} queryElement - The query element
+ * @param {number} position - Index of the element among the query elements in the page
+ * @param {string} text - The question's text
+ * @returns {string} The turn identity
+ */
+function getTurnIdentity(queryElement, position, text) {
+    let nativeId = null;
+    try {
+        nativeId = currentProvider.getTurnId(queryElement);
+    } catch (error) {
+        console.warn('AI Navigator: Could not read the turn ID of a query element:', error, queryElement);
+    }
+    return nativeId || `turn-${position}-${hashText(text)}`;
+}
+
+/**
+ * Tells whether a turn identity was made up from the question's position and text, which shift when
+ * earlier history loads or an earlier turn is deleted
+ * @param {string} turnId - The identity from getTurnIdentity()
+ * @returns {boolean} Whether the identity is position-based
+ */
+function isPositionalTurnId(turnId) {
+    return /^turn-\d+-[a-z0-9]+$/.test(turnId);
+}
+
+/**
+ * Finds the session query for a question in the page, adding one if the question is new
+ * @param {string} turnId - The question's identity from getTurnIdentity()
+ * @param {string} text - The question's text
+ * @param {Set<string>} changedItemKeys - Gets the item key of the question if it is new, its text changed or it was re-keyed
+ * @param {Set<string>} removedItemKeys - Gets the old item keys of a re-keyed question
+ * @returns {Object} The session query
+ */
+function getSessionQueryForTurn(turnId, text, changedItemKeys, removedItemKeys) {
+    let existing = sessionQueries.find(q => q.id === turnId);
+    if (!existing) {
+        // Queries stored before turns had stable identities are matched once by their text
+        existing = sessionQueries.find(q => q.legacy && q.text.trim() === text);
+        if (existing) {
+            adoptLegacyQuery(existing, turnId);
+            changedItemKeys.add(`${turnId}:query`);
+        }
+    }
+    if (!existing && isPositionalTurnId(turnId) && !currentProvider.hasVirtualizedTurns()) {
+        // A question moved: the first stored one with its text that this scan has not reached yet
+        existing = sessionQueries.find(q => isPositionalTurnId(q.id) && !renderedTurns.has(q) && q.text.trim() === text);
+        if (existing) {
+            removedItemKeys.add(`${existing.id}:query`);
+            removedItemKeys.add(`${existing.id}:response`);
+            rekeySessionQuery(existing, turnId);
+            changedItemKeys.add(`${turnId}:query`);
+            if (existing.response) changedItemKeys.add(`${turnId}:response`);
+        }
+    }
+    if (existing) {
+        // The site may let a question be edited in place under the same ID
+        if (existing.text !== text) {
+            existing.text = text;
+            changedItemKeys.add(`${turnId}:query`);
         }
+        return existing;
+    }
 
-        if (isValid) {
-            validQueries.push(queryData);
-        } else {
-            removedCount++;
-            console.log(`AI Navigator: Removed inactive query: ${queryData.text.substring(0, 50)}...`);
+    const queryData = {
+        id: turnId,
+        text,
+        timestamp: Date.now(),
+        index: sessionQueries.length
+    };
+    sessionQueries.push(queryData);
+    changedItemKeys.add(`${turnId}:query`);
+    console.log(`AI Navigator: Added new query to session: ${text.substring(0, 50)}...`);
+    return queryData;
+}
+
+/**
+ * Gives a query stored before turns had stable identities (see storage.js) the identity it was found
+ * under, along with the pins and notes that were matched to it by text
+ * @param {Object} queryData - The stored query
+ * @param {string} turnId - Its identity in the page
+ */
+function adoptLegacyQuery(queryData, turnId) {
+    const text = queryData.text.trim();
+    [...pinnedTurns, ...turnNotes].forEach(entry => {
+        if (!entry.turnId && entry.text.trim() === text) {
+            entry.turnId = turnId;
         }
     });
+    rekeySessionQuery(queryData, turnId);
+    delete queryData.legacy;
+}
 
-    if (removedCount > 0) {
-        console.log(`AI Navigator: Validation complete - removed ${removedCount} inactive queries, ${validQueries.length} remain active`);
-        // Update session queries with only valid ones
-        sessionQueries = validQueries;
-        // Re-index the valid queries
-        sessionQueries.forEach((query, index) => {
-            query.index = index;
-        });
-    } else {
-        console.log(`AI Navigator: Validation complete - all ${validQueries.length} queries are still active`);
-    }
+/**
+ * Moves a session query to a new identity, taking its pins, notes and the sidebar state kept
+ * under its item keys along
+ * @param {Object} queryData - The session query
+ * @param {string} turnId - Its new identity
+ */
+function rekeySessionQuery(queryData, turnId) {
+    const previousId = queryData.id;
+    const rekeyItem = itemKey => itemKey && itemKey.startsWith(`${previousId}:`) ?
+        `${turnId}:${itemKey.slice(previousId.length + 1)}` : itemKey;
 
-    return validQueries;
+    [...pinnedTurns, ...turnNotes].forEach(entry => {
+        if (entry.turnId === previousId) {
+            entry.turnId = turnId;
+        }
+    });
+    activeItemKey = rekeyItem(activeItemKey);
+    if (noteEditorState) {
+        noteEditorState.itemKey = rekeyItem(noteEditorState.itemKey);
+    }
+    expandedOutlines = new Set(Array.from(expandedOutlines, rekeyItem));
+    expandedVersionLists = new Set(Array.from(expandedVersionLists, rekeyItem));
+    queryData.id = turnId;
 }
 
 /**
- * Rebuilds navigation from session data and current DOM elements
+ * Brings the nav items in line with the session. Only items whose turn was added, changed,
+ * renumbered or removed are touched; the rest of the sidebar is left as it is.
  */
-function rebuildNavigationFromSession() {
-    if (!navBar) return;
+function updateNavigationFromSession() {
+    if (!navBar || !currentProvider) return;
 
-    // Clear existing nav items
-    const existingNavItems = navBar.querySelectorAll('.nav-item');
-    existingNavItems.forEach(item => item.remove());
-    allNavItems = [];
+    // Nothing rendered yet (page still loading) - keep stored queries but list none
+    const listedQueries = renderedTurns.size > 0 ? sessionQueries : [];
+    const virtualized = currentProvider.hasVirtualizedTurns();
+    const wantedItems = [];
+    listedQueries.forEach((queryData, index) => {
+        const rendered = renderedTurns.get(queryData) || {};
 
-    // Validate queries first to remove any broken/inactive ones
-    const validQueries = validateSessionQueries();
+        // Turns outside a virtualized list get a placeholder that scrolls the chat until they render
+        wantedItems.push({
+            itemKey: `${queryData.id}:query`,
+            queryData,
+            type: 'query',
+            target: rendered.query || createPlaceholderElement(queryData, 'query'),
+            text: queryData.text,
+            turnNumber: index + 1,
+            versionsKey: getTurnVersionsKey(queryData, 'query'),
+            statusKey: ''
+        });
 
-    // Rebuild from validated session data
-    validQueries.forEach((queryData, index) => {
-        // Try to find the element in the current DOM
-        let targetElement = null;
-        
-        // First try to find by stored element reference (if still in DOM)
-        if (queryData.elementId) {
-            targetElement = document.getElementById(queryData.elementId);
-        }
-        
-        // If not found, try to find by content matching
-        if (!targetElement) {
-            const selectors = currentProvider.getSelectors();
-            const queryElements = document.querySelectorAll(selectors.queries);
-            
-            for (const element of queryElements) {
-                try {
-                    const elementText = currentProvider.extractTextContent(element);
-                    if (elementText && elementText.trim() === queryData.text.trim()) {
-                        targetElement = element;
-                        // Update element ID if it changed
-                        if (element.id && element.id !== queryData.elementId) {
-                            queryData.elementId = element.id;
-                        }
-                        break;
-                    }
-                } catch (error) {
-                    // Continue searching
-                }
+        // The assistant response is listed under the question it answers
+        if (queryData.response) {
+            let responseElement = rendered.response;
+            if (!responseElement && virtualized) {
+                responseElement = createPlaceholderElement(queryData, 'response');
+            }
+            if (responseElement) {
+                wantedItems.push({
+                    itemKey: `${queryData.id}:response`,
+                    queryData,
+                    type: 'response',
+                    target: responseElement,
+                    text: queryData.response.text,
+                    turnNumber: index + 1,
+                    versionsKey: getTurnVersionsKey(queryData, 'response'),
+                    statusKey: getTurnStatusKey(queryData)
+                });
             }
         }
-        
-        // Create a placeholder element if original not found (for virtual scrolling)
-        if (!targetElement) {
-            targetElement = createPlaceholderElement(queryData);
+    });
+
+    let itemsChanged = false;
+    const wantedKeys = new Set(wantedItems.map(item => item.itemKey));
+    navItemsByKey.forEach((rendered, itemKey) => {
+        if (!wantedKeys.has(itemKey)) {
+            rendered.navItem.remove();
+            navItemsByKey.delete(itemKey);
+            itemsChanged = true;
+        }
+    });
+
+    const addedItems = [];
+    const patchedItems = []; // Added items and items updated in place
+    const patchedResponses = new Set(); // Session queries whose response item was patched, for the Code tab
+    wantedItems.forEach(item => {
+        const rendered = navItemsByKey.get(item.itemKey);
+        if (rendered && rendered.target === item.target && rendered.text === item.text && rendered.versionsKey === item.versionsKey &&
+            rendered.statusKey === item.statusKey && rendered.turnNumber === item.turnNumber && rendered.summaryWords === navSettings.maxSummaryWords) {
+            rendered.queryData = item.queryData;
+            return;
+        }
+
+        itemsChanged = true;
+        const summary = `<strong>${item.turnNumber}.</strong> ${escapeHtml(generateSummary(item.text))}`;
+        let navItem;
+        if (rendered && rendered.target === item.target) {
+            // Same element with new text, e.g. a streaming response: update the item in place
+            navItem = rendered.navItem;
+            setNavItemContent(navItem, summary, item.target);
+        } else {
+            // New turn, or a placeholder swapped for the rendered turn (or back)
+            if (rendered) rendered.navItem.remove();
+            navItem = addNavItem(summary, item.type, item.target, item.itemKey);
+            if (!navItem) return;
+            addedItems.push(navItem);
+        }
+        patchedItems.push(navItem);
+        if (item.type === 'response') patchedResponses.add(item.queryData);
+
+        navItemsByKey.set(item.itemKey, {
+            navItem,
+            queryData: item.queryData,
+            type: item.type,
+            target: item.target,
+            text: item.text,
+            turnNumber: item.turnNumber,
+            versionsKey: item.versionsKey,
+            statusKey: item.statusKey,
+            summaryWords: navSettings.maxSummaryWords
+        });
+        renderTurnStatus(navItem, item.queryData, item.type);
+        renderTurnVersions(navItem, item.queryData, item.type);
+        if (item.type === 'response' && !navItem.classList.contains('placeholder')) {
+            renderResponseOutline(navItem, item.target);
+        }
+    });
+
+    if (!itemsChanged) {
+        refreshStaleFindMatches();
+        return;
+    }
+
+    allNavItems = wantedItems
+        .map(item => navItemsByKey.get(item.itemKey))
+        .filter(Boolean)
+        .map(rendered => rendered.navItem);
+
+    // Drop placeholders for turns that are rendered again or no longer in the session
+    const listedTargets = new Set(wantedItems.map(item => item.target));
+    placeholderElements.forEach((placeholder, itemKey) => {
+        if (!listedTargets.has(placeholder)) {
+            placeholder.remove();
+            placeholderElements.delete(itemKey);
         }
-        
-        const summary = generateSummary(queryData.text);
-        addNavItem(`<strong>${index + 1}.</strong> ${summary}`, 'query', targetElement, `session-query-${index}`);
     });
+
+    renderNotes(addedItems);
+    renderPinnedSection();
+
+    // Apply any active search and the current view mode to the patched items, and put the items in order
+    filterNavItems(searchInput ? searchInput.value.trim() : '', patchedItems);
+
+    // Restore the active item saved for this conversation
+    if (activeItemKey) {
+        setActiveNavItem(activeItemKey);
+    }
+
+    updateScrollSpy();
+    updateCodeIndex(patchedResponses);
 }
 
 /**
- * Creates a placeholder element for queries not currently in DOM (virtual scrolling)
+ * Creates a placeholder element for turns not currently in DOM (virtual scrolling).
+ * Nav items pointing at a placeholder scroll the chat until the real turn renders.
  * @param {Object} queryData - Query data object
- * @returns {HTMLElement} Placeholder element
+ * @param {string} type - 'query' or 'response'
+ * @returns {HTMLElement} Placeholder element, reused across rebuilds
  */
-function createPlaceholderElement(queryData) {
+function createPlaceholderElement(queryData, type) {
+    // Keyed by the turn's own identity: message IDs can hold any characters
+    const itemKey = `${queryData.id}:${type}`;
+    const existing = placeholderElements.get(itemKey);
+    if (existing && existing.isConnected) return existing;
+
     const placeholder = document.createElement('div');
     placeholder.className = 'ai-nav-placeholder';
     placeholder.dataset.queryText = queryData.text;
     placeholder.dataset.queryId = queryData.id;
+    placeholder.dataset.turnType = type;
+    placeholder.dataset.turnText = type === 'response' ? queryData.response.text : queryData.text;
     placeholder.style.display = 'none'; // Hidden placeholder
     document.body.appendChild(placeholder);
-    
-    // Add click handler to scroll to query (for AI Studio virtual scrolling)
-    placeholder.addEventListener('click', () => {
-        // For AI Studio, we might need to trigger scrolling to make the element visible
-        console.log(`AI Navigator: Attempting to navigate to: ${queryData.text.substring(0, 50)}...`);
-        console.warn('AI Navigator: This question may not be currently visible due to virtual scrolling');
-        // This could be enhanced with provider-specific navigation logic
-    });
-    
+    placeholderElements.set(itemKey, placeholder);
+
     return placeholder;
 }
 
-// --- Core Functions ---
+/**
+ * Finds a stored turn among the elements currently rendered
+ * @param {Object} queryData - Query data object
+ * @param {string} type - 'query' or 'response'
+ * @returns {HTMLElement|null} The rendered element, or null
+ */
+function findRenderedTurn(queryData, type) {
+    const selectors = currentProvider.getSelectors();
+    const queryElement = Array.from(document.querySelectorAll(selectors.queries)).find((element, position) => {
+        try {
+            const elementText = (currentProvider.extractTextContent(element) || '').trim();
+            return !!elementText && getTurnIdentity(element, position, elementText) === queryData.id;
+        } catch (error) {
+            return false;
+        }
+    });
+    if (!queryElement || type === 'query') return queryElement || null;
+
+    // The response is the first rendered response after its question
+    return Array.from(document.querySelectorAll(selectors.responses)).find(element => {
+        if (!(queryElement.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING)) return false;
+        try {
+            const responseText = currentProvider.extractResponseText(element);
+            return responseText && responseText.trim();
+        } catch (error) {
+            return false;
+        }
+    }) || null;
+}
 
 /**
- * Creates and injects the navigation bar into the page.
+ * Scrolls a virtualized chat until the turn behind a placeholder nav item renders
+ * @param {HTMLElement} navItem - The nav item that was clicked
+ * @param {HTMLElement} placeholder - Its placeholder element
  */
-function createNavBar() {
-    if (document.getElementById('ai-nav-bar')) {
-        return; // Nav bar already exists
-    }
+async function navigateToPlaceholder(navItem, placeholder) {
+    if (navItem.classList.contains('navigating')) return;
 
-    if (!currentProvider) {
-        console.error('AI Navigator: No provider found for current page');
-        return;
-    }
+    const queryData = sessionQueries.find(q => q.id === placeholder.dataset.queryId);
+    if (!queryData) return;
+    const type = placeholder.dataset.turnType;
 
-    const layoutConfig = currentProvider.getLayoutConfig();
-    navBar = document.createElement('div');
-    navBar.id = 'ai-nav-bar';
-    navBar.classList.add('collapsed'); // Start with sidebar collapsed by default
-    navBar.style.top = `${layoutConfig.topOffset}px`;
-    navBar.style.height = `calc(100vh - ${layoutConfig.topOffset}px)`;
-    
-    // Create header with provider-specific title and control buttons
-    const header = document.createElement('h3');
-    header.innerHTML = `<div class="header-buttons">
-        <button id="ai-nav-focus-mode-btn" title="Toggle Focus Mode (Auto-hide sidebar when typing)" aria-label="Toggle Focus Mode" class="${focusModeEnabled ? 'active' : ''}">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
-                <circle cx="12" cy="12" r="3"></circle>
-            </svg>
-        </button>
-        <button id="ai-nav-refresh-btn" title="Refresh Chat Navigation" aria-label="Refresh Chat Navigation">
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                <polyline points="23 4 23 10 17 10"></polyline>
-                <polyline points="1 20 1 14 7 14"></polyline>
-                <path d="m20.49 9A9 9 0 0 0 5.64 5.64L1 10m22 4l-4.64 4.36A9 9 0 0 1 3.51 15"></path>
-            </svg>
-        </button>
-    </div>${currentProvider.getNavTitle()} <span id="ai-nav-collapse-btn" title="Collapse Navigation">&raquo;</span>`;
-    navBar.appendChild(header);
-    
-    // Create search container
-    const searchContainer = document.createElement('div');
-    searchContainer.className = 'search-container';
-    
-    searchInput = document.createElement('input');
-    searchInput.type = 'text';
-    searchInput.className = 'search-input';
-    searchInput.placeholder = 'Search questions...';
-    
-    const searchClear = document.createElement('div');
-    searchClear.className = 'search-clear';
-    searchClear.innerHTML = '&times;';
-    searchClear.style.display = 'none';
-    
-    searchContainer.appendChild(searchInput);
-    searchContainer.appendChild(searchClear);
-    navBar.appendChild(searchContainer);
-    
-    document.body.appendChild(navBar);
-    document.body.classList.add('ai-nav-collapsed'); // Start with body class for collapsed state
-    
-    // Initialize search functionality
-    searchInput.addEventListener('input', handleSearch);
-    searchClear.addEventListener('click', clearSearch);
+    // Search towards the turn: up if it comes before everything rendered, otherwise down
+    const renderedIndexes = Array.from(document.querySelectorAll(currentProvider.getSelectors().queries))
+        .map(element => trackedTurns.has(element) ? trackedTurns.get(element).queryData : null)
+        .filter(Boolean)
+        .map(renderedQuery => sessionQueries.indexOf(renderedQuery));
+    const direction = renderedIndexes.length > 0 && Math.min(...renderedIndexes) > sessionQueries.indexOf(queryData) ? -1 : 1;
 
-    const expandBtn = document.createElement('button');
-    expandBtn.id = 'ai-nav-expand-btn';
-    expandBtn.title = 'Expand Navigation';
-    expandBtn.innerHTML = '&laquo;';
-    expandBtn.classList.add('initial-glow'); // Add glow animation on initial load
-    document.body.appendChild(expandBtn);
-    
-    // Remove glow after animation completes (2s duration * 3 iterations + 0.5s delay = 6.5s)
-    setTimeout(() => {
-        expandBtn.classList.remove('initial-glow');
-    }, 6500);
+    console.log(`AI Navigator: Scrolling to find turn not in the page: ${queryData.text.substring(0, 50)}...`);
+    navItem.classList.remove('not-found');
+    navItem.classList.add('navigating');
+    const timeout = 8000;
+    scrollSpyPausedUntil = Date.now() + timeout + 1000;
 
-    const collapseBtn = document.getElementById('ai-nav-collapse-btn');
-    const refreshBtn = document.getElementById('ai-nav-refresh-btn');
-    const focusModeBtn = document.getElementById('ai-nav-focus-mode-btn');
+    const element = await currentProvider.navigateToTurn(() => findRenderedTurn(queryData, type), { direction, timeout });
 
-    if (navBar && collapseBtn && expandBtn) {
-        collapseBtn.addEventListener('click', toggleNav);
-        expandBtn.addEventListener('click', (e) => {
-            expandBtn.classList.remove('initial-glow'); // Remove glow on first interaction
-            toggleNav();
-        });
-    } else {
-        console.error('AI Navigator: Could not find all necessary elements for collapse/expand functionality.');
-    }
+    scrollSpyPausedUntil = Date.now() + 1000;
+    navItem.classList.remove('navigating');
 
-    if (refreshBtn) {
-        refreshBtn.addEventListener('click', handleRefreshClick);
-    } else {
-        console.error('AI Navigator: Could not find refresh button element.');
+    if (!element) {
+        console.warn('AI Navigator: Could not find the turn by scrolling the chat');
+        navItem.classList.add('not-found');
+        setTimeout(() => navItem.classList.remove('not-found'), 3000);
+        return;
     }
 
-    if (focusModeBtn) {
-        focusModeBtn.addEventListener('click', handleFocusModeToggle);
-    } else {
-        console.error('AI Navigator: Could not find focus mode button element.');
-    }
-    adjustMainContentLayout(); // Adjust layout after adding nav bar
+    // Point the sidebar at the rendered turn
+    setActiveNavItem(navItem.dataset.itemKey);
+    processChatElements();
 }
 
+// --- Response Outline ---
+
 /**
- * Generates a concise summary from text.
- * @param {string} text - The text to summarize.
- * @returns {string} A short summary.
- */
-/**
- * Adjusts the main content area to make space for the sidebar.
+ * Nests flat outline entries under the closest preceding entry with a lower level
+ * @param {Array<Object>} entries - Entries of { level, text, element } in document order
+ * @returns {Array<Object>} Root entries, each with a `children` array
  */
+function buildOutlineTree(entries) {
+    const roots = [];
+    const stack = [];
+
+    entries.forEach(entry => {
+        const node = { ...entry, children: [] };
+        while (stack.length > 0 && stack[stack.length - 1].level >= node.level) {
+            stack.pop();
+        }
+        (stack.length > 0 ? stack[stack.length - 1].children : roots).push(node);
+        stack.push(node);
+    });
+
+    return roots;
+}
+
+/**
+ * Creates the nested list for part of an outline tree
+ * @param {Array<Object>} nodes - Outline nodes from buildOutlineTree()
+ * @param {Function} onSelect - Called with the node whose entry was clicked
+ * @returns {HTMLElement} The list element
+ */
+function createOutlineList(nodes, onSelect) {
+    const list = document.createElement('ul');
+    list.className = 'nav-outline';
+
+    nodes.forEach(node => {
+        const listItem = document.createElement('li');
+        const entry = document.createElement('span');
+        entry.className = 'nav-outline-entry';
+        entry.textContent = node.text;
+        entry.title = node.text;
+        entry.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onSelect(node);
+        });
+        listItem.appendChild(entry);
+
+        if (node.children.length > 0) {
+            listItem.appendChild(createOutlineList(node.children, onSelect));
+        }
+        list.appendChild(listItem);
+    });
+
+    return list;
+}
+
+/**
+ * Adds an expandable outline of a response's headings (or bold lead-ins) to its nav item
+ * @param {HTMLElement} navItem - The response nav item
+ * @param {HTMLElement} responseElement - The response element in the page
+ */
+function renderResponseOutline(navItem, responseElement) {
+    // A response that changed replaces its outline
+    navItem.querySelectorAll(':scope > .nav-outline-toggle, :scope > .nav-outline').forEach(element => element.remove());
+
+    let entries;
+    try {
+        entries = currentProvider.getResponseOutline(currentProvider.getContentElement(responseElement, 'assistant'));
+    } catch (error) {
+        console.warn('AI Navigator: Could not read the outline of a response:', error);
+        return;
+    }
+    if (entries.length === 0) return;
+
+    const itemKey = navItem.dataset.itemKey;
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'nav-outline-toggle';
+
+    const outline = createOutlineList(buildOutlineTree(entries), (node) => {
+        scrollSpyPausedUntil = Date.now() + 1000;
+        const target = node.element.isConnected ? node.element : responseElement;
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        setActiveNavItem(itemKey);
+    });
+
+    const updateExpanded = () => {
+        const expanded = expandedOutlines.has(itemKey);
+        outline.style.display = expanded ? 'block' : 'none';
+        toggle.innerHTML = `${expanded ? '&#9662;' : '&#9656;'} ${entries.length} section${entries.length === 1 ? '' : 's'}`;
+        toggle.setAttribute('aria-expanded', String(expanded));
+    };
+
+    toggle.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        if (expandedOutlines.has(itemKey)) {
+            expandedOutlines.delete(itemKey);
+        } else {
+            expandedOutlines.add(itemKey);
+        }
+        updateExpanded();
+    });
+
+    updateExpanded();
+    // Keep the outline above an open note editor
+    const noteEditor = navItem.querySelector('.nav-note-editor');
+    navItem.insertBefore(toggle, noteEditor);
+    navItem.insertBefore(outline, noteEditor);
+}
+
+// --- Turn Versions ---
+
+/**
+ * Reads which version of an edited or regenerated message the page shows
+ * @param {HTMLElement} element - The query or response element
+ * @returns {{index: number, count: number}|null} The version, or null if the message has only one
+ */
+function getTurnBranch(element) {
+    try {
+        return currentProvider.getBranchInfo(element);
+    } catch (error) {
+        console.warn('AI Navigator: Could not read the version of a chat element:', error, element);
+        return null;
+    }
+}
+
+/**
+ * Describes a question or response as a version to remember
+ * @param {Object} turn - A session query or its response
+ * @param {string|null} [responseText] - For questions, the response shown under this version
+ * @returns {Object} The version: { id, branch, text, timestamp[, response] }
+ */
+function toTurnVersion(turn, responseText) {
+    const version = {
+        id: turn.id || null,
+        branch: turn.branch ? turn.branch.index : null,
+        text: turn.text,
+        timestamp: turn.timestamp
+    };
+    if (responseText !== undefined) {
+        version.response = responseText;
+    }
+    return version;
+}
+
+/**
+ * Whether two versions are the same message: by ID where both have one, otherwise by version number
+ * @param {Object} version - A version from toTurnVersion()
+ * @param {Object} other - Another version
+ * @returns {boolean} True for the same message
+ */
+function isSameTurnVersion(version, other) {
+    if (version.id && other.id) return version.id === other.id;
+    return version.branch !== null && version.branch === other.branch;
+}
+
+/**
+ * Combines remembered versions into the list kept for the version shown. A version seen again
+ * is shown now, so it leaves the list and the turn gets back the time it was first seen.
+ * @param {Object} current - The session query or response shown in the page
+ * @param {Array<Object>} versions - Remembered versions, oldest first; later duplicates win
+ * @returns {Array<Object>} The other versions, by version number
+ */
+function mergeTurnVersions(current, versions) {
+    const currentVersion = toTurnVersion(current);
+    const merged = [];
+    versions.forEach(version => {
+        if (isSameTurnVersion(version, currentVersion)) {
+            current.timestamp = version.timestamp || current.timestamp;
+            return;
+        }
+        const duplicate = merged.findIndex(other => isSameTurnVersion(other, version));
+        if (duplicate !== -1) merged.splice(duplicate, 1);
+        merged.push(version);
+    });
+    return merged.slice(-MAX_TURN_VERSIONS).sort((a, b) => (a.branch ?? Infinity) - (b.branch ?? Infinity));
+}
+
+/**
+ * Records the response to a question, remembering the response it replaced when the user
+ * regenerated it or switched to another of its versions
+ * @param {Object} queryData - The session query
+ * @param {HTMLElement} element - The first element of the response
+ * @param {string} text - The response's text
+ * @returns {boolean} True if the response's text, ID or version changed
+ */
+function setSessionResponse(queryData, element, text) {
+    const previous = queryData.response;
+    let id = null;
+    try {
+        id = currentProvider.getTurnId(element);
+    } catch (error) {
+        console.warn('AI Navigator: Could not read the turn ID of a response element:', error, element);
+    }
+    const branch = getTurnBranch(element);
+    if (previous && previous.text === text && (previous.id || null) === id &&
+        JSON.stringify(previous.branch || null) === JSON.stringify(branch)) {
+        return false;
+    }
+
+    // Keep the time the response was first seen
+    const response = { text, timestamp: previous ? previous.timestamp : Date.now() };
+    if (id) response.id = id;
+    if (branch) response.branch = branch;
+
+    let versions = previous && previous.versions ? previous.versions : [];
+    // A response without a version label is the first version of itself
+    const replaced = previous && previous.text !== text && (
+        (previous.id && id && previous.id !== id) ||
+        (branch && (previous.branch ? previous.branch.index : 1) !== branch.index));
+    if (replaced) {
+        if (!previous.branch && branch) previous.branch = { index: 1, count: branch.count };
+        response.timestamp = Date.now();
+        versions = mergeTurnVersions(response, [...versions, toTurnVersion(previous)]);
+    } else if (previous && previous.duration !== undefined) {
+        // The same answer re-rendered keeps the time it took to generate
+        response.duration = previous.duration;
+    }
+    if (versions.length > 0) {
+        response.versions = versions;
+    }
+    queryData.response = response;
+    return true;
+}
+
+/**
+ * Remembers questions that left the page because another version of them is shown, after the
+ * question was edited or the user switched versions. Each is kept with the question that took its
+ * place, which the page labels as one of several versions; the turns after it left with it.
+ * @param {Set<string>} changedItemKeys - Gets the item keys of the questions that took their place
+ */
+function rememberReplacedQuestions(changedItemKeys) {
+    const renderedQueries = Array.from(renderedTurns.keys()); // In page order
+    sessionQueries.forEach((queryData, position) => {
+        if (renderedTurns.has(queryData)) return;
+        const previous = position > 0 ? sessionQueries[position - 1] : null;
+        if (previous && !renderedTurns.has(previous)) return;
+
+        const replacement = renderedQueries[previous ? renderedQueries.indexOf(previous) + 1 : 0];
+        if (!replacement || !replacement.branch) return;
+
+        // A question without a version label was the only version until it was edited
+        if (!queryData.branch) queryData.branch = { index: 1, count: replacement.branch.count };
+
+        const versions = mergeTurnVersions(replacement, [
+            ...(replacement.versions || []),
+            ...(queryData.versions || []),
+            toTurnVersion(queryData, queryData.response ? queryData.response.text : null)
+        ]);
+        if (versions.length > 0) {
+            replacement.versions = versions;
+            changedItemKeys.add(`${replacement.id}:query`);
+        }
+        console.log(`AI Navigator: Remembered an earlier version of question ${renderedQueries.indexOf(replacement) + 1}`);
+    });
+}
+
+/**
+ * Gets the version shown and the other versions remembered for the turn behind a nav item
+ * @param {Object} queryData - The session query
+ * @param {string} type - 'query' or 'response'
+ * @returns {{branch: Object|null, versions: Array<Object>}} The version label and remembered versions
+ */
+function getTurnVersions(queryData, type) {
+    const turn = type === 'response' ? queryData.response : queryData;
+    return {
+        branch: turn && turn.branch ? turn.branch : null,
+        versions: turn && turn.versions ? turn.versions : []
+    };
+}
+
+/**
+ * Sums up a turn's versions, to tell when its nav item needs them redrawn
+ * @param {Object} queryData - The session query
+ * @param {string} type - 'query' or 'response'
+ * @returns {string} The summary
+ */
+function getTurnVersionsKey(queryData, type) {
+    const { branch, versions } = getTurnVersions(queryData, type);
+    return `${branch ? `${branch.index}/${branch.count}` : ''}:${versions.map(version => version.id || version.branch).join(',')}`;
+}
+
+/**
+ * Adds the version label of an edited or regenerated turn to its nav item, with an expandable
+ * list of the other versions seen in this chat
+ * @param {HTMLElement} navItem - The nav item
+ * @param {Object} queryData - The session query
+ * @param {string} type - 'query' or 'response'
+ */
+function renderTurnVersions(navItem, queryData, type) {
+    navItem.querySelectorAll(':scope > .nav-version-toggle, :scope > .nav-versions').forEach(element => element.remove());
+
+    const { branch, versions } = getTurnVersions(queryData, type);
+    if (!branch && versions.length === 0) return;
+
+    const itemKey = navItem.dataset.itemKey;
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'nav-version-toggle';
+    toggle.disabled = versions.length === 0;
+    toggle.title = versions.length > 0 ?
+        'Show the other versions seen in this chat' :
+        'Switch versions in the chat to remember them here';
+
+    const list = document.createElement('ul');
+    list.className = 'nav-versions';
+    versions.forEach(version => {
+        const entry = document.createElement('li');
+        entry.className = 'nav-version-entry';
+        entry.title = 'Click to expand';
+
+        const label = document.createElement('span');
+        label.className = 'nav-version-label';
+        label.textContent = version.branch ? `Version ${version.branch}` : 'Earlier version';
+        const text = document.createElement('span');
+        text.className = 'nav-version-text';
+        text.textContent = version.text;
+        entry.append(label, text);
+
+        // An earlier question comes with the response it got
+        if (version.response) {
+            const response = document.createElement('span');
+            response.className = 'nav-version-response';
+            response.textContent = version.response;
+            entry.appendChild(response);
+        }
+
+        entry.addEventListener('click', (event) => {
+            event.stopPropagation();
+            entry.classList.toggle('expanded');
+        });
+        list.appendChild(entry);
+    });
+
+    const updateExpanded = () => {
+        const expanded = expandedVersionLists.has(itemKey) && versions.length > 0;
+        list.style.display = expanded ? 'block' : 'none';
+        const label = branch ? `${branch.index}/${branch.count}` : `${versions.length + 1} versions`;
+        const seen = versions.length > 0 ? ` \u00b7 ${versions.length} other${versions.length === 1 ? '' : 's'} seen` : '';
+        toggle.innerHTML = `${versions.length > 0 ? (expanded ? '&#9662;' : '&#9656;') : '&#8644;'} ${label}${seen}`;
+        toggle.setAttribute('aria-expanded', String(expanded));
+    };
+
+    toggle.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        if (expandedVersionLists.has(itemKey)) {
+            expandedVersionLists.delete(itemKey);
+        } else {
+            expandedVersionLists.add(itemKey);
+        }
+        updateExpanded();
+    });
+
+    updateExpanded();
+    // Below the note, above the heading outline and the note editor
+    const nextElement = navItem.querySelector(':scope > .nav-outline-toggle, :scope > .nav-note-editor');
+    navItem.insertBefore(toggle, nextElement);
+    navItem.insertBefore(list, nextElement);
+}
+
+// --- Streaming Status ---
+
+/**
+ * Asks the provider whether a response is still being generated
+ * @param {HTMLElement} element - The response element
+ * @param {boolean} isNewest - Whether it is the last response in the page
+ * @returns {boolean|null} True while it streams, or null if the site gives no sign of it
+ */
+function isResponseStreaming(element, isNewest) {
+    try {
+        return currentProvider.isResponseStreaming(element, isNewest);
+    } catch (error) {
+        console.warn('AI Navigator: Could not check whether a response is streaming:', error, element);
+        return null;
+    }
+}
+
+/**
+ * Updates which responses are being generated, after a scan or while waiting for the next one.
+ * Sites with a streaming signal are asked directly. On the others the newest response counts as
+ * streaming from a scan that finds its text changed until the text stays the same for a while.
+ * @param {Set<Object>} [changedResponses] - Session queries whose response text the scan that just ran found changed
+ * @returns {boolean} True if a response started or finished streaming
+ */
+function updateStreamingTurns(changedResponses = new Set()) {
+    const now = Date.now();
+    const renderedQueries = sessionQueries.filter(queryData => renderedTurns.has(queryData));
+    const respondedQueries = renderedQueries.filter(queryData => queryData.response && renderedTurns.get(queryData).response);
+    // Only the last question's response can be streaming; while that question waits for its answer, none is
+    const newestQuery = renderedQueries[renderedQueries.length - 1];
+    let statusChanged = false;
+
+    respondedQueries.forEach(queryData => {
+        const entry = streamingTurns.get(queryData);
+        const changed = changedResponses.has(queryData);
+        let streaming = isResponseStreaming(renderedTurns.get(queryData).response, queryData === newestQuery);
+        if (streaming === null) {
+            // A scan is waiting to read the changes, so the text may still be growing
+            streaming = (changed && queryData === newestQuery) ||
+                (!!entry && (observerPendingSince !== null || now - entry.lastChangeAt < STREAMING_IDLE_TIME));
+        }
+
+        if (streaming && !entry) {
+            // Streaming started with the first change the scan reads, which can be a while before the scan
+            delete queryData.response.duration;
+            streamingTurns.set(queryData, { startedAt: scanChangesSince || now, lastChangeAt: observerLastFiredAt || now });
+            statusChanged = true;
+        } else if (streaming && changed) {
+            entry.lastChangeAt = observerLastFiredAt || now;
+        } else if (!streaming && entry) {
+            finishStreamingTurn(queryData, entry);
+            statusChanged = true;
+        }
+    });
+
+    // Responses that left the page, e.g. replaced by a regenerated one, are no longer watched
+    streamingTurns.forEach((entry, queryData) => {
+        if (!respondedQueries.includes(queryData)) {
+            streamingTurns.delete(queryData);
+            statusChanged = true;
+        }
+    });
+
+    scheduleStreamingCheck();
+    return statusChanged;
+}
+
+/**
+ * Records how long a response took to generate and alerts the user if they switched away meanwhile
+ * @param {Object} queryData - The session query the response answers
+ * @param {Object} entry - Its entry in streamingTurns
+ */
+function finishStreamingTurn(queryData, entry) {
+    streamingTurns.delete(queryData);
+
+    // The last change the observer saw is closer to the end of the answer than this check
+    const finishedAt = Math.min(Date.now(), Math.max(entry.lastChangeAt, observerLastFiredAt || 0));
+    queryData.response.duration = Math.max(0, finishedAt - entry.startedAt);
+    console.log(`AI Navigator: Response ${sessionQueries.indexOf(queryData) + 1} finished in ${formatDuration(queryData.response.duration)}`);
+
+    if (document.hidden && queryData.response.duration >= navSettings.longAnswerSeconds * 1000) {
+        alertGenerationComplete(queryData);
+    }
+}
+
+/**
+ * Checks the streaming responses again once the page has had time to change. Sites often end
+ * streaming by changing an attribute, which the MutationObserver does not watch.
+ */
+function scheduleStreamingCheck() {
+    clearTimeout(streamingCheckTimeout);
+    streamingCheckTimeout = null;
+    if (streamingTurns.size === 0) return;
+
+    streamingCheckTimeout = setTimeout(() => {
+        streamingCheckTimeout = null;
+        if (getCurrentConversationKey() !== sessionConversationKey) return;
+
+        if (updateStreamingTurns()) {
+            updateNavigationFromSession();
+            saveSessionQueries();
+        }
+    }, STREAMING_CHECK_INTERVAL);
+}
+
+/**
+ * Shows a desktop notification and/or plays a sound, as set in the options, for a long answer
+ * that finished while the tab was in the background
+ * @param {Object} queryData - The session query the response answers
+ */
+async function alertGenerationComplete(queryData) {
+    if (navSettings.completionSound) {
+        playCompletionSound();
+    }
+    if (!navSettings.completionNotification) return;
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'ai-nav-background:notifyGenerationComplete',
+            title: `${currentProvider.name} finished answering`,
+            message: `${generateSummary(queryData.text)} (${formatDuration(queryData.response.duration)})`
+        });
+        if (!response || response.error) throw new Error(response ? response.error : 'No response');
+    } catch (error) {
+        console.warn('AI Navigator: Could not show the notification:', error);
+    }
+}
+
+/**
+ * Plays a short two-note chime
+ */
+function playCompletionSound() {
+    try {
+        const audioContext = new AudioContext();
+        [660, 880].forEach((frequency, index) => {
+            const start = audioContext.currentTime + index * 0.15;
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.2, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.4);
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.4);
+        });
+        setTimeout(() => audioContext.close(), 1000);
+    } catch (error) {
+        console.warn('AI Navigator: Could not play the completion sound:', error);
+    }
+}
+
+/**
+ * Formats how long a response took to generate
+ * @param {number} milliseconds - The duration
+ * @returns {string} E.g. "8.4 s" or "2 min 5 s"
+ */
+function formatDuration(milliseconds) {
+    // Round before splitting, so 59.96 s and 119.6 s do not print as "60.0 s" and "1 min 60 s"
+    const tenths = Math.round(milliseconds / 100);
+    if (tenths < 600) return `${(tenths / 10).toFixed(1)} s`;
+    const total = Math.round(milliseconds / 1000);
+    return `${Math.floor(total / 60)} min ${total % 60} s`;
+}
+
+/**
+ * Sums up a response's streaming status, to tell when its nav item needs it redrawn
+ * @param {Object} queryData - The session query
+ * @returns {string} The summary
+ */
+function getTurnStatusKey(queryData) {
+    if (streamingTurns.has(queryData)) return 'streaming';
+    return queryData.response && queryData.response.duration !== undefined ? String(queryData.response.duration) : '';
+}
+
+/**
+ * Adds a "generating" indicator to the nav item of a streaming response, or the time the
+ * response took and its word and character count once it has finished
+ * @param {HTMLElement} navItem - The nav item
+ * @param {Object} queryData - The session query
+ * @param {string} type - 'query' or 'response'
+ */
+function renderTurnStatus(navItem, queryData, type) {
+    navItem.querySelectorAll(':scope > .nav-turn-status').forEach(element => element.remove());
+    const streaming = type === 'response' && streamingTurns.has(queryData);
+    navItem.classList.toggle('streaming', streaming);
+
+    const response = type === 'response' ? queryData.response : null;
+    // Responses that were complete when the page loaded were not timed
+    if (!streaming && (!response || response.duration === undefined)) return;
+
+    const status = document.createElement('div');
+    status.className = 'nav-turn-status';
+    if (streaming) {
+        status.classList.add('streaming');
+        status.textContent = 'generating';
+        status.title = 'This response is being generated';
+    } else {
+        const words = response.text.split(/\s+/).filter(Boolean).length;
+        const duration = document.createElement('span');
+        duration.className = 'nav-turn-duration';
+        duration.textContent = formatDuration(response.duration);
+        const counts = document.createElement('span');
+        counts.className = 'nav-turn-counts';
+        counts.textContent = `${words.toLocaleString()} ${words === 1 ? 'word' : 'words'} · ${response.text.length.toLocaleString()} chars`;
+        status.append(duration, ' · ', counts);
+        status.title = 'Time to generate, and length of the final response';
+    }
+
+    // Under the summary, above the note, the versions and the heading outline
+    const nextElement = navItem.querySelector(':scope > .nav-note, :scope > .nav-version-toggle, :scope > .nav-outline-toggle, :scope > .nav-note-editor');
+    navItem.insertBefore(status, nextElement);
+}
+
+// --- Code Index ---
+
+// File extensions for downloaded code blocks, by detected language
+const CODE_FILE_EXTENSIONS = {
+    bash: 'sh', shell: 'sh', sh: 'sh', zsh: 'sh', powershell: 'ps1',
+    c: 'c', cpp: 'cpp', 'c++': 'cpp', csharp: 'cs', 'c#': 'cs', go: 'go', rust: 'rs',
+    java: 'java', kotlin: 'kt', swift: 'swift', scala: 'scala', dart: 'dart',
+    javascript: 'js', js: 'js', jsx: 'jsx', typescript: 'ts', ts: 'ts', tsx: 'tsx',
+    python: 'py', py: 'py', ruby: 'rb', php: 'php', perl: 'pl', lua: 'lua', r: 'r',
+    html: 'html', css: 'css', scss: 'scss', json: 'json', yaml: 'yml', yml: 'yml',
+    toml: 'toml', xml: 'xml', sql: 'sql', markdown: 'md', md: 'md', dockerfile: 'dockerfile'
+};
+
+/**
+ * Creates the Chat / Code / Diagnostics tabs at the top of the sidebar
+ * @returns {HTMLElement} The tab bar
+ */
+function createNavTabs() {
+    const tabs = document.createElement('div');
+    tabs.className = 'nav-tabs';
+    tabs.setAttribute('role', 'tablist');
+
+    [{ tab: 'chat', label: 'Chat' }, { tab: 'code', label: 'Code' }, { tab: 'diagnostics', label: 'Diagnostics' }].forEach(({ tab, label }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.tab = tab;
+        button.setAttribute('role', 'tab');
+        button.textContent = label;
+        button.classList.toggle('active', tab === navTab);
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            setNavTab(tab);
+        });
+        tabs.appendChild(button);
+    });
+
+    return tabs;
+}
+
+/**
+ * Switches the sidebar between the conversation, the code block index and the diagnostics
+ * @param {string} tab - 'chat', 'code' or 'diagnostics'
+ */
+function setNavTab(tab) {
+    if (!['chat', 'code', 'diagnostics'].includes(tab) || !navBar) return;
+
+    navTab = tab;
+    navBar.classList.toggle('code-tab', tab === 'code');
+    navBar.classList.toggle('diagnostics-tab', tab === 'diagnostics');
+    if (tab === 'diagnostics') {
+        renderDiagnostics();
+    }
+    navBar.querySelectorAll('.nav-tabs button').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+        button.setAttribute('aria-selected', String(button.dataset.tab === tab));
+    });
+    searchInput.placeholder = tab === 'code' ? 'Search code...' : 'Search chat...';
+    clearNavigationHighlight();
+}
+
+/**
+ * Gets the code inside a <pre>, without toolbars the provider renders around it
+ * @param {HTMLElement} preElement - The <pre> element
+ * @returns {string} The code
+ */
+function getCodeBlockText(preElement) {
+    const codeElement = preElement.querySelector('code') || preElement;
+    return (codeElement.textContent || '').replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Gets the first line of a code block that says something, skipping blank and bracket-only lines
+ * @param {string} code - The code
+ * @returns {string} The line, trimmed
+ */
+function getFirstMeaningfulLine(code) {
+    const lines = code.split('\n').map(line => line.trim());
+    return lines.find(line => /\w/.test(line)) || lines.find(line => line) || '';
+}
+
+/**
+ * Creates the Code tab entry for a code block
+ * @param {HTMLElement} preElement - The <pre> element
+ * @returns {Object} The entry: { row, text, turnNumber, queryId, language }
+ */
+function createCodeEntry(preElement) {
+    const entry = { text: null, turnNumber: null, queryId: null, language: '' };
+
+    const row = document.createElement('div');
+    row.className = 'nav-code-entry';
+    row.innerHTML = `
+        <div class="nav-code-header">
+            <span class="nav-code-language"></span>
+            <span class="nav-code-meta"></span>
+        </div>
+        <div class="nav-code-line"></div>
+        <div class="nav-code-actions">
+            <button type="button" data-action="copy" title="Copy code">Copy</button>
+            <button type="button" data-action="jump" title="Scroll to this code block">Jump</button>
+            <button type="button" data-action="download" title="Download as a file">Download</button>
+        </div>
+    `;
+    entry.row = row;
+
+    const jumpToCode = () => {
+        scrollSpyPausedUntil = Date.now() + 1000;
+        preElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        if (entry.queryId) {
+            setActiveNavItem(`${entry.queryId}:response`);
+        }
+    };
+
+    row.addEventListener('click', jumpToCode);
+    row.querySelector('[data-action="jump"]').addEventListener('click', (event) => {
+        event.stopPropagation();
+        jumpToCode();
+    });
+
+    const copyButton = row.querySelector('[data-action="copy"]');
+    copyButton.addEventListener('click', async (event) => {
+        event.stopPropagation();
+        try {
+            await navigator.clipboard.writeText(getCodeBlockText(preElement));
+            copyButton.textContent = 'Copied';
+        } catch (error) {
+            console.warn('AI Navigator: Could not copy code block:', error);
+            copyButton.textContent = 'Failed';
+        }
+        setTimeout(() => {
+            copyButton.textContent = 'Copy';
+        }, 1500);
+    });
+
+    row.querySelector('[data-action="download"]').addEventListener('click', (event) => {
+        event.stopPropagation();
+        const extension = CODE_FILE_EXTENSIONS[entry.language] || 'txt';
+        const fileName = ConversationExporter.getFileName(`${document.title} - turn ${entry.turnNumber} code`, extension);
+        ConversationExporter.download(getCodeBlockText(preElement), fileName, 'text/plain');
+    });
+
+    return entry;
+}
+
+/**
+ * Refreshes the text of a Code tab entry after its code block was added or changed
+ * @param {Object} entry - The entry from createCodeEntry()
+ * @param {HTMLElement} preElement - The <pre> element
+ */
+function updateCodeEntry(entry, preElement) {
+    entry.language = currentProvider.getCodeBlockLanguage(preElement);
+    const lineCount = entry.text.split('\n').length;
+    const firstLine = getFirstMeaningfulLine(entry.text);
+
+    entry.row.querySelector('.nav-code-language').textContent = entry.language || 'code';
+    entry.row.querySelector('.nav-code-meta').textContent = `${lineCount} line${lineCount === 1 ? '' : 's'} \u00b7 turn ${entry.turnNumber}`;
+    entry.row.querySelector('.nav-code-line').textContent = firstLine;
+    entry.row.title = entry.text.substring(0, 500);
+}
+
+/**
+ * Brings the Code tab in line with the code blocks in the page's responses.
+ * Only the responses that changed are read again, and only added, changed or removed blocks are
+ * touched, so it is cheap to run after every DOM change.
+ * @param {Set<Object>} [changedQueries] - Session queries whose response changed; all are read when omitted
+ */
+function updateCodeIndex(changedQueries = null) {
+    const codeSection = navBar ? navBar.querySelector('.nav-code-section') : null;
+    if (!codeSection || !currentProvider) return;
+
+    let orderChanged = false;
+    const currentBlocks = []; // Code blocks of every rendered response, in conversation order
+    const currentBlockSet = new Set();
+    const readTurns = new Map();
+    sessionQueries.forEach((queryData, index) => {
+        const rendered = renderedTurns.get(queryData);
+        const responseElement = rendered ? rendered.response : null;
+        if (!responseElement) return;
+
+        const turnNumber = index + 1;
+        let turn = codeBlockTurns.get(queryData);
+        if (turn && turn.response === responseElement && changedQueries && !changedQueries.has(queryData)) {
+            // Unchanged response: its blocks only need renumbering if an earlier turn went away
+            turn.preElements.forEach(preElement => {
+                const entry = codeBlockEntries.get(preElement);
+                if (entry.turnNumber !== turnNumber) {
+                    entry.turnNumber = turnNumber;
+                    updateCodeEntry(entry, preElement);
+                }
+            });
+        } else {
+            turn = { response: responseElement, preElements: [] };
+            responseElement.querySelectorAll('pre').forEach(preElement => {
+                const text = getCodeBlockText(preElement);
+                if (!text.trim()) return;
+
+                let entry = codeBlockEntries.get(preElement);
+                if (!entry) {
+                    entry = createCodeEntry(preElement);
+                    codeBlockEntries.set(preElement, entry);
+                    orderChanged = true;
+                }
+                turn.preElements.push(preElement);
+
+                // Streaming responses grow their code blocks - only refresh what changed
+                if (entry.text !== text || entry.turnNumber !== turnNumber) {
+                    entry.text = text;
+                    entry.turnNumber = turnNumber;
+                    entry.queryId = queryData.id;
+                    entry.timestamp = queryData.response.timestamp;
+                    updateCodeEntry(entry, preElement);
+                }
+            });
+        }
+        readTurns.set(queryData, turn);
+        turn.preElements.forEach(preElement => {
+            currentBlocks.push(preElement);
+            currentBlockSet.add(preElement);
+        });
+    });
+    codeBlockTurns = readTurns;
+
+    codeBlockEntries.forEach((entry, preElement) => {
+        if (!currentBlockSet.has(preElement)) {
+            entry.row.remove();
+            codeBlockEntries.delete(preElement);
+            orderChanged = true;
+        }
+    });
+
+    if (orderChanged) {
+        currentBlocks.forEach(preElement => codeSection.appendChild(codeBlockEntries.get(preElement).row));
+    }
+
+    let emptyMessage = codeSection.querySelector('.nav-code-empty');
+    if (currentBlocks.length === 0 && !emptyMessage) {
+        emptyMessage = document.createElement('div');
+        emptyMessage.className = 'nav-code-empty';
+        emptyMessage.textContent = 'No code blocks in this chat yet.';
+        codeSection.prepend(emptyMessage);
+    } else if (currentBlocks.length > 0 && emptyMessage) {
+        emptyMessage.remove();
+    }
+
+    const codeTabButton = navBar.querySelector('.nav-tabs button[data-tab="code"]');
+    if (codeTabButton) {
+        codeTabButton.textContent = currentBlocks.length > 0 ? `Code (${currentBlocks.length})` : 'Code';
+    }
+
+    filterCodeEntries(SearchQuery.parse(searchInput ? searchInput.value.trim() : ''));
+    updateSearchChips();
+}
+
+/**
+ * Filters the Code tab with the sidebar search; operators apply as for the response holding the code
+ * @param {Object} query - Parsed search from SearchQuery.parse()
+ */
+function filterCodeEntries(query) {
+    codeBlockEntries.forEach(entry => {
+        const matches = query.isEmpty || !!SearchQuery.evaluate(query, {
+            code: { text: entry.text, weight: 1 },
+            language: { text: entry.language, weight: 2 }
+        }, {
+            role: 'assistant',
+            hasCode: true,
+            languages: entry.language ? [entry.language] : [],
+            pinned: false,
+            timestamp: entry.timestamp
+        });
+        entry.row.style.display = matches ? '' : 'none';
+    });
+}
+
+// --- Pinned Turns ---
+
+/**
+ * Finds the session query and item type a nav item points to
+ * @param {HTMLElement} navItem - The nav item
+ * @returns {{queryData: Object, type: string}|null} The query record and 'query'/'response', or null
+ */
+function getNavItemTurn(navItem) {
+    const rendered = navItemsByKey.get(navItem.dataset.itemKey);
+    return rendered ? { queryData: rendered.queryData, type: rendered.type } : null;
+}
+
+/**
+ * Finds the element a nav item scrolls to
+ * @param {HTMLElement} navItem - The nav item
+ * @returns {HTMLElement|null} The turn element or its placeholder, or null
+ */
+function getNavItemTarget(navItem) {
+    const rendered = navItemsByKey.get(navItem.dataset.itemKey);
+    return rendered ? rendered.target : null;
+}
+
+/**
+ * Finds the stored annotation (pin or note) for a turn by the identity of its query.
+ * Annotations saved without one (older versions, saved conversations) match on the query's text.
+ * @param {Array} annotations - pinnedTurns or turnNotes
+ * @param {Object} queryData - The session query
+ * @param {string} type - 'query' or 'response'
+ * @returns {Object|undefined} The annotation, if the turn has one
+ */
+function findTurnAnnotation(annotations, queryData, type) {
+    return annotations.find(entry => entry.type === type &&
+        (entry.turnId ? entry.turnId === queryData.id : entry.text.trim() === queryData.text.trim()));
+}
+
+/**
+ * Finds the stored pin for a turn
+ * @param {Object} queryData - The session query
+ * @param {string} type - 'query' or 'response'
+ * @returns {Object|undefined} The pin, if the turn is pinned
+ */
+function findPin(queryData, type) {
+    return findTurnAnnotation(pinnedTurns, queryData, type);
+}
+
+/**
+ * Pins or unpins the turn behind a nav item
+ * @param {HTMLElement} navItem - The nav item whose star was clicked
+ */
+function togglePin(navItem) {
+    const turn = getNavItemTurn(navItem);
+    if (!turn) return;
+
+    const existingPin = findPin(turn.queryData, turn.type);
+    if (existingPin) {
+        pinnedTurns.splice(pinnedTurns.indexOf(existingPin), 1);
+        console.log(`AI Navigator: Unpinned ${turn.type}: ${turn.queryData.text.substring(0, 50)}...`);
+    } else {
+        pinnedTurns.push({ type: turn.type, turnId: turn.queryData.id, text: turn.queryData.text, pinnedAt: Date.now() });
+        console.log(`AI Navigator: Pinned ${turn.type}: ${turn.queryData.text.substring(0, 50)}...`);
+    }
+
+    saveSessionQueries();
+    renderPinnedSection();
+}
+
+/**
+ * Gets the nav items of all pinned turns currently in the sidebar, in conversation order
+ * @returns {Array<HTMLElement>} Pinned nav items
+ */
+function getPinnedNavItems() {
+    return allNavItems.filter(navItem => {
+        const turn = getNavItemTurn(navItem);
+        return turn && findPin(turn.queryData, turn.type);
+    });
+}
+
+/**
+ * Renders the "Pinned" section at the top of the sidebar and marks pinned nav items
+ */
+function renderPinnedSection() {
+    if (!navBar) return;
+
+    const pinnedSection = navBar.querySelector('.nav-pinned-section');
+    if (!pinnedSection) return;
+
+    const pinnedNavItems = getPinnedNavItems();
+
+    const pinnedSet = new Set(pinnedNavItems);
+    allNavItems.forEach(navItem => {
+        const isPinned = pinnedSet.has(navItem);
+        // New items start unpinned, so only items whose pin changed need their star redrawn
+        if (navItem.classList.contains('pinned') === isPinned) return;
+        navItem.classList.toggle('pinned', isPinned);
+        const pinButton = navItem.querySelector('.nav-pin-btn');
+        if (pinButton) {
+            pinButton.innerHTML = isPinned ? '&#9733;' : '&#9734;';
+            pinButton.title = isPinned ? 'Unpin this turn' : 'Pin this turn';
+            pinButton.setAttribute('aria-label', pinButton.title);
+        }
+    });
+
+    pinnedSection.innerHTML = '';
+    pinnedSection.style.display = pinnedNavItems.length > 0 ? 'block' : 'none';
+    if (pinnedNavItems.length === 0) return;
+
+    const title = document.createElement('div');
+    title.className = 'nav-section-title';
+    title.textContent = 'Pinned';
+    title.title = 'Alt+\u2193 / Alt+\u2191 to jump between pinned turns';
+    pinnedSection.appendChild(title);
+
+    pinnedNavItems.forEach(navItem => {
+        // Built from the turn rather than copied from the item, which may hold search highlights or a snippet
+        const rendered = navItemsByKey.get(navItem.dataset.itemKey);
+        const pinnedEntry = document.createElement('div');
+        pinnedEntry.classList.add('nav-item', 'pinned-entry', rendered.type);
+        pinnedEntry.title = navItem.title;
+
+        const summaryElement = document.createElement('span');
+        summaryElement.className = 'nav-item-summary';
+        const turnNumber = document.createElement('strong');
+        turnNumber.textContent = `${rendered.turnNumber}.`;
+        summaryElement.append(turnNumber, ` ${generateSummary(rendered.text)}`);
+        pinnedEntry.appendChild(summaryElement);
+
+        // The star unpins, the rest of the entry behaves like the original item
+        const pinButton = document.createElement('button');
+        pinButton.type = 'button';
+        pinButton.className = 'nav-pin-btn';
+        pinButton.title = 'Unpin this turn';
+        pinButton.setAttribute('aria-label', pinButton.title);
+        pinButton.innerHTML = '&#9733;';
+        pinButton.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            togglePin(navItem);
+        });
+        pinnedEntry.appendChild(pinButton);
+
+        const note = findNote(rendered.queryData, rendered.type);
+        if (note) {
+            const snippet = document.createElement('div');
+            snippet.className = 'nav-note';
+            snippet.textContent = note.note;
+            pinnedEntry.appendChild(snippet);
+        }
+
+        pinnedEntry.addEventListener('click', () => navItem.click());
+        pinnedSection.appendChild(pinnedEntry);
+    });
+}
+
+/**
+ * Jumps to the next or previous pinned turn relative to the active item
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function jumpToPinnedTurn(direction) {
+    const pinnedNavItems = getPinnedNavItems();
+    if (pinnedNavItems.length === 0) {
+        console.log('AI Navigator: No pinned turns to jump to');
+        return;
+    }
+
+    const currentIndex = pinnedNavItems.findIndex(item => item.classList.contains('active'));
+    let nextIndex;
+    if (currentIndex === -1) {
+        nextIndex = direction > 0 ? 0 : pinnedNavItems.length - 1;
+    } else {
+        nextIndex = (currentIndex + direction + pinnedNavItems.length) % pinnedNavItems.length;
+    }
+
+    pinnedNavItems[nextIndex].click();
+}
+
+/**
+ * Handles Alt+ArrowDown / Alt+ArrowUp to cycle through pinned turns
+ * @param {KeyboardEvent} event - The keyboard event
+ */
+function handlePinnedNavigation(event) {
+    if (!event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return;
+
+    // Leave Alt+Arrow alone while the user is typing
+    const activeElement = document.activeElement;
+    if (activeElement && (
+        activeElement.tagName === 'INPUT' ||
+        activeElement.tagName === 'TEXTAREA' ||
+        activeElement.isContentEditable
+    )) {
+        return;
+    }
+
+    event.preventDefault();
+    jumpToPinnedTurn(event.key === 'ArrowDown' ? 1 : -1);
+}
+
+// --- Turn Notes ---
+
+/**
+ * Finds the stored note for a turn
+ * @param {Object} queryData - The session query
+ * @param {string} type - 'query' or 'response'
+ * @returns {Object|undefined} The note, if the turn has one
+ */
+function findNote(queryData, type) {
+    return findTurnAnnotation(turnNotes, queryData, type);
+}
+
+/**
+ * Saves, updates or (with empty text) deletes the note for the turn behind a nav item
+ * @param {HTMLElement} navItem - The nav item
+ * @param {string} noteText - The note text
+ */
+function setNote(navItem, noteText) {
+    const turn = getNavItemTurn(navItem);
+    if (!turn) return;
+
+    const text = noteText.trim();
+    const existingNote = findNote(turn.queryData, turn.type);
+
+    if (!text) {
+        if (existingNote) {
+            turnNotes.splice(turnNotes.indexOf(existingNote), 1);
+            console.log(`AI Navigator: Deleted note on ${turn.type}: ${turn.queryData.text.substring(0, 50)}...`);
+        }
+    } else if (existingNote) {
+        existingNote.note = text;
+        existingNote.updatedAt = Date.now();
+    } else {
+        turnNotes.push({ type: turn.type, turnId: turn.queryData.id, text: turn.queryData.text, note: text, updatedAt: Date.now() });
+        console.log(`AI Navigator: Added note on ${turn.type}: ${turn.queryData.text.substring(0, 50)}...`);
+    }
+
+    saveSessionQueries();
+    renderNotes();
+    renderPinnedSection();
+}
+
+/**
+ * Opens the inline note editor for a nav item
+ * @param {HTMLElement} navItem - The nav item
+ * @param {string} [draft] - Unsaved text to restore, e.g. after the sidebar was rebuilt
+ */
+function openNoteEditor(navItem, draft) {
+    const turn = getNavItemTurn(navItem);
+    if (!turn) return;
+
+    closeNoteEditor();
+
+    const existingNote = findNote(turn.queryData, turn.type);
+    noteEditorState = {
+        itemKey: navItem.dataset.itemKey,
+        draft: draft !== undefined ? draft : (existingNote ? existingNote.note : '')
+    };
+
+    const editor = document.createElement('div');
+    editor.className = 'nav-note-editor';
+    editor.innerHTML = `
+        <textarea rows="3" placeholder="Private note for this turn..."></textarea>
+        <div class="nav-note-editor-buttons">
+            <button type="button" data-action="save">Save</button>
+            <button type="button" data-action="cancel">Cancel</button>
+            ${existingNote ? '<button type="button" data-action="delete">Delete</button>' : ''}
+        </div>
+    `;
+
+    const textarea = editor.querySelector('textarea');
+    textarea.value = noteEditorState.draft;
+
+    // Keep clicks and keys inside the editor from reaching the nav item and page
+    editor.addEventListener('click', (event) => event.stopPropagation());
+    textarea.addEventListener('input', () => {
+        if (noteEditorState) noteEditorState.draft = textarea.value;
+    });
+    textarea.addEventListener('keydown', (event) => {
+        event.stopPropagation();
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            closeNoteEditor();
+            setNote(navItem, textarea.value);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            closeNoteEditor();
+        }
+    });
+    editor.querySelectorAll('button').forEach(button => {
+        button.addEventListener('click', () => {
+            const action = button.dataset.action;
+            if (action === 'save') {
+                closeNoteEditor();
+                setNote(navItem, textarea.value);
+            } else if (action === 'delete') {
+                closeNoteEditor();
+                setNote(navItem, '');
+            } else {
+                closeNoteEditor();
+            }
+        });
+    });
+
+    navItem.appendChild(editor);
+    navItem.classList.add('editing-note');
+    textarea.focus();
+}
+
+/**
+ * Closes the open note editor without saving
+ */
+function closeNoteEditor() {
+    noteEditorState = null;
+    if (!navBar) return;
+
+    navBar.querySelectorAll('.nav-note-editor').forEach(editor => {
+        editor.parentElement.classList.remove('editing-note');
+        editor.remove();
+    });
+}
+
+/**
+ * Shows note icons and snippets on nav items and makes notes searchable
+ * @param {Array<HTMLElement>} [navItems] - Only these nav items, e.g. the ones just added
+ */
+function renderNotes(navItems = allNavItems) {
+    navItems.forEach(navItem => {
+        const turn = getNavItemTurn(navItem);
+        const note = turn ? findNote(turn.queryData, turn.type) : null;
+
+        const noteButton = navItem.querySelector('.nav-note-btn');
+        if (noteButton) {
+            noteButton.classList.toggle('has-note', !!note);
+            noteButton.title = note ? 'Edit note' : 'Add a note';
+            noteButton.setAttribute('aria-label', noteButton.title);
+        }
+
+        navItem.querySelectorAll('.nav-note').forEach(element => element.remove());
+        navItem.classList.toggle('has-note', !!note);
+        navItem.dataset.note = note ? note.note.toLowerCase() : '';
+
+        if (note) {
+            const snippet = document.createElement('div');
+            snippet.className = 'nav-note';
+            snippet.textContent = note.note;
+            snippet.title = 'Click to expand';
+            snippet.addEventListener('click', (event) => {
+                event.stopPropagation();
+                snippet.classList.toggle('expanded');
+            });
+
+            // Keep the note above the other versions, the heading outline and the note editor
+            const nextElement = navItem.querySelector('.nav-version-toggle, .nav-outline-toggle, .nav-note-editor');
+            navItem.insertBefore(snippet, nextElement);
+        }
+    });
+
+    // Restore an editor that was open before the sidebar was rebuilt
+    if (noteEditorState && !navBar.querySelector('.nav-note-editor')) {
+        const navItem = allNavItems.find(item => item.dataset.itemKey === noteEditorState.itemKey);
+        if (navItem) {
+            openNoteEditor(navItem, noteEditorState.draft);
+        }
+    }
+}
+
+// --- Core Functions ---
+
+/**
+ * Creates and injects the navigation bar into the page.
+ */
+function createNavBar() {
+    if (document.getElementById('ai-nav-bar')) {
+        return; // Nav bar already exists
+    }
+
+    if (!currentProvider) {
+        console.error('AI Navigator: No provider found for current page');
+        return;
+    }
+
+    navBar = document.createElement('div');
+    navBar.id = 'ai-nav-bar';
+    if (navSettings.startCollapsed) {
+        navBar.classList.add('collapsed'); // Start with sidebar collapsed by default
+    }
+    applyLayoutSettings();
+    
+    // Create header with provider-specific title and control buttons
+    const header = document.createElement('h3');
+    header.innerHTML = `<div class="header-buttons">
+        <button id="ai-nav-focus-mode-btn" title="Toggle Focus Mode (Auto-hide sidebar when typing)" aria-label="Toggle Focus Mode" class="${focusModeEnabled ? 'active' : ''}">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
+                <circle cx="12" cy="12" r="3"></circle>
+            </svg>
+        </button>
+        <button id="ai-nav-export-btn" title="Export Conversation" aria-label="Export Conversation">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                <polyline points="7 10 12 15 17 10"></polyline>
+                <line x1="12" y1="15" x2="12" y2="3"></line>
+            </svg>
+        </button>
+        <button id="ai-nav-refresh-btn" title="Refresh Chat Navigation" aria-label="Refresh Chat Navigation">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <polyline points="23 4 23 10 17 10"></polyline>
+                <polyline points="1 20 1 14 7 14"></polyline>
+                <path d="m20.49 9A9 9 0 0 0 5.64 5.64L1 10m22 4l-4.64 4.36A9 9 0 0 1 3.51 15"></path>
+            </svg>
+        </button>
+    </div>${currentProvider.getNavTitle()} <span id="ai-nav-collapse-btn" title="Collapse Navigation">&raquo;</span>`;
+    navBar.appendChild(header);
+    navBar.appendChild(createHealthBanner());
+    navBar.appendChild(createNavTabs());
+    
+    // Create search container
+    const searchContainer = document.createElement('div');
+    searchContainer.className = 'search-container';
+    
+    searchInput = document.createElement('input');
+    searchInput.type = 'text';
+    searchInput.className = 'search-input';
+    searchInput.placeholder = 'Search chat...';
+    
+    const searchClear = document.createElement('div');
+    searchClear.className = 'search-clear';
+    searchClear.innerHTML = '&times;';
+    searchClear.style.display = 'none';
+    
+    searchContainer.appendChild(searchInput);
+    searchContainer.appendChild(searchClear);
+    navBar.appendChild(searchContainer);
+    navBar.appendChild(createFindBar());
+    navBar.appendChild(createSearchChips());
+
+    navBar.appendChild(createViewModeToggle());
+
+    const pinnedSection = document.createElement('div');
+    pinnedSection.className = 'nav-pinned-section';
+    pinnedSection.style.display = 'none';
+    navBar.appendChild(pinnedSection);
+
+    const codeSection = document.createElement('div');
+    codeSection.className = 'nav-code-section';
+    navBar.appendChild(codeSection);
+
+    const diagnosticsSection = document.createElement('div');
+    diagnosticsSection.className = 'nav-diagnostics-section';
+    navBar.appendChild(diagnosticsSection);
+    
+    document.body.appendChild(navBar);
+    document.body.classList.toggle('ai-nav-collapsed', navSettings.startCollapsed); // Body class mirrors collapsed state
+    
+    // Initialize search functionality
+    searchInput.addEventListener('input', handleSearch);
+    searchInput.addEventListener('keydown', handleFindKeydown);
+    searchClear.addEventListener('click', clearSearch);
+
+    const expandBtn = document.createElement('button');
+    expandBtn.id = 'ai-nav-expand-btn';
+    expandBtn.title = 'Expand Navigation';
+    expandBtn.innerHTML = '&laquo;';
+    expandBtn.classList.add('initial-glow'); // Add glow animation on initial load
+    document.body.appendChild(expandBtn);
+    
+    // Remove glow after animation completes (2s duration * 3 iterations + 0.5s delay = 6.5s)
+    setTimeout(() => {
+        expandBtn.classList.remove('initial-glow');
+    }, 6500);
+
+    const collapseBtn = document.getElementById('ai-nav-collapse-btn');
+    const refreshBtn = document.getElementById('ai-nav-refresh-btn');
+    const focusModeBtn = document.getElementById('ai-nav-focus-mode-btn');
+    const exportBtn = document.getElementById('ai-nav-export-btn');
+
+    if (navBar && collapseBtn && expandBtn) {
+        collapseBtn.addEventListener('click', toggleNav);
+        expandBtn.addEventListener('click', (e) => {
+            expandBtn.classList.remove('initial-glow'); // Remove glow on first interaction
+            toggleNav();
+        });
+    } else {
+        console.error('AI Navigator: Could not find all necessary elements for collapse/expand functionality.');
+    }
+
+    if (refreshBtn) {
+        refreshBtn.addEventListener('click', handleRefreshClick);
+    } else {
+        console.error('AI Navigator: Could not find refresh button element.');
+    }
+
+    if (focusModeBtn) {
+        focusModeBtn.addEventListener('click', handleFocusModeToggle);
+    } else {
+        console.error('AI Navigator: Could not find focus mode button element.');
+    }
+
+    if (exportBtn) {
+        exportBtn.addEventListener('click', handleExportClick);
+    } else {
+        console.error('AI Navigator: Could not find export button element.');
+    }
+    adjustMainContentLayout(); // Adjust layout after adding nav bar
+}
+
+/**
+ * Gets the provider's layout config with any width/offset overrides from settings applied.
+ * @returns {Object} Layout configuration
+ */
+function getLayoutConfig() {
+    const layoutConfig = { ...currentProvider.getLayoutConfig() };
+    if (navSettings.navBarWidth !== null) layoutConfig.navBarWidth = navSettings.navBarWidth;
+    if (navSettings.topOffset !== null) layoutConfig.topOffset = navSettings.topOffset;
+    return layoutConfig;
+}
+
+/**
+ * Applies the layout config to the navigation bar and re-adjusts the page.
+ */
+function applyLayoutSettings() {
+    if (!navBar) return;
+
+    const layoutConfig = getLayoutConfig();
+    navBar.style.top = `${layoutConfig.topOffset}px`;
+    navBar.style.height = `calc(100vh - ${layoutConfig.topOffset}px)`;
+    navBar.style.setProperty('--ai-nav-width', `${layoutConfig.navBarWidth}px`);
+
+    if (navBar.isConnected) {
+        adjustMainContentLayout();
+    }
+}
+
+/**
+ * Switches to provider configs edited on the options page without a reload.
+ * @param {Array<Object>} configs - The user-defined provider configs
+ */
+async function applyProviderConfigs(configs) {
+    providerConfigs = configs;
+
+    const newProvider = new ProviderFactory(providerConfigs).getCurrentProvider();
+    if (!newProvider) {
+        console.log('AI Navigator: No provider matches this page any more');
+        return;
+    }
+
+    console.log(`AI Navigator: Provider configs changed, using ${newProvider.name}`);
+    currentProvider = newProvider;
+    navSettings = SettingsStore.resolve(await SettingsStore.load(), currentProvider.name);
+    applyLayoutSettings();
+    refreshData();
+}
+
+/**
+ * Applies settings changed on the options page to this tab without a reload.
+ * @param {Object} settings - Settings in the stored shape (see settings.js)
+ */
+function applySettings(settings) {
+    if (!currentProvider) return;
+
+    const previousSettings = navSettings;
+    navSettings = SettingsStore.resolve(settings, currentProvider.name);
+
+    applyLayoutSettings();
+
+    if (navSettings.focusModeEnabled !== previousSettings.focusModeEnabled) {
+        toggleFocusMode(navSettings.focusModeEnabled);
+        updateFocusModeButton();
+    }
+
+    if (navSettings.maxSummaryWords !== previousSettings.maxSummaryWords) {
+        updateNavigationFromSession();
+    }
+
+    console.log(`AI Navigator: Applied updated settings for ${currentProvider.name}`);
+}
+
 /**
  * Toggles the collapsed/expanded state of the navigation bar.
  */
@@ -560,6 +2269,19 @@ function toggleNav() {
     navBar.classList.toggle('collapsed');
     document.body.classList.toggle('ai-nav-collapsed');
     adjustMainContentLayout(); // Re-adjust margin after toggling
+    saveSessionQueries(); // Remember the collapsed state for this conversation
+}
+
+/**
+ * Sets the collapsed state of the navigation bar without toggling.
+ * @param {boolean} collapsed - Whether the navigation bar should be collapsed.
+ */
+function setNavCollapsed(collapsed) {
+    if (!navBar || navBar.classList.contains('collapsed') === collapsed) return;
+
+    navBar.classList.toggle('collapsed', collapsed);
+    document.body.classList.toggle('ai-nav-collapsed', collapsed);
+    adjustMainContentLayout();
 }
 
 /**
@@ -569,7 +2291,7 @@ function toggleNav() {
 function adjustMainContentLayout(retryCount = 0) {
     if (!currentProvider) return;
     
-    const layoutConfig = currentProvider.getLayoutConfig();
+    const layoutConfig = getLayoutConfig();
     const mainContentMargin = layoutConfig.navBarWidth + layoutConfig.gap + 'px';
 
     // Use provider-specific main content selectors
@@ -580,6 +2302,7 @@ function adjustMainContentLayout(retryCount = 0) {
         mainContentArea = document.querySelector(selector);
         if (mainContentArea) {
             console.log(`AI Navigator: Found main content area using selector: ${selector}`, mainContentArea);
+            mainContentMatch = { selector, fallback: false };
             break;
         }
     }
@@ -615,6 +2338,7 @@ function adjustMainContentLayout(retryCount = 0) {
                 mainContentArea = document.querySelector(selector);
                 if (mainContentArea) {
                     console.log(`AI Navigator: Found fallback content area using: ${selector}`, mainContentArea);
+                    mainContentMatch = { selector, fallback: true };
                     if (navBar && !navBar.classList.contains('collapsed')) {
                         mainContentArea.style.marginRight = mainContentMargin;
                         console.log('AI Navigator: Applied margin-right to fallback content area');
@@ -623,6 +2347,7 @@ function adjustMainContentLayout(retryCount = 0) {
                 }
             }
             
+            mainContentMatch = null;
             console.warn(`AI Navigator: Could not identify ${currentProvider.name} main content area to adjust layout after 3 attempts. Sidebar will still work but layout may not be optimal.`);
         }
     }
@@ -636,57 +2361,192 @@ function adjustMainContentLayout(retryCount = 0) {
 function generateSummary(text) {
     if (!text) return 'No content';
     const words = text.trim().split(/\s+/);
-    if (words.length > MAX_SUMMARY_WORDS) {
-        return words.slice(0, MAX_SUMMARY_WORDS).join(' ') + '...';
+    if (words.length > navSettings.maxSummaryWords) {
+        return words.slice(0, navSettings.maxSummaryWords).join(' ') + '...';
     }
     return words.join(' ');
 }
 
+/**
+ * Escapes text for safe insertion into nav item markup.
+ * @param {string} text - The raw text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Creates the segmented control for switching between questions, responses or both.
+ * @returns {HTMLElement} The toggle container.
+ */
+function createViewModeToggle() {
+    const toggle = document.createElement('div');
+    toggle.className = 'nav-view-toggle';
+    toggle.setAttribute('role', 'group');
+    toggle.setAttribute('aria-label', 'Show in navigation');
+
+    const modes = [
+        { mode: 'queries', label: 'Questions' },
+        { mode: 'responses', label: 'Responses' },
+        { mode: 'both', label: 'Both' }
+    ];
+
+    modes.forEach(({ mode, label }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.mode = mode;
+        button.textContent = label;
+        button.classList.toggle('active', mode === navViewMode);
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            setNavViewMode(mode);
+        });
+        toggle.appendChild(button);
+    });
+
+    return toggle;
+}
+
+/**
+ * Switches which nav items are shown and re-applies the current search.
+ * @param {string} mode - 'queries', 'responses' or 'both'.
+ */
+function setNavViewMode(mode) {
+    if (!['queries', 'responses', 'both'].includes(mode)) return;
+
+    navViewMode = mode;
+    if (navBar) {
+        navBar.querySelectorAll('.nav-view-toggle button').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+    }
+
+    filterNavItems(searchInput ? searchInput.value.trim() : '');
+    console.log(`AI Navigator: View mode set to ${mode}`);
+}
+
+/**
+ * Checks whether a nav item belongs to the current view mode.
+ * @param {HTMLElement} item - The nav item.
+ * @returns {boolean} True if the item should be shown in this mode.
+ */
+function isNavItemInViewMode(item) {
+    if (navViewMode === 'queries') return item.classList.contains('query');
+    if (navViewMode === 'responses') return item.classList.contains('response');
+    return true;
+}
+
 /**
  * Adds a navigation item to the bar.
  * @param {string} summary - The text summary for the nav item.
  * @param {string} type - 'query' or 'response'.
  * @param {HTMLElement} targetElement - The element to scroll to.
- * @param {string} elementId - The ID of the target element.
+ * @param {string} [itemKey] - Stable key of the item, used to persist the active item.
+ * @returns {HTMLElement|undefined} The new nav item, or undefined if none was added.
  */
-function addNavItem(summary, type, targetElement, elementId) {
+function addNavItem(summary, type, targetElement, itemKey) {
     if (!navBar || !targetElement) return;
 
-    // Ensure target element has an ID for scrolling, or assign one
-    if (!targetElement.id) {
-        targetElement.id = `ai-nav-target-${type}-${elementId.replace(/[^a-zA-Z0-9-_]/g, '')}`;
-    }
-    const navItemId = `nav-item-for-${targetElement.id}`;
+    const isPlaceholder = targetElement.classList.contains('ai-nav-placeholder');
+    const navItem = document.createElement('div');
+    navItem.classList.add('nav-item', type);
+    navItem.classList.toggle('placeholder', isPlaceholder);
 
-    // Avoid adding duplicate nav items
-    if (document.getElementById(navItemId)) {
-        return;
+    // The summary gets its own element so search can highlight matches in it
+    const summaryElement = document.createElement('span');
+    summaryElement.className = 'nav-item-summary';
+    navItem.appendChild(summaryElement);
+    setNavItemContent(navItem, summary, targetElement);
+    if (itemKey) {
+        navItem.dataset.itemKey = itemKey;
     }
 
-    const fullText = targetElement.innerText || '';
-    const navItem = document.createElement('div');
-    navItem.classList.add('nav-item', type);
-    navItem.innerHTML = summary;
-    navItem.title = fullText.substring(0, 200) + (fullText.length > 200 ? '...' : ''); // Full text on hover
-    navItem.id = navItemId;
-    
-    // Store full text for searching
-    navItem.dataset.fullText = fullText.toLowerCase();
-    navItem.dataset.summary = summary.toLowerCase();
+    if (itemKey) {
+        const pinButton = document.createElement('button');
+        pinButton.type = 'button';
+        pinButton.className = 'nav-pin-btn';
+        pinButton.title = 'Pin this turn';
+        pinButton.setAttribute('aria-label', 'Pin this turn');
+        pinButton.innerHTML = '&#9734;';
+        pinButton.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            togglePin(navItem);
+        });
+        navItem.appendChild(pinButton);
+
+        const noteButton = document.createElement('button');
+        noteButton.type = 'button';
+        noteButton.className = 'nav-note-btn';
+        noteButton.title = 'Add a note';
+        noteButton.setAttribute('aria-label', 'Add a note');
+        noteButton.innerHTML = '&#9998;';
+        noteButton.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            if (navItem.classList.contains('editing-note')) {
+                closeNoteEditor();
+            } else {
+                openNoteEditor(navItem);
+            }
+        });
+        navItem.appendChild(noteButton);
+    }
 
     navItem.addEventListener('click', () => {
+        if (isPlaceholder) {
+            navigateToPlaceholder(navItem, targetElement);
+            return;
+        }
+
+        // Keep the scroll spy from highlighting every turn the smooth scroll passes
+        scrollSpyPausedUntil = Date.now() + 1000;
         targetElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        // Optional: Highlight active item (implement with an 'active' class)
-        document.querySelectorAll('#ai-nav-bar .nav-item').forEach(item => item.classList.remove('active'));
-        navItem.classList.add('active');
+
+        if (itemKey) {
+            setActiveNavItem(itemKey);
+        } else {
+            document.querySelectorAll('#ai-nav-bar .nav-item').forEach(item => item.classList.remove('active'));
+            navItem.classList.add('active');
+        }
     });
 
     navBar.appendChild(navItem);
     allNavItems.push(navItem); // Store for filtering
+    return navItem;
+}
+
+/**
+ * Sets the summary, hover text and searchable text of a nav item
+ * @param {HTMLElement} navItem - The nav item
+ * @param {string} summary - The summary's HTML
+ * @param {HTMLElement} targetElement - The turn the item scrolls to, or its placeholder
+ */
+function setNavItemContent(navItem, summary, targetElement) {
+    const isPlaceholder = targetElement.classList.contains('ai-nav-placeholder');
+    const fullText = (isPlaceholder ? targetElement.dataset.turnText : targetElement.innerText) || '';
+    navItem.title = fullText.substring(0, 200) + (fullText.length > 200 ? '...' : ''); // Full text on hover
+
+    const summaryElement = navItem.querySelector('.nav-item-summary');
+    summaryElement.innerHTML = summary;
+
+    // Store full text for searching
+    navItem.dataset.fullText = fullText;
+    navItem.dataset.summary = summaryElement.textContent;
+    navItem.dataset.summaryHtml = summary;
 }
 
 /**
- * Finds and processes all user queries on the page using the current provider.
+ * Finds and processes all user queries and assistant responses on the page using the current provider.
+ * Each element is read once and remembered; afterwards only elements that are new or that the
+ * MutationObserver saw change are read again, and only their nav items are updated.
  */
 function processChatElements() {
     console.log(`AI Navigator: Processing chat elements for ${currentProvider?.name || 'unknown provider'}...`);
@@ -696,56 +2556,159 @@ function processChatElements() {
         return;
     }
 
-    const selectors = currentProvider.getSelectors();
+    // The page navigated to another conversation without us noticing - reload its session instead
+    if (window.location.href !== currentUrl) {
+        handleUrlChange();
+        return;
+    }
+
+    // The session for this conversation is still loading
+    if (getCurrentConversationKey() !== sessionConversationKey) {
+        return;
+    }
+
+    const selectors = currentProvider.getSelectors();
+    const changedTurns = collectChangedTurns(selectors);
+    const queryCountBefore = sessionQueries.length;
+    const changedItemKeys = new Set(); // Turns added or changed by this scan, to save and index
+    const removedItemKeys = new Set();
+
+    // Queries and responses in document order, so each response is paired with the query before it
+    const queryElements = new Set(document.querySelectorAll(selectors.queries));
+    const chatElements = selectors.responses ?
+        Array.from(document.querySelectorAll(`${selectors.queries}, ${selectors.responses}`)) :
+        Array.from(queryElements);
+    const responsesByQuery = new Map(); // Session query -> { element, texts } of the responses that follow it
+    let currentQuery = null;
+    let queryPosition = -1;
+    let queriesWithText = 0;
+    let responsesWithText = 0;
+    // On the first scan of a conversation every response is new, which says nothing about streaming
+    const changedResponses = renderedTurns.size > 0 ? new Set() : null;
+    renderedTurns = new Map();
+
+    chatElements.forEach(element => {
+        const changed = changedTurns.has(element);
+
+        // --- User Queries ---
+        if (queryElements.has(element)) {
+            queryPosition++;
+            const tracked = readTurnElement(element, 'query', changed, selectors);
+            if (!tracked.text) {
+                currentQuery = null;
+                return;
+            }
+            queriesWithText++;
 
-    // --- Process User Queries ---
-    const queryElements = document.querySelectorAll(selectors.queries);
-    let newQueriesFound = false;
+            // The identity can change without the text, e.g. when an earlier question is deleted
+            const turnId = getTurnIdentity(element, queryPosition, tracked.text);
+            if (!tracked.queryData || tracked.queryData.id !== turnId) {
+                tracked.queryData = getSessionQueryForTurn(turnId, tracked.text, changedItemKeys, removedItemKeys);
+            }
 
-    queryElements.forEach((queryElement, index) => {
-        try {
-            const textContent = currentProvider.extractTextContent(queryElement);
-            if (textContent && textContent.trim()) {
-                // Create query data object
-                const queryId = queryElement.id || `query-${Date.now()}-${index}`;
-                const queryData = {
-                    id: queryId,
-                    text: textContent.trim(),
-                    elementId: queryElement.id,
-                    timestamp: Date.now(),
-                    index: sessionQueries.length
-                };
-
-                // Ensure element has an ID for future reference
-                if (!queryElement.id) {
-                    queryElement.id = queryId;
-                    queryData.elementId = queryId;
-                }
+            currentQuery = tracked.queryData;
+            if (!renderedTurns.has(currentQuery)) {
+                renderedTurns.set(currentQuery, { query: element, response: null });
 
-                // Add to session if it's new
-                if (addQueryToSession(queryData)) {
-                    newQueriesFound = true;
-                    console.log(`AI Navigator: Added new query to session: ${textContent.substring(0, 50)}...`);
+                // The version label can change without the message, so it is read on every scan
+                const branch = getTurnBranch(element);
+                if (JSON.stringify(branch) !== JSON.stringify(currentQuery.branch || null)) {
+                    changedItemKeys.add(`${currentQuery.id}:query`);
+                }
+                if (branch) {
+                    currentQuery.branch = branch;
+                } else {
+                    delete currentQuery.branch;
                 }
-            } else {
-                console.warn(`AI Navigator: Could not extract text content for query element:`, queryElement);
             }
-        } catch (error) {
-            console.warn(`AI Navigator: Error processing query element:`, error, queryElement);
+            return;
+        }
+
+        // --- Assistant Responses ---
+        // Skip responses that come before any query or wrap a query element
+        if (!currentQuery) return;
+        const tracked = readTurnElement(element, 'response', changed, selectors);
+        if (tracked.wrapsQuery || !tracked.text) return;
+        responsesWithText++;
+
+        const collected = responsesByQuery.get(currentQuery);
+        if (collected) {
+            // Several response blocks for one query - keep the first as the scroll target
+            collected.texts.push(tracked.text);
+        } else {
+            responsesByQuery.set(currentQuery, { element, texts: [tracked.text] });
+        }
+    });
+
+    responsesByQuery.forEach(({ element, texts }, queryData) => {
+        const previousText = queryData.response ? queryData.response.text : null;
+        if (setSessionResponse(queryData, element, texts.join('\n\n'))) {
+            changedItemKeys.add(`${queryData.id}:response`);
+        }
+        renderedTurns.get(queryData).response = element;
+        if (changedResponses && queryData.response.text !== previousText) {
+            changedResponses.add(queryData);
         }
     });
 
-    // Rebuild navigation from complete session data (includes validation)
-    rebuildNavigationFromSession();
+    // Forget elements that left the page
+    const scannedElements = new Set(chatElements);
+    trackedTurns.forEach((tracked, element) => {
+        if (!scannedElements.has(element)) {
+            trackedTurns.delete(element);
+        }
+    });
 
-    if (newQueriesFound) {
-        console.log(`AI Navigator: Session now contains ${sessionQueries.length} total queries`);
+    // Stored queries no longer in the page were deleted - unless the provider only renders the turns
+    // in view, where they are kept as placeholders. Nothing rendered yet means the page is still loading.
+    if (queryElements.size > 0 && !currentProvider.hasVirtualizedTurns()) {
+        const activeQueries = Array.from(renderedTurns.keys()); // In page order, so history loaded above comes first
+        if (activeQueries.length < sessionQueries.length) {
+            rememberReplacedQuestions(changedItemKeys);
+            console.log(`AI Navigator: Removed ${sessionQueries.length - activeQueries.length} inactive queries, ${activeQueries.length} remain active`);
+            sessionQueries.forEach(query => {
+                if (!renderedTurns.has(query)) {
+                    removedItemKeys.add(`${query.id}:query`);
+                    removedItemKeys.add(`${query.id}:response`);
+                }
+            });
+        }
+        activeQueries.forEach((query, index) => {
+            // The turns after a removed or inserted one are renumbered
+            if (query.index !== index) {
+                query.index = index;
+                changedItemKeys.add(`${query.id}:query`);
+                if (query.response) changedItemKeys.add(`${query.id}:response`);
+            }
+        });
+        sessionQueries = activeQueries;
     }
 
-    // Note: Only processing user queries for navigation
-    // Assistant responses are not included in the navigation sidebar
-}
+    const streamingChanged = updateStreamingTurns(changedResponses || new Set());
+    updateNavigationFromSession();
+    // Only write the record and the search index when the conversation changed; while a response
+    // streams that is the response alone
+    if (changedItemKeys.size > 0 || removedItemKeys.size > 0 || streamingChanged ||
+        (conversationRecord && conversationRecord.title !== document.title)) {
+        saveSessionQueries();
+    }
+    if (changedItemKeys.size > 0 || removedItemKeys.size > 0 || indexedTitle !== document.title) {
+        scheduleSearchIndexUpdate(changedItemKeys, removedItemKeys);
+    }
+    applyPendingNavigation();
+    lastChatScanAt = Date.now();
+    // Responses before the first question are not read, so they don't count as having text
+    updateSelectorHealth({
+        queries: queryElements.size,
+        queriesWithText,
+        responses: chatElements.length - queryElements.size,
+        responsesWithText
+    });
 
+    if (sessionQueries.length > queryCountBefore) {
+        console.log(`AI Navigator: Session now contains ${sessionQueries.length} total queries`);
+    }
+}
 
 /**
  * Sets up a MutationObserver to watch for new chat messages.
@@ -791,20 +2754,36 @@ function observeChatContainer() {
     }
 
     console.log(`AI Navigator: Observing container for ${currentProvider.name}:`, chatContainer);
+    observedContainer = chatContainer;
+
+    chatObserver = new MutationObserver((mutationsList) => {
+        // The next scan reads only the turns around the changed nodes again
+        if (noteChatMutations(mutationsList) === 0) return;
+        observerLastFiredAt = Date.now();
+        if (observerPendingSince === null) observerPendingSince = observerLastFiredAt;
 
-    const observer = new MutationObserver((mutationsList, observer) => {
-        // Debounce the processing to avoid multiple rapid updates
+        // Debounce the processing to avoid multiple rapid updates, without waiting for a chat that
+        // keeps changing, such as a streaming response, to pause
+        const maxWaitEnd = observerPendingSince + navSettings.observerDebounceTime * OBSERVER_MAX_DELAYS;
+        const delay = Math.max(0, Math.min(navSettings.observerDebounceTime, maxWaitEnd - observerLastFiredAt));
         clearTimeout(observerTimeout);
         observerTimeout = setTimeout(() => {
+            scanChangesSince = observerPendingSince;
+            observerPendingSince = null;
             console.log(`AI Navigator: DOM changes detected for ${currentProvider.name}, reprocessing chat elements.`);
-            processChatElements();
+            try {
+                processChatElements();
+            } finally {
+                scanChangesSince = null;
+            }
             
             // Reattach focus mode listeners in case new input fields were added
             reattachInputListeners();
-        }, OBSERVER_DEBOUNCE_TIME);
+        }, delay);
     });
 
-    observer.observe(chatContainer, { childList: true, subtree: true });
+    // Character data too, for chats that stream a response by growing its text nodes
+    chatObserver.observe(chatContainer, { childList: true, subtree: true, characterData: true });
     console.log(`AI Navigator: MutationObserver started for ${currentProvider.name}.`);
     
     // Add input event listeners for immediate question detection
@@ -821,6 +2800,13 @@ function setupInputListeners() {
     }
 
     const selectors = currentProvider.getSelectors();
+
+    // Read-only pages such as the conversation viewer have no chat input to watch
+    if (!selectors.submitButton && (!selectors.inputField || selectors.inputField.length === 0)) {
+        console.log(`AI Navigator: No input selectors for ${currentProvider.name}, skipping input listeners`);
+        return;
+    }
+
     console.log(`AI Navigator: Setting up input listeners for ${currentProvider.name}`);
 
     // Listen for Enter key in input fields
@@ -832,7 +2818,7 @@ function setupInputListeners() {
                 // Small delay to allow the message to be processed and added to DOM
                 setTimeout(() => {
                     processChatElements();
-                }, 200);
+                }, navSettings.submitDelay);
             }
         }
     });
@@ -846,7 +2832,7 @@ function setupInputListeners() {
             // Small delay to allow the message to be processed and added to DOM
             setTimeout(() => {
                 processChatElements();
-            }, 200);
+            }, navSettings.submitDelay);
         }
     });
 
@@ -858,20 +2844,144 @@ function setupInputListeners() {
             // Small delay to allow the message to be processed and added to DOM
             setTimeout(() => {
                 processChatElements();
-            }, 200);
+            }, navSettings.submitDelay);
         }
     });
 
     console.log(`AI Navigator: Input listeners set up for ${currentProvider.name}`);
 }
 
+// --- Scroll Spy ---
+
+/**
+ * Highlights the nav item for a turn and remembers it as the active item
+ * @param {string} itemKey - Key of the nav item, e.g. `${queryId}:response`
+ * @param {boolean} [revealInSidebar] - Scroll the sidebar so the item is visible
+ */
+function setActiveNavItem(itemKey, revealInSidebar = false) {
+    let navItem = allNavItems.find(item => item.dataset.itemKey === itemKey);
+    if (!navItem) return;
+
+    // A response hidden by the view mode or search is shown through its question
+    if (navItem.style.display === 'none' && itemKey.endsWith(':response')) {
+        const queryKey = itemKey.replace(/:response$/, ':query');
+        const queryItem = allNavItems.find(item => item.dataset.itemKey === queryKey);
+        if (queryItem && queryItem.style.display !== 'none') {
+            navItem = queryItem;
+        }
+    }
+
+    if (!navItem.classList.contains('active')) {
+        document.querySelectorAll('#ai-nav-bar .nav-item').forEach(item => item.classList.remove('active'));
+        navItem.classList.add('active');
+    }
+
+    if (activeItemKey !== itemKey) {
+        activeItemKey = itemKey;
+        saveSessionQueries();
+    }
+
+    if (revealInSidebar) {
+        revealNavItem(navItem);
+    }
+}
+
+/**
+ * Scrolls the sidebar, not the page, so a nav item is visible
+ * @param {HTMLElement} navItem - The nav item
+ */
+function revealNavItem(navItem) {
+    if (!navBar || navBar.classList.contains('collapsed') || navItem.style.display === 'none') return;
+
+    const barRect = navBar.getBoundingClientRect();
+    const itemRect = navItem.getBoundingClientRect();
+    if (itemRect.top < barRect.top || itemRect.bottom > barRect.bottom) {
+        navBar.scrollTop += itemRect.top - barRect.top - (barRect.height - itemRect.height) / 2;
+    }
+}
+
+/**
+ * Handles turns entering and leaving the reading band of the scroll container
+ * @param {Array<IntersectionObserverEntry>} entries - The changed turns
+ */
+function handleScrollSpyIntersections(entries) {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            scrollSpyVisibleTargets.add(entry.target);
+        } else {
+            scrollSpyVisibleTargets.delete(entry.target);
+        }
+    });
+
+    if (Date.now() < scrollSpyPausedUntil) return;
+
+    // The first turn in document order that crosses the band is the one being read;
+    // between turns nothing crosses it and the previous highlight stays
+    const currentTarget = Array.from(scrollSpyVisibleTargets)
+        .filter(element => scrollSpyTargets.has(element))
+        .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))[0];
+    if (!currentTarget) return;
+
+    setActiveNavItem(scrollSpyTargets.get(currentTarget), true);
+}
+
+/**
+ * Points the scroll spy at the turns behind the current nav items.
+ * Called after every sidebar rebuild; only turns that appeared or disappeared are (un)observed.
+ */
+function updateScrollSpy() {
+    if (!currentProvider || typeof IntersectionObserver === 'undefined') return;
+
+    // Providers swap their scroll container when switching chats, so recreate the observer with it
+    const root = currentProvider.getScrollContainer();
+    if (scrollSpyObserver && root !== scrollSpyRoot) {
+        scrollSpyObserver.disconnect();
+        scrollSpyObserver = null;
+        scrollSpyTargets = new Map();
+        scrollSpyVisibleTargets = new Set();
+    }
+
+    if (!scrollSpyObserver) {
+        scrollSpyRoot = root;
+        scrollSpyObserver = new IntersectionObserver(handleScrollSpyIntersections, {
+            root,
+            // A thin band near the top of the container, where the eye reads
+            rootMargin: '-20% 0px -70% 0px',
+            threshold: 0
+        });
+    }
+
+    const targets = new Map();
+    allNavItems.forEach(navItem => {
+        const target = getNavItemTarget(navItem);
+        // Placeholders stand in for turns outside a virtualized list and are never on screen
+        if (target && navItem.dataset.itemKey && !target.classList.contains('ai-nav-placeholder')) {
+            targets.set(target, navItem.dataset.itemKey);
+        }
+    });
+
+    scrollSpyTargets.forEach((itemKey, target) => {
+        if (!targets.has(target)) {
+            scrollSpyObserver.unobserve(target);
+            scrollSpyVisibleTargets.delete(target);
+        }
+    });
+    targets.forEach((itemKey, target) => {
+        if (!scrollSpyTargets.has(target)) {
+            scrollSpyObserver.observe(target);
+        }
+    });
+    scrollSpyTargets = targets;
+}
+
 // --- Search Functions ---
 
 /**
  * Handles search input with debouncing for better UX
  */
 function handleSearch() {
-    const searchTerm = searchInput.value.toLowerCase().trim();
+    const searchTerm = searchInput.value.trim();
+    updateSearchChips();
     
     // Show/hide clear button
     const searchClear = navBar.querySelector('.search-clear');
@@ -883,31 +2993,154 @@ function handleSearch() {
     clearTimeout(searchTimeout);
     searchTimeout = setTimeout(() => {
         filterNavItems(searchTerm);
+        if (findModeEnabled) {
+            revealFindMatch();
+        }
     }, 200);
 }
 
 /**
- * Filters navigation items based on search term
- * @param {string} searchTerm - The search term to filter by
+ * Collects what the search operators (role:, has:, lang:, pinned, after:/before:) test on a nav item
+ * @param {HTMLElement} item - The nav item
+ * @returns {Object} Facts for SearchQuery.evaluate()
+ */
+function getNavItemSearchFacts(item) {
+    const turn = getNavItemTurn(item);
+    const type = item.classList.contains('response') ? 'response' : 'query';
+    const facts = {
+        role: type === 'response' ? 'assistant' : 'user',
+        pinned: false,
+        timestamp: null,
+        languages: []
+    };
+    if (turn) {
+        facts.pinned = !!findPin(turn.queryData, turn.type);
+        facts.timestamp = turn.type === 'response' ? turn.queryData.response.timestamp : turn.queryData.timestamp;
+    }
+
+    // Content facts come from the rendered turn; placeholders have none
+    const target = getNavItemTarget(item);
+    if (target && !target.classList.contains('ai-nav-placeholder')) {
+        const codeBlocks = Array.from(target.querySelectorAll('pre'));
+        facts.hasCode = codeBlocks.length > 0;
+        facts.hasLink = !!target.querySelector('a[href]');
+        facts.hasTable = !!target.querySelector('table');
+        facts.languages = codeBlocks.map(preElement => currentProvider.getCodeBlockLanguage(preElement)).filter(Boolean);
+    }
+    return facts;
+}
+
+/**
+ * Filters navigation items based on search term, ranking matches by relevance
+ * @param {string} searchTerm - The search to filter by, including any operators (see SearchQuery)
+ * @param {Array<HTMLElement>} [patchedItems] - Only apply the search to these items, which a scan added or
+ *     updated; the others keep their result from the last time. Without it every item is searched.
  */
-function filterNavItems(searchTerm) {
-    allNavItems.forEach(item => {
-        if (!searchTerm) {
+function filterNavItems(searchTerm, patchedItems) {
+    const query = SearchQuery.parse(searchTerm);
+    const searchChanged = searchTerm !== filteredSearchTerm;
+    const itemsToFilter = patchedItems && !searchChanged ? new Set(patchedItems) : null;
+    filteredSearchTerm = searchTerm;
+
+    if (searchInput) {
+        searchInput.classList.toggle('invalid', query.errors.length > 0);
+        searchInput.title = query.errors.join('\n');
+    }
+
+    const rankedItems = [];
+    allNavItems.forEach((item, index) => {
+        if (itemsToFilter && !itemsToFilter.has(item)) {
+            if (!query.isEmpty && item.style.display !== 'none') {
+                rankedItems.push({ item, score: navItemSearchScores.get(item) || 0, index });
+            }
+            return;
+        }
+        clearSearchHighlights(item);
+
+        if (!isNavItemInViewMode(item)) {
+            item.style.display = 'none';
+            return;
+        }
+
+        if (query.isEmpty) {
             // Show all items when no search term
             item.style.display = 'block';
             return;
         }
         
-        // Search in both summary and full text
-        const matchesSearch = 
-            item.dataset.summary.includes(searchTerm) || 
-            item.dataset.fullText.includes(searchTerm);
+        // Search in summary, full text and the item's private note, typos allowed
+        const result = SearchQuery.evaluate(query, {
+            summary: { text: item.dataset.summary, weight: 3 },
+            note: { text: item.dataset.note || '', weight: 2 },
+            fullText: { text: item.dataset.fullText, weight: 1 }
+        }, getNavItemSearchFacts(item));
         
-        item.style.display = matchesSearch ? 'block' : 'none';
+        item.style.display = result ? 'block' : 'none';
+        if (result) {
+            showSearchHighlights(item, result.ranges);
+            navItemSearchScores.set(item, result.score);
+            rankedItems.push({ item, score: result.score, index });
+        }
     });
-    
-    // Reset navigation index when search results change
-    resetNavigationIndex();
+
+    // Best matches first while searching, conversation order otherwise
+    rankedItems.sort((a, b) => b.score - a.score || a.index - b.index);
+    const ordered = !query.isEmpty ?
+        [...rankedItems.map(ranked => ranked.item), ...allNavItems.filter(item => item.style.display === 'none')] :
+        allNavItems;
+    const currentOrder = navBar ? Array.from(navBar.querySelectorAll(':scope > .nav-item')) : [];
+    if (navBar && ordered.some((item, index) => currentOrder[index] !== item)) {
+        ordered.forEach(item => navBar.appendChild(item));
+    }
+
+    // The Code tab filters its new entries itself
+    if (!itemsToFilter) {
+        filterCodeEntries(query);
+    }
+    updateFindMatches(query, searchTerm, itemsToFilter);
+
+    // Reset navigation index when the search changes, not when a scan patches some items
+    if (!patchedItems || searchChanged) {
+        resetNavigationIndex();
+    }
+}
+
+/**
+ * Highlights search matches in a nav item's summary and note, and shows a snippet
+ * when a match is only in the part of the text the summary doesn't show
+ * @param {HTMLElement} item - The nav item
+ * @param {Object} ranges - Match offsets per field, from FuzzySearch.match()
+ */
+function showSearchHighlights(item, ranges) {
+    FuzzySearch.markRanges(item.querySelector('.nav-item-summary'), ranges.summary);
+
+    const noteElement = item.querySelector('.nav-note');
+    if (noteElement) {
+        FuzzySearch.markRanges(noteElement, ranges.note);
+    }
+
+    if (ranges.summary.length === 0 && ranges.note.length === 0 && ranges.fullText.length > 0) {
+        const snippet = FuzzySearch.getSnippet(item.dataset.fullText, ranges.fullText);
+        const snippetElement = document.createElement('div');
+        snippetElement.className = 'nav-search-snippet';
+        snippetElement.textContent = snippet.text;
+        FuzzySearch.markRanges(snippetElement, snippet.ranges);
+        item.querySelector('.nav-item-summary').after(snippetElement);
+    }
+}
+
+/**
+ * Removes search highlights and snippets from a nav item
+ * @param {HTMLElement} item - The nav item
+ */
+function clearSearchHighlights(item) {
+    const summaryElement = item.querySelector('.nav-item-summary');
+    if (summaryElement && summaryElement.querySelector('mark')) {
+        summaryElement.innerHTML = item.dataset.summaryHtml;
+    }
+    item.querySelectorAll('.nav-search-snippet').forEach(element => element.remove());
+    item.querySelectorAll('.nav-note mark').forEach(mark => mark.replaceWith(...mark.childNodes));
+    item.querySelectorAll('.nav-note').forEach(noteElement => noteElement.normalize());
 }
 
 /**
@@ -920,6 +3153,366 @@ function clearSearch() {
         searchClear.style.display = 'none';
     }
     filterNavItems(''); // Show all items
+    updateSearchChips();
+}
+
+// Filter chips under the search box, each adding or removing one operator
+const SEARCH_CHIPS = [
+    { token: 'role:user', label: 'Questions' },
+    { token: 'role:assistant', label: 'Responses' },
+    { token: 'pinned', label: 'Pinned' },
+    { token: 'has:code', label: 'Code' },
+    { token: 'has:link', label: 'Links' },
+    { token: 'has:table', label: 'Tables' },
+    { token: 'after:7d', label: 'Last 7 days' }
+];
+
+/**
+ * Creates the filter chips under the search box
+ * @returns {HTMLElement} The chip container
+ */
+function createSearchChips() {
+    const chips = document.createElement('div');
+    chips.className = 'nav-search-chips';
+    chips.title = 'Filters can also be typed: role:user, has:code, lang:python, pinned, after:2024-05-01, "exact phrase", -exclude, /regex/';
+    SEARCH_CHIPS.forEach(chip => chips.appendChild(createSearchChip(chip.token, chip.label)));
+    return chips;
+}
+
+/**
+ * Creates one filter chip
+ * @param {string} token - The search operator the chip toggles
+ * @param {string} label - The chip text
+ * @returns {HTMLElement} The chip button
+ */
+function createSearchChip(token, label) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'nav-search-chip';
+    chip.dataset.token = token;
+    chip.textContent = label;
+    chip.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        toggleSearchToken(token);
+    });
+    return chip;
+}
+
+/**
+ * Adds an operator to the search, or removes it if it is already there
+ * @param {string} token - The operator, e.g. 'has:code'
+ */
+function toggleSearchToken(token) {
+    let tokens = SearchQuery.splitTokens(searchInput.value);
+    if (tokens.includes(token)) {
+        tokens = tokens.filter(existing => existing !== token);
+    } else {
+        // role:user and role:assistant exclude each other, as do the lang: chips
+        const [key] = token.split(':');
+        if (key === 'role' || key === 'lang') {
+            tokens = tokens.filter(existing => !existing.startsWith(`${key}:`));
+        }
+        tokens.push(token);
+    }
+
+    searchInput.value = tokens.join(' ');
+    const searchClear = navBar.querySelector('.search-clear');
+    if (searchClear) {
+        searchClear.style.display = searchInput.value ? 'block' : 'none';
+    }
+    filterNavItems(searchInput.value.trim());
+    updateSearchChips();
+}
+
+/**
+ * Marks the chips whose operator is in the search, and offers lang: chips for the languages in the chat
+ */
+function updateSearchChips() {
+    const chips = navBar ? navBar.querySelector('.nav-search-chips') : null;
+    if (!chips) return;
+
+    // The most common code languages in this chat
+    const languageCounts = new Map();
+    codeBlockEntries.forEach(entry => {
+        if (entry.language) {
+            languageCounts.set(entry.language, (languageCounts.get(entry.language) || 0) + 1);
+        }
+    });
+    const languages = Array.from(languageCounts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([language]) => language);
+
+    const shownLanguages = Array.from(chips.querySelectorAll('.nav-search-chip.language')).map(chip => chip.dataset.token.slice(5));
+    if (shownLanguages.join(',') !== languages.join(',')) {
+        chips.querySelectorAll('.nav-search-chip.language').forEach(chip => chip.remove());
+        languages.forEach(language => {
+            const chip = createSearchChip(`lang:${language}`, language);
+            chip.classList.add('language');
+            chips.appendChild(chip);
+        });
+    }
+
+    const tokens = SearchQuery.splitTokens(searchInput.value);
+    chips.querySelectorAll('.nav-search-chip').forEach(chip => {
+        const active = tokens.includes(chip.dataset.token);
+        chip.classList.toggle('active', active);
+        chip.setAttribute('aria-pressed', String(active));
+    });
+}
+
+// --- Find In Chat ---
+
+/**
+ * Creates the bar under the search box that turns on highlighting matches inside the chat
+ * @returns {HTMLElement} The find bar
+ */
+function createFindBar() {
+    const findBar = document.createElement('div');
+    findBar.className = 'nav-find-bar';
+    findBar.innerHTML = `
+        <button type="button" class="nav-find-toggle" aria-pressed="false"
+            title="Highlight matches inside the chat (Enter / Shift+Enter to step through them)">Find in chat</button>
+        <span class="nav-find-counter" aria-live="polite"></span>
+        <button type="button" class="nav-find-step" data-direction="-1" title="Previous match (Shift+Enter)" aria-label="Previous match">&#9650;</button>
+        <button type="button" class="nav-find-step" data-direction="1" title="Next match (Enter)" aria-label="Next match">&#9660;</button>
+    `;
+
+    findBar.querySelector('.nav-find-toggle').addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        setFindMode(!findModeEnabled);
+        searchInput.focus();
+    });
+    findBar.querySelectorAll('.nav-find-step').forEach(button => {
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            stepFindMatch(Number(button.dataset.direction));
+        });
+    });
+
+    return findBar;
+}
+
+/**
+ * Turns highlighting matches inside the chat on or off
+ * @param {boolean} enabled - Whether find mode should be on
+ */
+function setFindMode(enabled) {
+    findModeEnabled = enabled;
+    if (navBar) {
+        navBar.classList.toggle('find-mode', enabled);
+        const toggle = navBar.querySelector('.nav-find-toggle');
+        if (toggle) {
+            toggle.classList.toggle('active', enabled);
+            toggle.setAttribute('aria-pressed', String(enabled));
+        }
+    }
+
+    findQueryText = '';
+    updateFindMatches(SearchQuery.parse(searchInput ? searchInput.value.trim() : ''), searchInput ? searchInput.value.trim() : '');
+    if (enabled) {
+        revealFindMatch();
+    }
+}
+
+/**
+ * Handles Enter / Shift+Enter in the search box to step through matches in the chat
+ * @param {KeyboardEvent} event - The keyboard event
+ */
+function handleFindKeydown(event) {
+    if (event.key !== 'Enter' || !findModeEnabled) return;
+
+    event.preventDefault();
+    // Apply a search that is still waiting for its debounce first
+    if (findQueryText !== searchInput.value.trim()) {
+        clearTimeout(searchTimeout);
+        filterNavItems(searchInput.value.trim());
+        revealFindMatch();
+        return;
+    }
+    stepFindMatch(event.shiftKey ? -1 : 1);
+}
+
+/**
+ * Gets the text nodes of a turn that searches look at, skipping scripts, styles and our own UI
+ * @param {HTMLElement} root - The turn's content element
+ * @returns {Array<Text>} The text nodes in document order
+ */
+function getSearchableTextNodes(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (node.parentElement && node.parentElement.closest('script, style, noscript, #ai-nav-bar') ?
+            NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+    return textNodes;
+}
+
+/**
+ * Finds the matches of a search inside one turn
+ * @param {Object} query - Parsed search from SearchQuery.parse()
+ * @param {HTMLElement} root - The turn's content element
+ * @returns {Array<Range>} DOM ranges of the matches
+ */
+function findMatchesInElement(query, root) {
+    const textNodes = getSearchableTextNodes(root);
+    const text = textNodes.map(node => node.nodeValue).join('');
+    if (!text.trim()) return [];
+
+    const offsets = [];
+    query.terms.forEach(term => {
+        const found = FuzzySearch.findTerm(term, text);
+        if (found) offsets.push(...found.ranges);
+    });
+    query.phrases.forEach(phrase => offsets.push(...SearchQuery.findPhrase(phrase, text)));
+    query.regexes.forEach(regex => offsets.push(...SearchQuery.findRegex(regex, text)));
+    offsets.sort((a, b) => a[0] - b[0]);
+
+    // Turn text offsets into ranges over the text nodes, skipping overlaps
+    const ranges = [];
+    let nodeIndex = 0;
+    let nodeStart = 0;
+    let lastEnd = -1;
+    offsets.forEach(([start, end]) => {
+        if (start < lastEnd) return;
+        lastEnd = end;
+
+        while (nodeIndex < textNodes.length - 1 && nodeStart + textNodes[nodeIndex].nodeValue.length <= start) {
+            nodeStart += textNodes[nodeIndex].nodeValue.length;
+            nodeIndex++;
+        }
+        let endIndex = nodeIndex;
+        let endNodeStart = nodeStart;
+        while (endIndex < textNodes.length - 1 && endNodeStart + textNodes[endIndex].nodeValue.length < end) {
+            endNodeStart += textNodes[endIndex].nodeValue.length;
+            endIndex++;
+        }
+
+        const range = document.createRange();
+        range.setStart(textNodes[nodeIndex], start - nodeStart);
+        range.setEnd(textNodes[endIndex], end - endNodeStart);
+        ranges.push(range);
+    });
+    return ranges;
+}
+
+/**
+ * Recomputes the matches inside the chat and repaints their highlights.
+ * Runs after every search and sidebar update, so highlights follow provider re-renders.
+ * Uses the CSS Custom Highlight API, which paints ranges without touching the provider's DOM.
+ * @param {Object} query - Parsed search from SearchQuery.parse()
+ * @param {string} searchTerm - The search text, to tell a new search from a re-render
+ * @param {Set<HTMLElement>|null} [patchedItems] - Only search the turns of these nav items again
+ */
+function updateFindMatches(query, searchTerm, patchedItems = null) {
+    const hasTextQuery = query.terms.length > 0 || query.phrases.length > 0 || query.regexes.length > 0;
+    const previousMatches = patchedItems ? findMatchesByItem : new Map();
+    findMatchesByItem = new Map();
+    findMatches = [];
+
+    if (findModeEnabled && hasTextQuery && currentProvider) {
+        // Only turns that pass the search, in conversation order
+        allNavItems.forEach(item => {
+            if (item.style.display === 'none') return;
+            let matches = previousMatches.get(item);
+            if (!matches || patchedItems.has(item) || matches.some(isStaleFindMatch)) {
+                const target = getNavItemTarget(item);
+                if (!target || target.classList.contains('ai-nav-placeholder')) return;
+
+                const role = item.classList.contains('response') ? 'assistant' : 'user';
+                matches = findMatchesInElement(query, currentProvider.getContentElement(target, role));
+            }
+            findMatchesByItem.set(item, matches);
+            findMatches.push(...matches);
+        });
+    }
+
+    if (searchTerm !== findQueryText) {
+        findQueryText = searchTerm;
+        findMatchIndex = findMatches.length > 0 ? 0 : -1;
+    } else {
+        findMatchIndex = Math.min(findMatchIndex, findMatches.length - 1);
+        if (findMatchIndex === -1 && findMatches.length > 0) findMatchIndex = 0;
+    }
+
+    paintFindHighlights();
+}
+
+/**
+ * Tells whether a find match points at nodes that left the page, e.g. after the site re-rendered
+ * its turn with the same text. Ranges follow removed nodes up to their parent, so a match that no
+ * longer starts and ends in a text node went stale too.
+ * @param {Range} range - The match
+ * @returns {boolean} Whether the match is stale
+ */
+function isStaleFindMatch(range) {
+    return !range.startContainer.isConnected || !range.endContainer.isConnected ||
+        range.startContainer.nodeType !== Node.TEXT_NODE || range.endContainer.nodeType !== Node.TEXT_NODE;
+}
+
+/**
+ * Searches the turns whose find matches went stale again, when no nav item changed to trigger it
+ */
+function refreshStaleFindMatches() {
+    if (!findModeEnabled || !findMatches.some(isStaleFindMatch)) return;
+
+    const searchTerm = searchInput ? searchInput.value.trim() : '';
+    updateFindMatches(SearchQuery.parse(searchTerm), searchTerm, new Set());
+}
+
+/**
+ * Paints the match highlights and updates the "N of M" counter
+ */
+function paintFindHighlights() {
+    if (typeof CSS !== 'undefined' && CSS.highlights) {
+        if (findMatches.length > 0) {
+            CSS.highlights.set('ai-nav-find', new Highlight(...findMatches));
+            CSS.highlights.set('ai-nav-find-current', new Highlight(findMatches[findMatchIndex]));
+        } else {
+            CSS.highlights.delete('ai-nav-find');
+            CSS.highlights.delete('ai-nav-find-current');
+        }
+    }
+
+    const counter = navBar ? navBar.querySelector('.nav-find-counter') : null;
+    if (!counter) return;
+    if (!findModeEnabled || !findQueryText) {
+        counter.textContent = '';
+    } else if (findMatches.length === 0) {
+        counter.textContent = 'No matches';
+    } else {
+        counter.textContent = `${findMatchIndex + 1} of ${findMatches.length}`;
+    }
+}
+
+/**
+ * Scrolls the chat to the current match
+ */
+function revealFindMatch() {
+    const range = findMatches[findMatchIndex];
+    if (!range) return;
+
+    const element = range.startContainer.parentElement;
+    if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+/**
+ * Moves to the next or previous match inside the chat, wrapping around
+ * @param {number} direction - 1 for next, -1 for previous
+ */
+function stepFindMatch(direction) {
+    if (findMatches.length === 0) return;
+
+    findMatchIndex = (findMatchIndex + direction + findMatches.length) % findMatches.length;
+    paintFindHighlights();
+    revealFindMatch();
 }
 
 // --- Keyboard Navigation Functions ---
@@ -934,8 +3527,8 @@ function handleArrowNavigation(event) {
         return;
     }
 
-    // Only handle arrow keys and Enter/Escape
-    if (!['ArrowUp', 'ArrowDown', 'Enter', 'Escape'].includes(event.key)) {
+    // Only handle arrow keys and Enter/Escape (Alt+Arrow jumps between pinned turns)
+    if (!['ArrowUp', 'ArrowDown', 'Enter', 'Escape'].includes(event.key) || event.altKey) {
         return;
     }
 
@@ -955,10 +3548,24 @@ function handleArrowNavigation(event) {
         return;
     }
 
-    // Get only visible nav items for navigation
-    const visibleNavItems = allNavItems.filter(item => 
+    // Escape on a filter chip clears the search and its filters too
+    if (event.key === 'Escape' && activeElement && activeElement.closest && activeElement.closest('.nav-search-chips')) {
+        clearSearch();
+        clearNavigationHighlight();
+        searchInput.focus();
+        event.preventDefault();
+        return;
+    }
+
+    // Get only visible nav items for navigation, in the order shown (search ranks them)
+    const visibleNavItems = Array.from(navBar.querySelectorAll(':scope > .nav-item')).filter(item => 
         item.style.display !== 'none' && item.offsetParent !== null
     );
+    // Items added since the last key press move the highlighted item along
+    const highlightedIndex = visibleNavItems.findIndex(item => item.classList.contains('nav-item-highlighted'));
+    if (keyboardNavigationActive && highlightedIndex !== -1) {
+        currentNavigationIndex = highlightedIndex;
+    }
     
     if (visibleNavItems.length === 0) {
         return;
@@ -1039,6 +3646,7 @@ function resetNavigationIndex() {
 function setupKeyboardNavigation() {
     // Add global keyboard event listener for arrow navigation
     document.addEventListener('keydown', handleArrowNavigation, true);
+    document.addEventListener('keydown', handlePinnedNavigation, true);
     console.log('AI Navigator: Keyboard navigation setup complete');
 }
 
@@ -1057,6 +3665,8 @@ function findInputElements(inputSelectors) {
         try {
             const foundElements = document.querySelectorAll(selector);
             foundElements.forEach(element => {
+                // Our own search box and note editors are not chat inputs
+                if (navBar && navBar.contains(element)) return;
                 if (!elements.includes(element)) {
                     elements.push(element);
                 }
@@ -1262,8 +3872,754 @@ function resetFocusModeState() {
     detachAllInputEventListeners();
 }
 
+// --- Diagnostics ---
+
+/**
+ * Finds the elements matching a selector without throwing for invalid selectors
+ * @param {string} selector - CSS selector
+ * @param {Document|HTMLElement} root - Where to look
+ * @returns {Array<HTMLElement>|null} The matches, or null if the selector is invalid
+ */
+function querySelectorAllSafely(selector, root = document) {
+    try {
+        return Array.from(root.querySelectorAll(selector));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Describes an element by tag, ID and first classes, for the diagnostics
+ * @param {HTMLElement|null} element - The element
+ * @returns {string} e.g. "div#chat.flex.flex-col", or "not found"
+ */
+function describeElement(element) {
+    if (!element) return 'not found';
+    const id = element.id ? `#${element.id}` : '';
+    const classes = Array.from(element.classList).slice(0, 2).map(className => `.${className}`).join('');
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+}
+
+/**
+ * Checks every selector of the current provider against the page
+ * @returns {Array<Object>} Rows of { name, selector, matches, of }. Selectors looked up inside
+ *     each question or response (queryText, responseText) count the messages containing a match
+ *     and set `of` to the number of messages; `matches` is null for invalid selectors.
+ */
+function getSelectorDiagnostics() {
+    const selectors = currentProvider.getSelectors();
+    const rows = [];
+    const addRow = (name, selector, root) => {
+        const elements = querySelectorAllSafely(selector, root);
+        rows.push({ name, selector, matches: elements ? elements.length : null });
+        return elements || [];
+    };
+    const addInnerRow = (name, selector, messages) => {
+        if (!selector) return;
+        let matches = 0;
+        try {
+            matches = messages.filter(message => message.querySelector(selector)).length;
+        } catch (error) {
+            matches = null;
+        }
+        rows.push({ name, selector, matches, of: messages.length });
+    };
+
+    if (currentProvider.config.detect) {
+        addRow('detect', currentProvider.config.detect);
+    }
+    const queryElements = addRow('queries', selectors.queries);
+    addInnerRow('queryText', selectors.queryText, queryElements);
+    if (selectors.responses) {
+        const responseElements = addRow('responses', selectors.responses);
+        addInnerRow('responseText', selectors.responseText, responseElements);
+    }
+    ['chatContainer', 'scrollContainer'].forEach(name => {
+        if (selectors[name]) addRow(name, selectors[name]);
+    });
+    ['mainContent', 'inputField'].forEach(name => {
+        (selectors[name] || []).forEach((selector, index) => addRow(`${name}[${index}]`, selector));
+    });
+    ['submitButton', 'inputContainer'].forEach(name => {
+        if (selectors[name]) addRow(name, selectors[name]);
+    });
+
+    return rows;
+}
+
+/**
+ * Counts the questions and responses on the page the provider can read text from
+ * @returns {Object} { queries, queriesWithText, responses, responsesWithText }
+ */
+function getExtractionDiagnostics() {
+    const selectors = currentProvider.getSelectors();
+    const countWithText = (elements, extract) => elements.filter(element => {
+        try {
+            const text = extract(element);
+            return !!(text && text.trim());
+        } catch (error) {
+            return false;
+        }
+    }).length;
+
+    const queryElements = querySelectorAllSafely(selectors.queries) || [];
+    const responseElements = (selectors.responses && querySelectorAllSafely(selectors.responses)) || [];
+    return {
+        queries: queryElements.length,
+        queriesWithText: countWithText(queryElements, element => currentProvider.extractTextContent(element)),
+        responses: responseElements.length,
+        responsesWithText: countWithText(responseElements, element => currentProvider.extractResponseText(element))
+    };
+}
+
+/**
+ * Decides whether the provider's question selectors no longer fit the page
+ * @param {Object} extraction - Result of getExtractionDiagnostics()
+ * @returns {string|null} What looks broken, or null when questions are found and readable
+ */
+function getQuerySelectorProblem(extraction) {
+    const selectors = currentProvider.getSelectors();
+    if (querySelectorAllSafely(selectors.queries) === null) {
+        return `The questions selector is not valid CSS: ${selectors.queries}`;
+    }
+    if (extraction.queries > 0 && extraction.queriesWithText === 0) {
+        return `${extraction.queries} questions are found, but no text can be read from them.`;
+    }
+    if (extraction.queries === 0 && extraction.responses > 0) {
+        return `${extraction.responses} responses are found, but no questions.`;
+    }
+    // A conversation that had questions before and shows none now (an empty new chat has none stored)
+    if (extraction.queries === 0 && sessionQueries.length > 0 && !currentProvider.hasVirtualizedTurns()) {
+        return `This conversation had ${sessionQueries.length} questions before, but none are found on the page.`;
+    }
+    return null;
+}
+
+/**
+ * Collects everything the diagnostics tab and report show
+ * @returns {Object} The diagnostics
+ */
+function collectDiagnostics() {
+    const extraction = getExtractionDiagnostics();
+    const isBuiltIn = BUILT_IN_PROVIDER_CONFIGS.some(config => config.id === currentProvider.id);
+    const isUserConfig = providerConfigs.some(config => config.id === currentProvider.id);
+
+    let version = 'unknown';
+    try {
+        version = chrome.runtime.getManifest().version;
+    } catch (error) {
+        // The extension was reloaded and this content script is orphaned
+    }
+
+    return {
+        version,
+        provider: {
+            name: currentProvider.name,
+            id: currentProvider.id || null,
+            source: isUserConfig ? (isBuiltIn ? 'edited built-in config' : 'custom config') : 'built-in config'
+        },
+        // Without the query string, which can hold search terms or tokens
+        page: `${window.location.origin}${window.location.pathname}`,
+        collectedAt: Date.now(),
+        problem: getQuerySelectorProblem(extraction),
+        selectors: getSelectorDiagnostics(),
+        extraction,
+        mainContent: mainContentMatch,
+        observer: {
+            container: observedContainer && observedContainer.isConnected ? describeElement(observedContainer) : 'not found',
+            lastFiredAt: observerLastFiredAt,
+            lastScanAt: lastChatScanAt
+        }
+    };
+}
+
+/**
+ * Formats a selector row's match count
+ * @param {Object} row - A row from getSelectorDiagnostics()
+ * @returns {string} e.g. "3 matches", "2 of 3 questions" or "invalid selector"
+ */
+function formatSelectorMatches(row) {
+    if (row.matches === null) return 'invalid selector';
+    if (row.of !== undefined) {
+        return `${row.matches} of ${row.of} ${row.name === 'queryText' ? 'questions' : 'responses'}`;
+    }
+    return `${row.matches} ${row.matches === 1 ? 'match' : 'matches'}`;
+}
+
+/**
+ * Describes where the sidebar made room for itself
+ * @param {Object|null} match - mainContentMatch
+ * @returns {string} The selector used, or "not found"
+ */
+function formatMainContentMatch(match) {
+    if (!match) return 'not found';
+    return match.fallback ? `${match.selector} (generic fallback, no mainContent selector matched)` : match.selector;
+}
+
+/**
+ * Builds the plain-text report copied for bug reports. It holds no conversation text.
+ * @param {Object} diagnostics - Result of collectDiagnostics()
+ * @returns {string} The report
+ */
+function buildDiagnosticReport(diagnostics) {
+    const formatTime = time => (time ? new Date(time).toISOString() : 'never');
+    const { extraction, observer } = diagnostics;
+
+    return [
+        'AI Chat Navigator diagnostic report',
+        `Extension version: ${diagnostics.version}`,
+        `Provider: ${diagnostics.provider.name} (${diagnostics.provider.id || 'no id'}, ${diagnostics.provider.source})`,
+        `Page: ${diagnostics.page}`,
+        `Collected: ${formatTime(diagnostics.collectedAt)}`,
+        `Browser: ${navigator.userAgent}`,
+        `Status: ${diagnostics.problem || 'OK'}`,
+        '',
+        'Selectors:',
+        ...diagnostics.selectors.map(row => `- ${row.name}: ${formatSelectorMatches(row)} - ${row.selector}`),
+        '',
+        'Text extraction:',
+        `- Questions with text: ${extraction.queriesWithText} of ${extraction.queries}`,
+        `- Responses with text: ${extraction.responsesWithText} of ${extraction.responses}`,
+        '',
+        'Layout:',
+        `- Main column: ${formatMainContentMatch(diagnostics.mainContent)}`,
+        '',
+        'Page changes:',
+        `- Watching: ${observer.container}`,
+        `- Last change seen: ${formatTime(observer.lastFiredAt)}`,
+        `- Last scan: ${formatTime(observer.lastScanAt)}`
+    ].join('\n');
+}
+
+/**
+ * Creates the banner shown above the tabs when questions can't be found
+ * @returns {HTMLElement} The banner, hidden until showHealthBanner() reports a problem
+ */
+function createHealthBanner() {
+    const banner = document.createElement('div');
+    banner.className = 'nav-health-banner';
+    banner.setAttribute('role', 'alert');
+    banner.style.display = 'none';
+    banner.innerHTML = `
+        <div class="nav-health-banner-title"></div>
+        <div class="nav-health-banner-detail"></div>
+        <button type="button">Show diagnostics</button>
+    `;
+    banner.querySelector('button').addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        setNavTab('diagnostics');
+    });
+    return banner;
+}
+
+/**
+ * Shows or hides the broken-selector banner
+ * @param {string|null} problem - What looks broken, or null to hide the banner
+ */
+function showHealthBanner(problem) {
+    const banner = navBar ? navBar.querySelector('.nav-health-banner') : null;
+    if (!banner) return;
+
+    banner.style.display = problem ? '' : 'none';
+    if (problem) {
+        banner.querySelector('.nav-health-banner-title').textContent = `${currentProvider.name} may have changed its page layout`;
+        banner.querySelector('.nav-health-banner-detail').textContent = problem;
+    }
+}
+
+/**
+ * Checks whether questions can still be found after a scan of the page, and shows the
+ * banner once they have stayed missing for a while
+ * @param {Object} [extraction] - Counts from the scan that just ran, in the shape of getExtractionDiagnostics(); read from the page when omitted
+ */
+function updateSelectorHealth(extraction) {
+    if (!navBar || !currentProvider) return;
+    clearTimeout(selectorHealthTimeout);
+
+    const problem = getQuerySelectorProblem(extraction || getExtractionDiagnostics());
+    if (!problem) {
+        queriesBrokenSince = null;
+    } else if (queriesBrokenSince === null) {
+        queriesBrokenSince = Date.now();
+    }
+
+    // Chats render their messages in steps after loading, so only report questions that stay missing
+    const isReported = !!problem && Date.now() - queriesBrokenSince >= SELECTOR_HEALTH_GRACE_PERIOD;
+    if (problem && !isReported) {
+        selectorHealthTimeout = setTimeout(() => updateSelectorHealth(), SELECTOR_HEALTH_GRACE_PERIOD);
+    }
+    if (isReported && navBar.querySelector('.nav-health-banner').style.display === 'none') {
+        console.warn(`AI Navigator: Selectors for ${currentProvider.name} look broken: ${problem}`);
+    }
+    showHealthBanner(isReported ? problem : null);
+
+    if (navTab === 'diagnostics') {
+        renderDiagnostics();
+    }
+}
+
+/**
+ * Renders the diagnostics tab
+ */
+function renderDiagnostics() {
+    const section = navBar ? navBar.querySelector('.nav-diagnostics-section') : null;
+    if (!section || !currentProvider) return;
+
+    const diagnostics = collectDiagnostics();
+    const formatTime = time => (time ? new Date(time).toLocaleTimeString() : 'never');
+    section.innerHTML = '';
+
+    const status = document.createElement('div');
+    status.className = `nav-diagnostics-status ${diagnostics.problem ? 'problem' : 'ok'}`;
+    if (diagnostics.problem) {
+        status.textContent = diagnostics.problem;
+    } else if (diagnostics.extraction.queries > 0) {
+        status.textContent = `${diagnostics.extraction.queries} questions and ${diagnostics.extraction.responses} responses found.`;
+    } else {
+        status.textContent = 'No questions on this page yet.';
+    }
+    section.appendChild(status);
+
+    const addHeading = (text) => {
+        const heading = document.createElement('div');
+        heading.className = 'nav-diagnostics-heading';
+        heading.textContent = text;
+        section.appendChild(heading);
+    };
+    const addFact = (label, value) => {
+        const fact = document.createElement('div');
+        fact.className = 'nav-diagnostics-fact';
+        fact.textContent = `${label}: ${value}`;
+        section.appendChild(fact);
+    };
+
+    addHeading(`Selectors (${diagnostics.provider.name}, ${diagnostics.provider.source})`);
+    diagnostics.selectors.forEach(row => {
+        const entry = document.createElement('div');
+        entry.className = 'nav-diagnostics-selector';
+        // Questions and responses are the selectors the sidebar can't work without
+        const isEssential = ['queries', 'queryText', 'responses', 'responseText'].includes(row.name);
+        entry.classList.toggle('missing', row.matches === null || (isEssential && row.matches === 0 && row.of !== 0));
+        entry.innerHTML = `
+            <div class="nav-diagnostics-selector-header"><span></span><span></span></div>
+            <code></code>
+        `;
+        const [name, matches] = entry.querySelectorAll('span');
+        name.textContent = row.name;
+        matches.textContent = formatSelectorMatches(row);
+        entry.querySelector('code').textContent = row.selector;
+        entry.querySelector('code').title = row.selector;
+        section.appendChild(entry);
+    });
+
+    addHeading('Text extraction');
+    addFact('Questions with text', `${diagnostics.extraction.queriesWithText} of ${diagnostics.extraction.queries}`);
+    addFact('Responses with text', `${diagnostics.extraction.responsesWithText} of ${diagnostics.extraction.responses}`);
+
+    addHeading('Layout');
+    addFact('Main column', formatMainContentMatch(diagnostics.mainContent));
+
+    addHeading('Page changes');
+    addFact('Watching', diagnostics.observer.container);
+    addFact('Last change seen', formatTime(diagnostics.observer.lastFiredAt));
+    addFact('Last scan', formatTime(diagnostics.observer.lastScanAt));
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'nav-diagnostics-copy';
+    copyButton.textContent = 'Copy diagnostic report';
+    copyButton.title = 'Copies selector counts and page details for a bug report. No conversation text is included.';
+    copyButton.addEventListener('click', async (event) => {
+        event.stopPropagation();
+        try {
+            await navigator.clipboard.writeText(buildDiagnosticReport(collectDiagnostics()));
+            copyButton.textContent = 'Copied';
+        } catch (error) {
+            console.warn('AI Navigator: Could not copy diagnostic report:', error);
+            copyButton.textContent = 'Failed';
+        }
+        setTimeout(() => {
+            copyButton.textContent = 'Copy diagnostic report';
+        }, 1500);
+    });
+    section.appendChild(copyButton);
+}
+
+// --- Export ---
+
+/**
+ * Builds a snapshot of the conversation for export (see exporter.js for the shape)
+ * @returns {Object} The conversation snapshot
+ */
+function buildConversationSnapshot() {
+    const turns = [];
+
+    sessionQueries.forEach((queryData, index) => {
+        // Turns outside a virtualized list are exported without their formatting
+        const rendered = renderedTurns.get(queryData) || {};
+        const queryElement = rendered.query || null;
+        const queryNote = findNote(queryData, 'query');
+        turns.push({
+            role: 'user',
+            index: index + 1,
+            text: queryData.text,
+            element: queryElement ? currentProvider.getContentElement(queryElement, 'user') : null,
+            timestamp: queryData.timestamp,
+            pinned: !!findPin(queryData, 'query'),
+            note: queryNote ? queryNote.note : null,
+            ...getTurnVersions(queryData, 'query')
+        });
+
+        if (queryData.response) {
+            const responseElement = rendered.response || null;
+            const responseNote = findNote(queryData, 'response');
+            turns.push({
+                role: 'assistant',
+                index: index + 1,
+                text: queryData.response.text,
+                element: responseElement ? currentProvider.getContentElement(responseElement, 'assistant') : null,
+                timestamp: queryData.response.timestamp || null,
+                pinned: !!findPin(queryData, 'response'),
+                note: responseNote ? responseNote.note : null,
+                ...getTurnVersions(queryData, 'response')
+            });
+        }
+    });
+
+    return {
+        provider: currentProvider.name,
+        title: document.title,
+        url: window.location.href,
+        exportedAt: Date.now(),
+        turns
+    };
+}
+
+/**
+ * Exports the current conversation and downloads it
+ * @param {string} format - 'markdown' or 'json'
+ * @returns {boolean} True if a file was produced
+ */
+function exportConversation(format) {
+    if (sessionQueries.length === 0) {
+        console.warn('AI Navigator: Nothing to export yet');
+        return false;
+    }
+
+    const snapshot = buildConversationSnapshot();
+
+    if (format === 'markdown') {
+        const markdown = ConversationExporter.toMarkdown(snapshot, currentProvider);
+        ConversationExporter.download(markdown, ConversationExporter.getFileName(snapshot.title, 'md'), 'text/markdown');
+    } else if (format === 'json') {
+        const json = JSON.stringify(ConversationExporter.toJSON(snapshot), null, 2);
+        ConversationExporter.download(json, ConversationExporter.getFileName(snapshot.title, 'json'), 'application/json');
+    } else {
+        console.error(`AI Navigator: Unknown export format: ${format}`);
+        return false;
+    }
+
+    console.log(`AI Navigator: Exported ${snapshot.turns.length} turns as ${format}`);
+    return true;
+}
+
+/**
+ * Handles export button click by toggling the export format menu
+ */
+function handleExportClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const existingMenu = navBar.querySelector('.nav-export-menu');
+    if (existingMenu) {
+        existingMenu.remove();
+        return;
+    }
+
+    const menu = document.createElement('div');
+    menu.className = 'nav-export-menu';
+    menu.innerHTML = `
+        <button type="button" data-format="markdown">Markdown (.md)</button>
+        <button type="button" data-format="json">JSON (.json, opens in viewer)</button>
+    `;
+    menu.querySelectorAll('button').forEach(button => {
+        button.addEventListener('click', (clickEvent) => {
+            clickEvent.stopPropagation();
+            menu.remove();
+            try {
+                exportConversation(button.dataset.format);
+            } catch (error) {
+                console.error('AI Navigator: Error during export:', error);
+            }
+        });
+    });
+
+    // Close the menu on the next click anywhere else
+    setTimeout(() => {
+        document.addEventListener('click', () => menu.remove(), { once: true });
+    }, 0);
+
+    navBar.querySelector('h3').after(menu);
+}
+
+// --- Global Search Index ---
+
+/**
+ * Sends new and changed turns to the global search index once the page settles
+ * @param {Iterable<string>} [changedItemKeys] - Item keys of turns added or changed
+ * @param {Iterable<string>} [removedItemKeys] - Item keys of turns removed
+ */
+function scheduleSearchIndexUpdate(changedItemKeys = [], removedItemKeys = []) {
+    for (const itemKey of changedItemKeys) {
+        pendingIndexItemKeys.add(itemKey);
+        pendingIndexRemovedKeys.delete(itemKey);
+    }
+    for (const itemKey of removedItemKeys) {
+        pendingIndexRemovedKeys.add(itemKey);
+        pendingIndexItemKeys.delete(itemKey);
+    }
+    clearTimeout(searchIndexTimeout);
+    searchIndexTimeout = setTimeout(updateSearchIndex, SEARCH_INDEX_DEBOUNCE_TIME);
+}
+
+/**
+ * Sends the turns of the current conversation that changed since the last update to the
+ * background service worker, which keeps the global search index
+ */
+async function updateSearchIndex() {
+    // Saved conversations in the viewer have no page to go back to
+    if (!currentProvider || currentProvider instanceof ViewerProvider || !sessionConversationKey) return;
+
+    // Another conversation was loaded since the last update: send all of its turns
+    const allTurns = indexedConversationKey !== sessionConversationKey;
+    if (allTurns) {
+        indexedConversationKey = sessionConversationKey;
+        indexedTitle = null;
+        pendingIndexRemovedKeys.clear();
+    }
+    const changedItemKeys = pendingIndexItemKeys;
+    const removedItemKeys = [...pendingIndexRemovedKeys];
+    pendingIndexItemKeys = new Set();
+    pendingIndexRemovedKeys = new Set();
+
+    const changedTurns = [];
+    sessionQueries.forEach((queryData, index) => {
+        const queryKey = `${queryData.id}:query`;
+        const responseKey = `${queryData.id}:response`;
+        if (allTurns || changedItemKeys.has(queryKey)) {
+            changedTurns.push({ itemKey: queryKey, role: 'user', turnIndex: index + 1, text: queryData.text, firstSeenAt: queryData.timestamp });
+        }
+        if (queryData.response && (allTurns || changedItemKeys.has(responseKey))) {
+            changedTurns.push({ itemKey: responseKey, role: 'assistant', turnIndex: index + 1, text: queryData.response.text, firstSeenAt: queryData.response.timestamp });
+        }
+    });
+    if (changedTurns.length === 0 && removedItemKeys.length === 0 && indexedTitle === document.title) return;
+
+    const conversationKey = sessionConversationKey;
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'ai-nav-background:indexConversation',
+            conversation: {
+                key: conversationKey,
+                provider: currentProvider.name,
+                conversationId: currentProvider.getConversationId(),
+                url: window.location.href,
+                title: document.title
+            },
+            turns: changedTurns,
+            removedItemKeys
+        });
+        if (!response || response.error) throw new Error(response ? response.error : 'No response');
+
+        // The conversation may have changed while the index was updating
+        if (indexedConversationKey === conversationKey) {
+            indexedTitle = document.title;
+        }
+        console.log(`AI Navigator: Indexed ${changedTurns.length} turns for global search`);
+    } catch (error) {
+        // Fails once the extension has been reloaded; the next update retries everything unsent
+        console.warn('AI Navigator: Could not update the search index:', error);
+        if (indexedConversationKey === conversationKey) {
+            changedTurns.forEach(turn => pendingIndexItemKeys.add(turn.itemKey));
+            removedItemKeys.forEach(itemKey => pendingIndexRemovedKeys.add(itemKey));
+        }
+    }
+}
+
+/**
+ * Asks the service worker whether this tab was opened from the global search to show a turn
+ */
+async function requestPendingNavigation() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'ai-nav-background:takePendingNavigation' });
+        if (response && response.value) {
+            pendingNavigation = { ...response.value, expiresAt: Date.now() + PENDING_NAVIGATION_TIMEOUT };
+            applyPendingNavigation();
+        }
+    } catch (error) {
+        console.warn('AI Navigator: Could not check for a turn to open:', error);
+    }
+}
+
+/**
+ * Scrolls to the turn the tab was opened for once the chat has loaded it
+ */
+function applyPendingNavigation() {
+    if (!pendingNavigation || getCurrentConversationKey() !== sessionConversationKey) return;
+
+    if (Date.now() > pendingNavigation.expiresAt) {
+        console.warn('AI Navigator: Gave up waiting for the turn opened from search');
+        pendingNavigation = null;
+        return;
+    }
+
+    // Identities without a native ID include the turn's position, which shifts when earlier turns are deleted,
+    // and index entries from older versions have keys that are regenerated per page load, so fall back to the text
+    const { itemKey, role, turnIndex, text } = pendingNavigation;
+    const type = role === 'user' ? 'query' : 'response';
+    const queryData = sessionQueries.find(q => `${q.id}:${type}` === itemKey) ||
+        sessionQueries.find(q => (type === 'query' ? q.text : q.response && q.response.text) === text) ||
+        sessionQueries[turnIndex - 1];
+    if (!queryData || (type === 'response' && !queryData.response)) return; // Not loaded yet
+
+    if (scrollToNavItemKey(`${queryData.id}:${type}`)) {
+        console.log(`AI Navigator: Opened turn ${turnIndex} from global search`);
+        pendingNavigation = null;
+    }
+}
+
+// --- Extension Messaging ---
+
+/**
+ * Builds the outline of the current conversation for the toolbar popup
+ * @returns {Object} Provider, page and nav item details
+ */
+function getConversationOutline() {
+    const items = allNavItems.map(navItem => {
+        const turn = getNavItemTurn(navItem);
+        if (!turn) return null;
+
+        const { queryData, type } = turn;
+        const text = type === 'response' ? queryData.response.text : queryData.text;
+        const note = findNote(queryData, type);
+        return {
+            key: navItem.dataset.itemKey,
+            type,
+            index: sessionQueries.indexOf(queryData) + 1,
+            summary: generateSummary(text),
+            text: text.substring(0, 2000),
+            pinned: !!findPin(queryData, type),
+            note: note ? note.note : null,
+            active: navItem.classList.contains('active')
+        };
+    }).filter(Boolean);
+
+    return {
+        provider: currentProvider.name,
+        title: document.title,
+        url: window.location.href,
+        collapsed: navBar ? navBar.classList.contains('collapsed') : true,
+        focusModeEnabled,
+        items
+    };
+}
+
+/**
+ * Scrolls the page to the turn behind a nav item key, as if its nav item was clicked
+ * @param {string} itemKey - The nav item key
+ * @returns {boolean} True if the item was found
+ */
+function scrollToNavItemKey(itemKey) {
+    const navItem = allNavItems.find(item => item.dataset.itemKey === itemKey);
+    if (!navItem) return false;
+
+    navItem.click();
+    return true;
+}
+
+/**
+ * Handles requests from the toolbar popup
+ * @param {Object} message - The message, with a `type` of 'ai-nav:*'
+ * @param {Object} sender - The message sender
+ * @param {Function} sendResponse - Callback for the response
+ */
+function handleExtensionMessage(message, sender, sendResponse) {
+    if (!message || typeof message.type !== 'string' || !message.type.startsWith('ai-nav:')) return;
+
+    if (!currentProvider) {
+        sendResponse({ error: 'No supported chat on this page' });
+        return;
+    }
+
+    switch (message.type) {
+        case 'ai-nav:getOutline':
+            sendResponse(getConversationOutline());
+            break;
+
+        case 'ai-nav:scrollTo':
+            sendResponse({ ok: scrollToNavItemKey(message.itemKey) });
+            break;
+
+        case 'ai-nav:setCollapsed':
+            if (!message.collapsed && sidebarCollapsedByFocus) {
+                sidebarCollapsedByFocus = false;
+            }
+            setNavCollapsed(message.collapsed);
+            saveSessionQueries();
+            sendResponse({ ok: true, collapsed: navBar.classList.contains('collapsed') });
+            break;
+
+        case 'ai-nav:export':
+            try {
+                sendResponse({ ok: exportConversation(message.format) });
+            } catch (error) {
+                sendResponse({ error: error.message });
+            }
+            break;
+
+        case 'ai-nav:setFocusMode':
+            toggleFocusMode(message.enabled);
+            updateFocusModeButton();
+            sendResponse({ ok: true, focusModeEnabled });
+            break;
+
+        default:
+            sendResponse({ error: `Unknown message type: ${message.type}` });
+    }
+}
+
+/**
+ * Listens for messages from the toolbar popup
+ */
+function setupMessageHandlers() {
+    try {
+        chrome.runtime.onMessage.addListener(handleExtensionMessage);
+        console.log('AI Navigator: Message handlers setup complete');
+    } catch (error) {
+        console.warn('AI Navigator: Could not listen for extension messages:', error);
+    }
+}
+
 // --- Initialization ---
 
+/**
+ * Finds the provider for the page. Self-hosted chats are recognised by their markup,
+ * which single-page apps render after the content script has loaded, so keep looking for a while.
+ * @param {ProviderFactory} providerFactory - The provider factory
+ * @returns {Promise<AIProvider|null>} The provider, or null if the page is not a supported chat
+ */
+async function waitForProvider(providerFactory) {
+    let provider = providerFactory.getCurrentProvider();
+    const canDetectLater = providerFactory.mayMatchLater();
+
+    for (let attempt = 0; !provider && canDetectLater && attempt < PROVIDER_DETECT_ATTEMPTS; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, PROVIDER_DETECT_INTERVAL));
+        provider = providerFactory.getCurrentProvider();
+    }
+    return provider;
+}
+
 // Ensure the script runs after the page is mostly loaded
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -1271,12 +4627,13 @@ if (document.readyState === 'loading') {
     init();
 }
 
-function init() {
+async function init() {
     console.log('AI Navigator: Initializing...');
     
-    // Initialize provider system
-    const providerFactory = new ProviderFactory();
-    currentProvider = providerFactory.getCurrentProvider();
+    // Initialize provider system, including providers defined on the options page
+    providerConfigs = await ProviderConfigStore.load();
+    const providerFactory = new ProviderFactory(providerConfigs);
+    currentProvider = await waitForProvider(providerFactory);
     
     if (!currentProvider) {
         console.warn('AI Navigator: No matching provider found for current page:', window.location.href);
@@ -1285,13 +4642,21 @@ function init() {
     
     console.log(`AI Navigator: Using provider: ${currentProvider.name}`);
     
-    // Initialize fresh session data (resets on each page load)
-    sessionQueries = loadSessionQueries();
-    console.log(`AI Navigator: Starting fresh session for ${currentProvider.name}`);
+    
+    // Load settings from the options page and keep them in sync while the tab is open
+    navSettings = SettingsStore.resolve(await SettingsStore.load(), currentProvider.name);
+    focusModeEnabled = navSettings.focusModeEnabled;
+    SettingsStore.onChange(applySettings);
+    ProviderConfigStore.onChange(applyProviderConfigs);
+
+    // Stored session data for this conversation is loaded by the initial refreshData() below
+    navigationStore = new NavigationStore();
     
     createNavBar();
     setupPageChangeDetection(); // Set up listeners for page/tab changes
     setupKeyboardNavigation(); // Set up arrow key navigation
+    setupMessageHandlers(); // Answer outline and control requests from the toolbar popup
+    requestPendingNavigation(); // Scroll to a turn once it loads, when opened from the global search
     
     // Initial processing of any existing elements
     // It might take a moment for the UI to fully render, so a small delay or retry mechanism can be helpful
@@ -1299,7 +4664,7 @@ function init() {
         refreshData(); // Use refreshData instead of processChatElements to show loading state
         observeChatContainer(); // Start observing for new messages
         setupFocusMode(); // Set up focus mode after content loads
-    }, 2000); // Wait a bit for initial content to load
+    }, navSettings.initDelay); // Wait a bit for initial content to load
 }
 
 // Optional: Add a way to toggle the nav bar visibility, e.g., via a browser action or a button
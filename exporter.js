@@ -0,0 +1,454 @@
+// exporter.js - Converts a conversation snapshot to downloadable formats
+
+// Identifies the JSON conversation format (see docs/conversation-format.md)
+const CONVERSATION_FORMAT = 'ai-chat-navigator.conversation';
+const CONVERSATION_FORMAT_VERSION = 1;
+
+// Elements that are page chrome rather than content
+const EXPORT_SKIPPED_TAGS = ['BUTTON', 'SVG', 'STYLE', 'SCRIPT', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SELECT', 'MAT-ICON'];
+
+/**
+ * Builds exports from a conversation snapshot.
+ *
+ * Snapshot shape (built by the content script):
+ * {
+ *   provider: 'Claude',
+ *   title: 'Page title',
+ *   url: 'https://claude.ai/chat/...',
+ *   exportedAt: 1700000000000,
+ *   turns: [{
+ *     role: 'user' | 'assistant',
+ *     index: 1,                  // Question number the turn belongs to
+ *     text: 'Plain text',
+ *     element: HTMLElement|null, // Content element, not serialized
+ *     timestamp: 1700000000000,  // First seen
+ *     pinned: false,
+ *     note: 'Private note' | null,
+ *     branch: { index: 2, count: 3 } | null, // Version shown, for edited or regenerated turns
+ *     versions: [{ branch, text, timestamp, response }] // Other versions seen; response only on questions
+ *   }]
+ * }
+ */
+class ConversationExporter {
+    /**
+     * Convert a snapshot to a Markdown document with a table of contents
+     * @param {Object} snapshot - The conversation snapshot
+     * @param {AIProvider} [provider] - Provider used to detect code block languages
+     * @returns {string} The Markdown document
+     */
+    static toMarkdown(snapshot, provider) {
+        const lines = [];
+        const title = snapshot.title || `${snapshot.provider} conversation`;
+        const usedSlugs = new Map();
+
+        lines.push(`# ${ConversationExporter.escapeInline(title)}`);
+        lines.push('');
+        lines.push(`Exported from ${snapshot.provider} on ${new Date(snapshot.exportedAt).toLocaleString()}  `);
+        lines.push(`<${snapshot.url}>`);
+        lines.push('');
+
+        // Group turns under the question they belong to
+        const sections = [];
+        snapshot.turns.forEach(turn => {
+            let section = sections.find(s => s.index === turn.index);
+            if (!section) {
+                section = { index: turn.index, turns: [] };
+                sections.push(section);
+            }
+            section.turns.push(turn);
+        });
+
+        const headings = sections.map(section => {
+            const query = section.turns.find(turn => turn.role === 'user') || section.turns[0];
+            const heading = `${section.index}. ${ConversationExporter.summarize(query.text)}`;
+            return { heading, slug: ConversationExporter.slugify(heading, usedSlugs) };
+        });
+
+        lines.push('## Contents');
+        lines.push('');
+        headings.forEach(({ heading, slug }) => {
+            lines.push(`- [${ConversationExporter.escapeInline(heading)}](#${slug})`);
+        });
+        lines.push('');
+
+        sections.forEach((section, sectionIndex) => {
+            lines.push(`## ${ConversationExporter.escapeInline(headings[sectionIndex].heading)}`);
+            lines.push('');
+
+            section.turns.forEach(turn => {
+                const speaker = turn.role === 'user' ? 'You' : snapshot.provider;
+                const version = turn.branch ? ` _(version ${turn.branch.index} of ${turn.branch.count})_` : '';
+                lines.push(`**${speaker}:**${version}${turn.pinned ? ' ★ _pinned_' : ''}`);
+                lines.push('');
+
+                if (turn.role === 'user') {
+                    // Keep the question verbatim, quoted so it stands apart from the answer
+                    ConversationExporter.pushQuoted(lines, turn.text);
+                } else {
+                    const markdown = turn.element ?
+                        ConversationExporter.htmlToMarkdown(turn.element, provider) : turn.text;
+                    lines.push(markdown);
+                }
+                lines.push('');
+
+                if (turn.note) {
+                    lines.push(`> **Note:** ${turn.note.split('\n').join('\n> ')}`);
+                    lines.push('');
+                }
+
+                // Versions seen before the user edited, regenerated or switched, as plain text
+                (turn.versions || []).forEach(other => {
+                    lines.push(`_${other.branch ? `Version ${other.branch}` : 'Earlier version'}:_`);
+                    lines.push('');
+                    if (turn.role === 'user') {
+                        ConversationExporter.pushQuoted(lines, other.text);
+                        if (other.response) {
+                            lines.push('');
+                            lines.push(other.response);
+                        }
+                    } else {
+                        lines.push(other.text);
+                    }
+                    lines.push('');
+                });
+            });
+        });
+
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+    }
+
+    /**
+     * Add text to a Markdown document as a blockquote
+     * @param {Array<string>} lines - The document's lines
+     * @param {string} text - The text
+     */
+    static pushQuoted(lines, text) {
+        text.split('\n').forEach(line => lines.push(line ? `> ${line}` : '>'));
+    }
+
+    /**
+     * Convert a snapshot to the lossless JSON conversation format
+     * @param {Object} snapshot - The conversation snapshot
+     * @returns {Object} The conversation, ready for JSON.stringify
+     */
+    static toJSON(snapshot) {
+        const toIsoString = timestamp => (timestamp ? new Date(timestamp).toISOString() : null);
+
+        return {
+            format: CONVERSATION_FORMAT,
+            formatVersion: CONVERSATION_FORMAT_VERSION,
+            provider: snapshot.provider,
+            url: snapshot.url,
+            title: snapshot.title,
+            exportedAt: toIsoString(snapshot.exportedAt),
+            turns: snapshot.turns.map(turn => ({
+                id: `${turn.index}-${turn.role}`,
+                index: turn.index,
+                role: turn.role,
+                text: turn.text,
+                html: turn.element ? turn.element.innerHTML : null,
+                firstSeenAt: toIsoString(turn.timestamp),
+                pinned: !!turn.pinned,
+                note: turn.note || null,
+                branch: turn.branch || null,
+                versions: (turn.versions || []).map(other => ({
+                    branch: other.branch,
+                    text: other.text,
+                    ...(turn.role === 'user' ? { response: other.response || null } : {}),
+                    firstSeenAt: toIsoString(other.timestamp)
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Parse and validate a conversation saved with toJSON()
+     * @param {string} json - The file contents
+     * @returns {Object} The conversation
+     * @throws {Error} If the file is not a supported conversation
+     */
+    static fromJSON(json) {
+        let conversation;
+        try {
+            conversation = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Not a valid JSON file: ${error.message}`);
+        }
+
+        if (!conversation || conversation.format !== CONVERSATION_FORMAT) {
+            throw new Error('Not an AI Chat Navigator conversation file');
+        }
+        if (!Number.isInteger(conversation.formatVersion) || conversation.formatVersion > CONVERSATION_FORMAT_VERSION) {
+            throw new Error(`Unsupported conversation format version: ${conversation.formatVersion}`);
+        }
+        if (!Array.isArray(conversation.turns)) {
+            throw new Error('Conversation has no turns');
+        }
+
+        conversation.turns.forEach((turn, position) => {
+            if (!turn || !['user', 'assistant'].includes(turn.role)) {
+                throw new Error(`Turn ${position + 1} has an invalid role`);
+            }
+            if (typeof turn.text !== 'string') {
+                throw new Error(`Turn ${position + 1} has no text`);
+            }
+            if (!Number.isInteger(turn.index)) {
+                throw new Error(`Turn ${position + 1} has no question index`);
+            }
+            // Versions were added without a format version bump, so older files have none
+            if (turn.versions !== undefined && (!Array.isArray(turn.versions) ||
+                turn.versions.some(other => !other || typeof other.text !== 'string'))) {
+                throw new Error(`Turn ${position + 1} has invalid versions`);
+            }
+        });
+
+        return conversation;
+    }
+
+    /**
+     * Shorten text for headings
+     * @param {string} text - The text
+     * @param {number} [maxWords] - Maximum words to keep
+     * @returns {string} The summary
+     */
+    static summarize(text, maxWords = 12) {
+        const words = (text || '').trim().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return 'Untitled';
+        return words.length > maxWords ? `${words.slice(0, maxWords).join(' ')}...` : words.join(' ');
+    }
+
+    /**
+     * Create a GitHub-style heading anchor, unique within the document
+     * @param {string} heading - The heading text
+     * @param {Map} usedSlugs - Slugs used so far and how often
+     * @returns {string} The anchor slug
+     */
+    static slugify(heading, usedSlugs) {
+        const base = heading.toLowerCase()
+            .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+            .trim()
+            .replace(/\s/g, '-');
+        const count = usedSlugs.get(base) || 0;
+        usedSlugs.set(base, count + 1);
+        return count === 0 ? base : `${base}-${count}`;
+    }
+
+    /**
+     * Escape characters that would otherwise start Markdown formatting in a single line
+     * @param {string} text - The text
+     * @returns {string} The escaped text
+     */
+    static escapeInline(text) {
+        return text.replace(/([\\`*_[\]<>|])/g, '\\$1').replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Convert rendered HTML content to Markdown
+     * @param {HTMLElement} root - The content element
+     * @param {AIProvider} [provider] - Provider used to detect code block languages
+     * @returns {string} Markdown text
+     */
+    static htmlToMarkdown(root, provider) {
+        const markdown = ConversationExporter.convertChildren(root, { provider });
+        return markdown.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Convert all child nodes of an element
+     * @param {Node} node - The parent node
+     * @param {Object} context - Conversion context
+     * @returns {string} Markdown text
+     */
+    static convertChildren(node, context) {
+        return Array.from(node.childNodes).map(child => ConversationExporter.convertNode(child, context)).join('');
+    }
+
+    /**
+     * Convert a single node
+     * @param {Node} node - The node
+     * @param {Object} context - Conversion context
+     * @returns {string} Markdown text
+     */
+    static convertNode(node, context) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return node.textContent.replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = node.tagName.toUpperCase();
+        if (EXPORT_SKIPPED_TAGS.includes(tag) || node.getAttribute('aria-hidden') === 'true') return '';
+
+        const convert = () => ConversationExporter.convertChildren(node, context);
+        const block = text => `\n\n${text.trim()}\n\n`;
+        const wrapInline = (marker, text) => {
+            const trimmed = text.trim();
+            return trimmed ? `${marker}${trimmed}${marker}` : '';
+        };
+
+        switch (tag) {
+            case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+                // Turn headings are level 2, so nest response headings below them
+                const level = Math.min(6, Number(tag[1]) + 2);
+                return block(`${'#'.repeat(level)} ${convert().trim()}`);
+            }
+            case 'P': case 'DIV': case 'SECTION': case 'ARTICLE':
+                return block(convert());
+            case 'BR':
+                return '  \n';
+            case 'HR':
+                return block('---');
+            case 'STRONG': case 'B':
+                return wrapInline('**', convert());
+            case 'EM': case 'I':
+                return wrapInline('_', convert());
+            case 'DEL': case 'S':
+                return wrapInline('~~', convert());
+            case 'CODE':
+                return ConversationExporter.inlineCode(node.textContent);
+            case 'PRE':
+                return ConversationExporter.codeBlock(node, context);
+            case 'A': {
+                const text = convert().trim();
+                const href = node.getAttribute('href') || '';
+                if (!href || href.startsWith('javascript:')) return text;
+                return `[${text || href}](${node.href || href})`;
+            }
+            case 'IMG': {
+                const src = node.getAttribute('src') || '';
+                return src ? `![${node.getAttribute('alt') || ''}](${node.src || src})` : '';
+            }
+            case 'UL': case 'OL':
+                return ConversationExporter.list(node, context);
+            case 'BLOCKQUOTE':
+                return block(convert().trim().split('\n').map(line => `> ${line}`).join('\n'));
+            case 'TABLE':
+                return ConversationExporter.table(node, context);
+            default:
+                return convert();
+        }
+    }
+
+    /**
+     * Format inline code, using a fence longer than any backtick run inside it
+     * @param {string} code - The code text
+     * @returns {string} Markdown inline code
+     */
+    static inlineCode(code) {
+        const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+        return `${fence}${padding}${code}${padding}${fence}`;
+    }
+
+    /**
+     * Format a fenced code block, keeping its language
+     * @param {HTMLElement} preElement - The <pre> element
+     * @param {Object} context - Conversion context
+     * @returns {string} Markdown code block
+     */
+    static codeBlock(preElement, context) {
+        const codeElement = preElement.querySelector('code') || preElement;
+        const code = codeElement.textContent.replace(/\n$/, '');
+        const language = context.provider ? context.provider.getCodeBlockLanguage(preElement) : '';
+        const longestRun = Math.max(0, ...(code.match(/`{3,}/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        return `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+    }
+
+    /**
+     * Format an ordered or unordered list, including nested lists
+     * @param {HTMLElement} listElement - The <ul> or <ol> element
+     * @param {Object} context - Conversion context
+     * @returns {string} Markdown list
+     */
+    static list(listElement, context) {
+        const ordered = listElement.tagName.toUpperCase() === 'OL';
+        let number = parseInt(listElement.getAttribute('start'), 10) || 1;
+
+        const items = Array.from(listElement.children)
+            .filter(child => child.tagName.toUpperCase() === 'LI')
+            .map(item => {
+                const marker = ordered ? `${number++}. ` : '- ';
+                const content = ConversationExporter.convertChildren(item, context)
+                    .trim()
+                    .replace(/\n{2,}/g, '\n');
+                const indent = ' '.repeat(marker.length);
+                return content.split('\n')
+                    .map((line, index) => (index === 0 ? marker : indent) + line)
+                    .join('\n');
+            });
+
+        return `\n\n${items.join('\n')}\n\n`;
+    }
+
+    /**
+     * Format a table as a GitHub-flavored Markdown table
+     * @param {HTMLElement} tableElement - The <table> element
+     * @param {Object} context - Conversion context
+     * @returns {string} Markdown table
+     */
+    static table(tableElement, context) {
+        const rows = Array.from(tableElement.querySelectorAll('tr')).map(row =>
+            Array.from(row.children)
+                .filter(cell => ['TH', 'TD'].includes(cell.tagName.toUpperCase()))
+                .map(cell => ConversationExporter.convertChildren(cell, context)
+                    .trim()
+                    .replace(/\s*\n+\s*/g, ' ')
+                    .replace(/\|/g, '\\|'))
+        ).filter(row => row.length > 0);
+
+        if (rows.length === 0) return '';
+
+        const columnCount = Math.max(...rows.map(row => row.length));
+        const pad = row => [...row, ...Array(columnCount - row.length).fill('')];
+        const formatRow = row => `| ${pad(row).join(' | ')} |`;
+
+        const lines = [
+            formatRow(rows[0]),
+            `| ${Array(columnCount).fill('---').join(' | ')} |`,
+            ...rows.slice(1).map(formatRow)
+        ];
+        return `\n\n${lines.join('\n')}\n\n`;
+    }
+
+    /**
+     * Build a safe file name from a conversation title
+     * @param {string} title - The conversation title
+     * @param {string} extension - File extension without the dot
+     * @returns {string} The file name
+     */
+    static getFileName(title, extension) {
+        const base = (title || 'conversation')
+            .replace(/[\\/:*?"<>|]+/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .substring(0, 80) || 'conversation';
+        return `${base}.${extension}`;
+    }
+
+    /**
+     * Trigger a file download from the page
+     * @param {string} content - The file content
+     * @param {string} fileName - The file name
+     * @param {string} mimeType - The MIME type
+     */
+    static download(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConversationExporter, CONVERSATION_FORMAT, CONVERSATION_FORMAT_VERSION };
+} else {
+    window.ConversationExporter = ConversationExporter;
+}
@@ -0,0 +1,168 @@
+// global-search.js - Searches every conversation in the local search index
+
+const GLOBAL_SEARCH_DEBOUNCE_TIME = 200; // Milliseconds to wait after typing before searching
+
+const conversationIndex = new ConversationIndex();
+let searchTimeout = null;
+let searchRun = 0; // Incremented per search so results of a slower, older search are dropped
+
+/**
+ * Shows a message above the results
+ * @param {string} text - The message, or empty to hide it
+ */
+function showMessage(text) {
+    document.getElementById('global-search-message').textContent = text;
+}
+
+/**
+ * Shows how much is in the index
+ */
+async function renderStats() {
+    const statsElement = document.getElementById('global-search-stats');
+    try {
+        const stats = await conversationIndex.getStats();
+        statsElement.textContent = `${stats.turns} questions and responses from ${stats.conversations} conversations`;
+    } catch (error) {
+        statsElement.textContent = `Could not open the search index: ${error.message}`;
+    }
+}
+
+/**
+ * Opens the conversation of a hit and scrolls to its turn
+ * @param {Object} hit - A hit from ConversationIndex.search
+ */
+async function openHit(hit) {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'ai-nav-background:openSearchHit',
+            url: hit.conversation.url,
+            turn: {
+                itemKey: hit.turn.itemKey,
+                role: hit.turn.role,
+                turnIndex: hit.turn.turnIndex,
+                text: hit.turn.text
+            }
+        });
+        if (!response || response.error) throw new Error(response ? response.error : 'No response');
+    } catch (error) {
+        showMessage(`Could not open the conversation: ${error.message}`);
+    }
+}
+
+/**
+ * Creates the element for one hit
+ * @param {Object} hit - A hit from ConversationIndex.search
+ * @returns {HTMLElement} The hit element
+ */
+function createHitElement(hit) {
+    const element = document.createElement('li');
+    element.className = 'global-search-hit';
+    element.tabIndex = 0;
+    element.title = hit.conversation.url || '';
+
+    const header = document.createElement('div');
+    header.className = 'global-search-hit-header';
+    const provider = document.createElement('span');
+    provider.className = 'global-search-provider';
+    provider.textContent = hit.conversation.provider;
+    const title = document.createElement('span');
+    title.className = 'global-search-title';
+    title.textContent = hit.conversation.title || hit.conversation.url || 'Untitled conversation';
+    header.appendChild(provider);
+    header.appendChild(title);
+    element.appendChild(header);
+
+    const turn = document.createElement('div');
+    turn.className = 'global-search-turn';
+    const parts = [`Turn ${hit.turn.turnIndex} · ${hit.turn.role === 'user' ? 'You' : 'Response'}`];
+    if (hit.turn.firstSeenAt) {
+        parts.push(new Date(hit.turn.firstSeenAt).toLocaleDateString());
+    }
+    turn.textContent = parts.join(' · ');
+    element.appendChild(turn);
+
+    const snippet = document.createElement('div');
+    snippet.className = 'global-search-snippet';
+    snippet.textContent = hit.snippet.text;
+    FuzzySearch.markRanges(snippet, hit.snippet.ranges, 'global-search-mark');
+    element.appendChild(snippet);
+
+    element.addEventListener('click', () => openHit(hit));
+    element.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') openHit(hit);
+    });
+
+    return element;
+}
+
+/**
+ * Searches the index for the text in the search box and renders the hits
+ */
+async function runSearch() {
+    const query = document.getElementById('global-search-input').value.trim();
+    const container = document.getElementById('global-search-results');
+    const run = ++searchRun;
+
+    if (!query) {
+        container.innerHTML = '';
+        showMessage('');
+        return;
+    }
+
+    try {
+        const hits = await conversationIndex.search(query);
+        if (run !== searchRun) return;
+
+        container.innerHTML = '';
+        hits.forEach(hit => container.appendChild(createHitElement(hit)));
+        showMessage(hits.length === 0 ? 'No matches.' : '');
+    } catch (error) {
+        console.error('AI Navigator: Global search failed:', error);
+        showMessage(`Search failed: ${error.message}`);
+    }
+}
+
+/**
+ * Initializes the global search page
+ */
+function initGlobalSearch() {
+    const input = document.getElementById('global-search-input');
+    input.addEventListener('input', () => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(runSearch, GLOBAL_SEARCH_DEBOUNCE_TIME);
+    });
+    input.addEventListener('keydown', (event) => {
+        const firstHit = document.querySelector('.global-search-hit');
+        if (event.key === 'Enter' && firstHit) {
+            firstHit.click();
+        } else if (event.key === 'ArrowDown' && firstHit) {
+            event.preventDefault();
+            firstHit.focus();
+        }
+    });
+
+    document.getElementById('global-search-results').addEventListener('keydown', (event) => {
+        const sibling = event.key === 'ArrowDown' ? event.target.nextElementSibling
+            : event.key === 'ArrowUp' ? event.target.previousElementSibling || input : null;
+        if (sibling) {
+            event.preventDefault();
+            sibling.focus();
+        }
+    });
+
+    document.getElementById('global-search-clear').addEventListener('click', async () => {
+        if (!confirm('Remove every conversation from the search index? Conversations are indexed again when you open them.')) return;
+        try {
+            await conversationIndex.clear();
+            await renderStats();
+            runSearch();
+        } catch (error) {
+            showMessage(`Could not clear the index: ${error.message}`);
+        }
+    });
+
+    renderStats();
+    input.focus();
+}
+
+document.addEventListener('DOMContentLoaded', initGlobalSearch);
@@ -0,0 +1,194 @@
+// benchmark.js - Times the content script's chat scans on large synthetic conversations (harness/benchmark.html)
+
+const BENCHMARK_TURN_COUNTS = [50, 200, 500]; // Questions per synthetic conversation
+const BENCHMARK_STREAM_CHUNKS = 10; // Streamed chunks timed per conversation
+const BENCHMARK_NEW_TURNS = 3; // New turns timed per conversation
+const BENCHMARK_SCAN_TIMEOUT = 60000; // Milliseconds to wait for a scan, generous for slow machines
+
+const BENCHMARK_PARAGRAPH = 'The quick brown fox jumps over the lazy dog while the navigator keeps track of every turn in the conversation, ' +
+    'so this sentence stands in for the long explanations assistants tend to give.';
+
+/**
+ * Builds the markup of one question and its answer in ChatGPT's format (see fixtures/chatgpt.html)
+ * @param {number} number - Turn number, which keeps every question unique
+ * @returns {string} Two <article> elements
+ */
+function createSyntheticTurn(number) {
+    const code = number % 3 === 0 ?
+        `<pre><div class="contain-inline-size"><div class="flex items-center">python</div><div class="overflow-y-auto"><code>def step_${number}(xs):\n    return xs[::-1]</code></div></div></pre>` :
+        '';
+    return `
+        <article data-testid="conversation-turn-${number * 2 - 1}">
+            <div data-message-author-role="user"><div class="whitespace-pre-wrap">Question ${number}: how does step ${number} of the plan work?</div></div>
+        </article>
+        <article data-testid="conversation-turn-${number * 2}">
+            <div data-message-author-role="assistant"><div class="markdown prose">
+                <h3>Step ${number}</h3>
+                <p>Answer ${number}. ${BENCHMARK_PARAGRAPH}</p>
+                ${code}
+                <p>${BENCHMARK_PARAGRAPH} ${BENCHMARK_PARAGRAPH}</p>
+            </div></div>
+        </article>`;
+}
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Checked every poll interval
+ * @param {string} what - Described in the error on timeout
+ * @returns {Promise<void>}
+ */
+async function waitForCondition(condition, what) {
+    const deadline = Date.now() + BENCHMARK_SCAN_TIMEOUT;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+        await new Promise(resolve => setTimeout(resolve, HARNESS_POLL_INTERVAL));
+    }
+}
+
+/**
+ * Times every call of the fixture's processChatElements(); its callers look it up by name, so this sees them all
+ * @param {Window} frameWindow - The fixture's window
+ * @returns {Array<number>} Durations in milliseconds, filled as scans happen
+ */
+function instrumentChatScans(frameWindow) {
+    const durations = [];
+    const processChatElements = frameWindow.processChatElements;
+    frameWindow.processChatElements = function () {
+        const start = performance.now();
+        try {
+            return processChatElements.apply(this, arguments);
+        } finally {
+            durations.push(performance.now() - start);
+        }
+    };
+    return durations;
+}
+
+/**
+ * Changes the page and times the scan the content script's MutationObserver runs for it
+ * @param {Array<number>} durations - From instrumentChatScans()
+ * @param {Function} change - Changes the page
+ * @returns {Promise<number>} Milliseconds the scan took
+ */
+async function timeObservedScan(durations, change) {
+    const scansBefore = durations.length;
+    change();
+    await waitForCondition(() => durations.length > scansBefore, 'the scan after a change');
+    return durations[durations.length - 1];
+}
+
+/**
+ * Gets the median of some timings
+ * @param {Array<number>} values - Timings
+ * @returns {number} The median
+ */
+function getMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Loads a synthetic conversation and times its scans
+ * @param {number} turnCount - Questions in the conversation
+ * @param {Object} manifest - The extension's manifest.json
+ * @param {HTMLElement} container - Where the fixture's frame is shown while it runs
+ * @returns {Promise<Object>} Milliseconds per kind of scan
+ */
+async function runBenchmark(turnCount, manifest, container) {
+    const frame = document.createElement('iframe');
+    frame.className = 'harness-frame';
+    const scenario = {
+        fixture: 'chatgpt.html',
+        provider: 'chatgpt',
+        prepare(doc) {
+            const turns = [];
+            for (let number = 1; number <= turnCount; number++) {
+                turns.push(createSyntheticTurn(number));
+            }
+            doc.querySelector('main > .flex-col').innerHTML = turns.join('');
+        }
+    };
+
+    try {
+        await startFixture(frame, container, scenario, manifest);
+        const frameWindow = frame.contentWindow;
+        const doc = frameWindow.document;
+        const durations = instrumentChatScans(frameWindow);
+        const countNavItems = () => doc.querySelectorAll('#ai-nav-bar > .nav-item').length;
+
+        // The first scan extracts every turn
+        await waitForCondition(() => countNavItems() === turnCount * 2, `${turnCount * 2} nav items`);
+        const firstScan = durations[0];
+
+        // A scan when nothing changed, as after pressing Enter in an empty input
+        const unchangedScans = [];
+        for (let i = 0; i < 3; i++) {
+            const start = performance.now();
+            frameWindow.processChatElements();
+            unchangedScans.push(performance.now() - start);
+        }
+        // Let any scan those changes set off finish before timing the next ones
+        await new Promise(resolve => setTimeout(resolve, HARNESS_SETTINGS.global.observerDebounceTime * 3));
+
+        // Streaming: text is added to the newest response
+        const streamScans = [];
+        for (let chunk = 0; chunk < BENCHMARK_STREAM_CHUNKS; chunk++) {
+            streamScans.push(await timeObservedScan(durations, () => {
+                const paragraphs = doc.querySelectorAll('.markdown.prose p');
+                paragraphs[paragraphs.length - 1].appendChild(doc.createTextNode(` chunk ${chunk}`));
+            }));
+        }
+
+        // A question and its answer are added
+        const newTurnScans = [];
+        for (let i = 1; i <= BENCHMARK_NEW_TURNS; i++) {
+            newTurnScans.push(await timeObservedScan(durations, () => {
+                doc.querySelector('main > .flex-col').insertAdjacentHTML('beforeend', createSyntheticTurn(turnCount + i));
+            }));
+        }
+        await waitForCondition(() => countNavItems() === (turnCount + BENCHMARK_NEW_TURNS) * 2, 'the new turns in the sidebar');
+
+        return {
+            turnCount,
+            firstScan,
+            unchangedScan: getMedian(unchangedScans),
+            streamScan: getMedian(streamScans),
+            newTurnScan: getMedian(newTurnScans)
+        };
+    } finally {
+        frame.remove();
+    }
+}
+
+/**
+ * Runs the benchmarks one conversation size after another and fills the results table
+ */
+async function runBenchmarks() {
+    const summary = document.getElementById('harness-summary');
+    const table = document.getElementById('benchmark-results');
+    const frameContainer = document.getElementById('benchmark-frame');
+
+    document.body.dataset.harnessStatus = 'running';
+    try {
+        const manifest = await (await fetch('../manifest.json')).json();
+        for (const turnCount of BENCHMARK_TURN_COUNTS) {
+            summary.textContent = `Running ${turnCount} turns...`;
+            const result = await runBenchmark(turnCount, manifest, frameContainer);
+
+            const row = table.tBodies[0].insertRow();
+            [result.turnCount, result.firstScan, result.unchangedScan, result.streamScan, result.newTurnScan].forEach((value, index) => {
+                row.insertCell().textContent = index === 0 ? String(value) : value.toFixed(1);
+            });
+            console.log(`AI Navigator benchmark: ${turnCount} turns - first scan ${result.firstScan.toFixed(1)} ms, unchanged ${result.unchangedScan.toFixed(1)} ms, ` +
+                `streamed chunk ${result.streamScan.toFixed(1)} ms, new turn ${result.newTurnScan.toFixed(1)} ms`);
+        }
+        summary.textContent = 'Done. Times are milliseconds per scan (median where repeated).';
+        document.body.dataset.harnessStatus = 'pass';
+    } catch (error) {
+        summary.textContent = `Benchmark failed: ${error.message}`;
+        document.body.dataset.harnessStatus = 'fail';
+        console.error('AI Navigator benchmark: failed', error);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', runBenchmarks);
@@ -0,0 +1,513 @@
+// harness.js - Replays the fixture pages and recorded scenarios against the content scripts and checks the sidebar
+
+const HARNESS_EXPECT_TIMEOUT = 5000; // Milliseconds an expectation may take to come true
+const HARNESS_POLL_INTERVAL = 50; // Milliseconds between checks of an expectation
+
+// Settings that make the sidebar start expanded (so the layout is adjusted) and react quickly
+const HARNESS_SETTINGS = {
+    global: {
+        initDelay: 0,
+        observerDebounceTime: 100,
+        submitDelay: 0,
+        startCollapsed: false,
+        focusModeEnabled: false
+    }
+};
+
+/**
+ * Creates an in-memory stand-in for a chrome.storage area
+ * @param {string} areaName - 'local', 'sync' or 'session'
+ * @param {Object} data - Initial contents
+ * @param {Array<Function>} listeners - chrome.storage.onChanged listeners, shared by all areas
+ * @returns {Object} The storage area
+ */
+function createStorageArea(areaName, data, listeners) {
+    const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+    const notify = (changes) => {
+        if (Object.keys(changes).length > 0) {
+            listeners.forEach(listener => listener(changes, areaName));
+        }
+    };
+
+    return {
+        async get(keys) {
+            if (keys === null || keys === undefined) return clone(data);
+            const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+            const keyList = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+            const result = {};
+            keyList.forEach(key => {
+                if (key in data) {
+                    result[key] = clone(data[key]);
+                } else if (key in defaults) {
+                    result[key] = defaults[key];
+                }
+            });
+            return result;
+        },
+        async set(items) {
+            const changes = {};
+            Object.entries(items).forEach(([key, value]) => {
+                changes[key] = { oldValue: clone(data[key]), newValue: clone(value) };
+                data[key] = clone(value);
+            });
+            notify(changes);
+        },
+        async remove(keys) {
+            const changes = {};
+            (Array.isArray(keys) ? keys : [keys]).forEach(key => {
+                if (key in data) {
+                    changes[key] = { oldValue: data[key] };
+                    delete data[key];
+                }
+            });
+            notify(changes);
+        },
+        async getBytesInUse() {
+            return JSON.stringify(data).length;
+        }
+    };
+}
+
+/**
+ * Creates the chrome.* APIs the content scripts use, backed by memory
+ * @param {Object} manifest - The extension's manifest.json
+ * @param {Object} storage - Initial contents: { local, sync }
+ * @returns {Object} The chrome object to install in the fixture's window
+ */
+function createChromeStub(manifest, storage) {
+    const listeners = [];
+    return {
+        storage: {
+            local: createStorageArea('local', storage.local || {}, listeners),
+            sync: createStorageArea('sync', storage.sync || {}, listeners),
+            session: createStorageArea('session', {}, listeners),
+            onChanged: { addListener: listener => listeners.push(listener) }
+        },
+        runtime: {
+            id: 'replay-harness',
+            // There is no service worker: the global search index and pending navigation do nothing
+            sendMessage: async () => ({ ok: true, value: null }),
+            onMessage: { addListener() {} },
+            getManifest: () => manifest,
+            getURL: path => new URL(`../${path}`, window.location.href).href
+        }
+    };
+}
+
+/**
+ * Loads a script into a document and waits for it to run
+ * @param {Document} doc - The document
+ * @param {string} src - Script URL
+ * @returns {Promise<void>}
+ */
+function loadScript(doc, src) {
+    return new Promise((resolve, reject) => {
+        const script = doc.createElement('script');
+        script.src = src;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        doc.head.appendChild(script);
+    });
+}
+
+/**
+ * Loads a fixture into a frame and starts the content scripts in it, the way the manifest
+ * injects them on the live site
+ * @param {HTMLIFrameElement} frame - The frame, not yet in the document
+ * @param {HTMLElement} container - Where to show the frame
+ * @param {Object} scenario - The scenario
+ * @param {Object} manifest - The extension's manifest.json
+ * @param {Function} [prepareWindow] - Called with the fixture's window before anything runs in it
+ * @returns {Promise<Array<string>>} Uncaught errors from the fixture's window, filled as they happen
+ */
+async function startFixture(frame, container, scenario, manifest, prepareWindow) {
+    await new Promise((resolve, reject) => {
+        frame.addEventListener('load', resolve, { once: true });
+        frame.addEventListener('error', () => reject(new Error(`Could not load fixture ${scenario.fixture}`)), { once: true });
+        frame.src = new URL(`../fixtures/${scenario.fixture}`, window.location.href).href;
+        container.appendChild(frame);
+    });
+
+    const frameWindow = frame.contentWindow;
+    if (prepareWindow) {
+        prepareWindow(frameWindow);
+    }
+    if (scenario.prepare) {
+        scenario.prepare(frameWindow.document);
+    }
+
+    const errors = [];
+    frameWindow.addEventListener('error', event => errors.push(event.message));
+    frameWindow.addEventListener('unhandledrejection', event => errors.push(String(event.reason)));
+
+    // The fixture is served from this host rather than the live site, so point the provider's URL patterns here
+    const builtInConfig = BUILT_IN_PROVIDER_CONFIGS.find(config => config.id === scenario.provider);
+    if (!builtInConfig) {
+        throw new Error(`Unknown provider "${scenario.provider}"`);
+    }
+    const config = { ...builtInConfig, matches: [`${frameWindow.location.protocol}//${frameWindow.location.hostname}/*`] };
+
+    frameWindow.chrome = createChromeStub(manifest, {
+        local: { [PROVIDER_CONFIGS_STORAGE_KEY]: [config] },
+        sync: { [SETTINGS_STORAGE_KEY]: HARNESS_SETTINGS }
+    });
+
+    const [contentScript] = manifest.content_scripts;
+    const doc = frameWindow.document;
+    contentScript.css.forEach(file => {
+        const link = doc.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = new URL(`../${file}`, window.location.href).href;
+        doc.head.appendChild(link);
+    });
+    for (const file of contentScript.js) {
+        await loadScript(doc, new URL(`../${file}`, window.location.href).href);
+    }
+
+    return errors;
+}
+
+/**
+ * Finds the element a step acts on
+ * @param {Document} doc - The fixture's document
+ * @param {Object} step - The step
+ * @returns {HTMLElement} The last element matching the step's target (the newest message, usually)
+ */
+function getStepTarget(doc, step) {
+    const matches = doc.querySelectorAll(step.target);
+    if (matches.length === 0) {
+        throw new Error(`${step.action}: nothing matches ${step.target}`);
+    }
+    return matches[matches.length - 1];
+}
+
+/**
+ * Reads the sidebar's nav items as "<type>: <summary>" strings
+ * @param {Document} doc - The fixture's document
+ * @param {boolean} visibleOnly - Only the items the search leaves visible
+ * @returns {Array<string>} The nav items
+ */
+function readNavItems(doc, visibleOnly) {
+    return Array.from(doc.querySelectorAll('#ai-nav-bar > .nav-item'))
+        .filter(item => !visibleOnly || item.style.display !== 'none')
+        .map(item => {
+            const type = item.classList.contains('response') ? 'response' : 'query';
+            const summary = item.querySelector('.nav-item-summary');
+            return `${type}: ${(summary ? summary.textContent : item.textContent).trim()}`;
+        });
+}
+
+/**
+ * Finds the sidebar's nav item for a step
+ * @param {Document} doc - The fixture's document
+ * @param {Object} step - The step, whose `item` is the nav item as "<type>: <summary>"
+ * @returns {HTMLElement} The nav item
+ */
+function getStepNavItem(doc, step) {
+    const navItems = Array.from(doc.querySelectorAll('#ai-nav-bar > .nav-item'));
+    const labels = readNavItems(doc, false);
+    const navItem = navItems[labels.indexOf(step.item)];
+    if (!navItem) {
+        throw new Error(`${step.action}: the sidebar has no item "${step.item}"`);
+    }
+    return navItem;
+}
+
+/**
+ * Reads the Pinned section's entries as "<type>: <summary>" strings
+ * @param {Document} doc - The fixture's document
+ * @returns {Array<string>} The pinned entries
+ */
+function readPins(doc) {
+    return Array.from(doc.querySelectorAll('#ai-nav-bar .nav-pinned-section .pinned-entry')).map(entry => {
+        const type = entry.classList.contains('response') ? 'response' : 'query';
+        return `${type}: ${entry.querySelector('.nav-item-summary').textContent.trim()}`;
+    });
+}
+
+/**
+ * Reads the notes on turns as "<type> <turn>: <note>" strings
+ * @param {Document} doc - The fixture's document
+ * @returns {Array<string>} The notes, in sidebar order
+ */
+function readNotes(doc) {
+    return Array.from(doc.querySelectorAll('#ai-nav-bar > .nav-item'))
+        .filter(item => item.querySelector(':scope > .nav-note'))
+        .map(item => {
+            const type = item.classList.contains('response') ? 'response' : 'query';
+            const turnNumber = parseInt(item.querySelector('.nav-item-summary').textContent, 10);
+            return `${type} ${turnNumber}: ${item.querySelector(':scope > .nav-note').textContent.trim()}`;
+        });
+}
+
+/**
+ * Reads the version labels of edited or regenerated turns as "<type> <turn>: <label>" strings
+ * @param {Document} doc - The fixture's document
+ * @returns {Array<string>} The labels, in sidebar order
+ */
+function readTurnVersions(doc) {
+    return Array.from(doc.querySelectorAll('#ai-nav-bar > .nav-item'))
+        .filter(item => item.querySelector(':scope > .nav-version-toggle'))
+        .map(item => {
+            const type = item.classList.contains('response') ? 'response' : 'query';
+            const turnNumber = parseInt(item.querySelector('.nav-item-summary').textContent, 10);
+            return `${type} ${turnNumber}: ${item.querySelector(':scope > .nav-version-toggle').textContent.trim()}`;
+        });
+}
+
+/**
+ * Reads the streaming status of responses as "response <turn>: <status>" strings. A finished
+ * response's status is its length, since the time it took varies from run to run.
+ * @param {Document} doc - The fixture's document
+ * @returns {Array<string>} The statuses, in sidebar order
+ */
+function readTurnStatuses(doc) {
+    return Array.from(doc.querySelectorAll('#ai-nav-bar > .nav-item'))
+        .filter(item => item.querySelector(':scope > .nav-turn-status'))
+        .map(item => {
+            const type = item.classList.contains('response') ? 'response' : 'query';
+            const turnNumber = parseInt(item.querySelector('.nav-item-summary').textContent, 10);
+            const status = item.querySelector(':scope > .nav-turn-status');
+            const counts = status.querySelector('.nav-turn-counts');
+            return `${type} ${turnNumber}: ${(counts || status).textContent.trim()}`;
+        });
+}
+
+/**
+ * Compares what the sidebar shows with an expectation
+ * @param {Window} frameWindow - The fixture's window
+ * @param {Object} expected - { navItems, searchResults, codeLanguages, versions, statuses, pins, notes, layout }
+ * @returns {Array<string>} Differences, empty when everything matches
+ */
+function compareExpectation(frameWindow, expected) {
+    const doc = frameWindow.document;
+    const differences = [];
+    const compareList = (name, actual, wanted) => {
+        if (JSON.stringify(actual) !== JSON.stringify(wanted)) {
+            differences.push(`${name}: expected ${JSON.stringify(wanted, null, 1)}\n  got ${JSON.stringify(actual, null, 1)}`);
+        }
+    };
+
+    if (expected.navItems) {
+        compareList('navItems', readNavItems(doc, false), expected.navItems);
+    }
+    if (expected.searchResults) {
+        compareList('searchResults', readNavItems(doc, true), expected.searchResults);
+    }
+    if (expected.codeLanguages) {
+        const languages = Array.from(doc.querySelectorAll('#ai-nav-bar .nav-code-language')).map(label => label.textContent.trim());
+        compareList('codeLanguages', languages, expected.codeLanguages);
+    }
+    if (expected.versions) {
+        compareList('versions', readTurnVersions(doc), expected.versions);
+    }
+    if (expected.statuses) {
+        compareList('statuses', readTurnStatuses(doc), expected.statuses);
+    }
+    if (expected.pins) {
+        compareList('pins', readPins(doc), expected.pins);
+    }
+    if (expected.notes) {
+        compareList('notes', readNotes(doc), expected.notes);
+    }
+    if (expected.layout) {
+        const element = doc.querySelector(expected.layout.target);
+        const marginRight = element ? element.style.marginRight : null;
+        if (marginRight !== expected.layout.marginRight) {
+            differences.push(`layout: expected margin-right ${expected.layout.marginRight} on ${expected.layout.target}, got ${element ? marginRight || 'none' : 'no element'}`);
+        }
+    }
+    return differences;
+}
+
+/**
+ * Runs one step of a scenario
+ * @param {Window} frameWindow - The fixture's window
+ * @param {Object} step - The step (see scenarios.js)
+ */
+async function runStep(frameWindow, step) {
+    const doc = frameWindow.document;
+
+    switch (step.action) {
+        case 'append':
+            getStepTarget(doc, step).insertAdjacentHTML('beforeend', step.html);
+            break;
+
+        case 'prepend':
+            // How chats load earlier history: turns are added above the first one
+            getStepTarget(doc, step).insertAdjacentHTML('afterbegin', step.html);
+            break;
+
+        case 'replace':
+            getStepTarget(doc, step).innerHTML = step.html;
+            break;
+
+        case 'remove': {
+            const matches = doc.querySelectorAll(step.target);
+            if (matches.length === 0) throw new Error(`remove: nothing matches ${step.target}`);
+            matches.forEach(element => element.remove());
+            break;
+        }
+
+        case 'setText':
+            getStepTarget(doc, step).textContent = step.text;
+            break;
+
+        case 'appendText':
+            // How streamed responses grow: text is added to the end of the newest message
+            getStepTarget(doc, step).appendChild(doc.createTextNode(step.text));
+            break;
+
+        case 'setAttribute':
+            getStepTarget(doc, step).setAttribute(step.name, step.value);
+            break;
+
+        case 'navigate':
+            // Single-page apps switch conversations with pushState, without a page load
+            frameWindow.history.pushState({}, '', new URL(step.url, frameWindow.location.href).href);
+            break;
+
+        case 'search': {
+            const searchInput = doc.querySelector('#ai-nav-bar .search-input');
+            if (!searchInput) throw new Error('search: the sidebar has no search box');
+            searchInput.value = step.text;
+            searchInput.dispatchEvent(new frameWindow.Event('input', { bubbles: true }));
+            break;
+        }
+
+        case 'pin':
+            getStepNavItem(doc, step).querySelector('.nav-pin-btn').click();
+            break;
+
+        case 'note': {
+            const navItem = getStepNavItem(doc, step);
+            navItem.querySelector('.nav-note-btn').click();
+            const editor = navItem.querySelector('.nav-note-editor');
+            if (!editor) throw new Error(`note: no note editor opened on "${step.item}"`);
+            editor.querySelector('textarea').value = step.text;
+            editor.querySelector('[data-action="save"]').click();
+            break;
+        }
+
+        case 'wait':
+            await new Promise(resolve => setTimeout(resolve, step.ms));
+            break;
+
+        case 'expect': {
+            // The sidebar updates after debounces, so keep checking until it matches or time runs out
+            const deadline = Date.now() + (step.timeout || HARNESS_EXPECT_TIMEOUT);
+            let differences = compareExpectation(frameWindow, step);
+            while (differences.length > 0 && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, HARNESS_POLL_INTERVAL));
+                differences = compareExpectation(frameWindow, step);
+            }
+            if (differences.length > 0) {
+                throw new Error(differences.join('\n'));
+            }
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown step action "${step.action}"`);
+    }
+}
+
+/**
+ * Runs a scenario in a fresh frame, so every scenario starts with new content script state
+ * @param {Object} scenario - The scenario
+ * @param {Object} manifest - The extension's manifest.json
+ * @param {HTMLElement} resultElement - Where the scenario's result is shown
+ * @param {Function} [prepareWindow] - Called with the fixture's window before the content scripts
+ *   start, e.g. to fill in what a headless DOM lacks (see test/replay.test.js)
+ * @returns {Promise<boolean>} Whether the scenario passed
+ */
+async function runScenario(scenario, manifest, resultElement, prepareWindow) {
+    const frame = document.createElement('iframe');
+    frame.className = 'harness-frame';
+
+    let stepIndex = -1;
+    try {
+        const errors = await startFixture(frame, resultElement, scenario, manifest, prepareWindow);
+        for (stepIndex = 0; stepIndex < scenario.steps.length; stepIndex++) {
+            await runStep(frame.contentWindow, scenario.steps[stepIndex]);
+            if (errors.length > 0) {
+                throw new Error(`Uncaught error in the page: ${errors[0]}`);
+            }
+        }
+    } catch (error) {
+        const where = stepIndex >= 0 ? `Step ${stepIndex + 1} (${scenario.steps[stepIndex].action})` : 'Setup';
+        showScenarioResult(resultElement, false, `${where}: ${error.message}`);
+        console.error(`AI Navigator harness: FAIL ${scenario.name} - ${where}: ${error.message}`);
+        return false; // Keep the frame for a look at the page
+    }
+
+    frame.remove();
+    showScenarioResult(resultElement, true, `${scenario.steps.length} steps`);
+    console.log(`AI Navigator harness: PASS ${scenario.name}`);
+    return true;
+}
+
+/**
+ * Shows a scenario's outcome
+ * @param {HTMLElement} resultElement - The scenario's result element
+ * @param {boolean} passed - Whether it passed
+ * @param {string} message - Details
+ */
+function showScenarioResult(resultElement, passed, message) {
+    resultElement.classList.add(passed ? 'pass' : 'fail');
+    resultElement.querySelector('.harness-status').textContent = passed ? 'PASS' : 'FAIL';
+    resultElement.querySelector('.harness-message').textContent = message;
+}
+
+/**
+ * Runs every scenario, or those named in ?scenario=a,b, one after another
+ */
+async function runHarness() {
+    const summary = document.getElementById('harness-summary');
+    const list = document.getElementById('harness-results');
+    const only = new URLSearchParams(window.location.search).get('scenario');
+    const scenarios = only ? REPLAY_SCENARIOS.filter(scenario => only.split(',').includes(scenario.name)) : REPLAY_SCENARIOS;
+
+    document.body.dataset.harnessStatus = 'running';
+    let manifest;
+    try {
+        const response = await fetch('../manifest.json');
+        manifest = await response.json();
+    } catch (error) {
+        summary.textContent = `Could not load manifest.json: ${error.message}. Serve the repository over HTTP (see fixtures/README.md).`;
+        document.body.dataset.harnessStatus = 'fail';
+        return;
+    }
+
+    let failed = 0;
+    for (const [index, scenario] of scenarios.entries()) {
+        summary.textContent = `Running ${index + 1} of ${scenarios.length}: ${scenario.name}`;
+
+        const resultElement = document.createElement('li');
+        resultElement.innerHTML = `
+            <span class="harness-status">...</span>
+            <span class="harness-name"></span>
+            <span class="harness-fixture"></span>
+            <pre class="harness-message"></pre>
+        `;
+        resultElement.querySelector('.harness-name').textContent = scenario.name;
+        resultElement.querySelector('.harness-fixture').textContent = `${scenario.fixture} (${scenario.provider})`;
+        list.appendChild(resultElement);
+
+        if (!await runScenario(scenario, manifest, resultElement)) {
+            failed++;
+        }
+    }
+
+    summary.textContent = failed === 0
+        ? `All ${scenarios.length} scenarios passed`
+        : `${failed} of ${scenarios.length} scenarios failed`;
+    document.body.dataset.harnessStatus = failed === 0 ? 'pass' : 'fail';
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    // benchmark.html shares the functions above but takes its own measurements
+    if (document.getElementById('harness-results')) {
+        runHarness();
+    }
+});
@@ -0,0 +1,94 @@
+// recorder.js - DevTools snippet that records a chat page as a fixture and its changes as replay steps
+//
+// Paste it into the console of a live chat (with the extension disabled, so the sidebar is not recorded),
+// send a message, and call stopReplayRecording() once the response has finished. It returns
+// { html, steps }: save html as the fixture and add the steps to a scenario in scenarios.js,
+// followed by an 'expect' step. Recorded steps are a starting point: trim the markup to what the
+// provider config reads, as with the fixtures themselves.
+
+(() => {
+    /**
+     * Builds a selector for an element from ids and classes, short enough to edit by hand
+     * @param {Element} element - The element
+     * @returns {string} A selector for the element (the last match, when several match)
+     */
+    function describeTarget(element) {
+        const parts = [];
+        for (let node = element; node && node !== document.body; node = node.parentElement) {
+            if (node.id) {
+                parts.unshift(`#${CSS.escape(node.id)}`);
+                break;
+            }
+            const classes = Array.from(node.classList).slice(0, 2).map(name => `.${CSS.escape(name)}`).join('');
+            parts.unshift(`${node.localName}${classes}`);
+            if (parts.length >= 3) break;
+        }
+        return parts.join(' > ');
+    }
+
+    /**
+     * Copies the page without scripts, styles or the navigator's own elements
+     * @returns {string} The page's HTML
+     */
+    function snapshotPage() {
+        const copy = document.documentElement.cloneNode(true);
+        copy.querySelectorAll('script, style, link[rel="stylesheet"], noscript, #ai-nav-bar, #ai-nav-expand-btn')
+            .forEach(element => element.remove());
+        return `<!DOCTYPE html>\n${copy.outerHTML}`;
+    }
+
+    const steps = [];
+    let lastStepAt = Date.now();
+    let lastUrl = location.href;
+
+    const addStep = (step) => {
+        const now = Date.now();
+        if (now - lastStepAt > 50) {
+            steps.push({ action: 'wait', ms: now - lastStepAt });
+        }
+        lastStepAt = now;
+        steps.push(step);
+    };
+
+    const html = snapshotPage();
+    const observer = new MutationObserver(mutations => {
+        if (location.href !== lastUrl) {
+            lastUrl = location.href;
+            addStep({ action: 'navigate', url: location.pathname + location.search });
+        }
+        mutations.forEach(mutation => {
+            const target = mutation.target.nodeType === Node.TEXT_NODE ? mutation.target.parentElement : mutation.target;
+            if (!target || target.closest('#ai-nav-bar')) return;
+
+            if (mutation.type === 'attributes') {
+                addStep({
+                    action: 'setAttribute',
+                    target: describeTarget(target),
+                    name: mutation.attributeName,
+                    value: target.getAttribute(mutation.attributeName)
+                });
+            } else if (mutation.type === 'characterData') {
+                addStep({ action: 'setText', target: describeTarget(target), text: target.textContent });
+            } else {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        addStep({ action: 'append', target: describeTarget(target), html: node.outerHTML });
+                    } else if (node.nodeType === Node.TEXT_NODE && node.textContent) {
+                        addStep({ action: 'appendText', target: describeTarget(target), text: node.textContent });
+                    }
+                });
+                if (mutation.removedNodes.length > 0 && mutation.addedNodes.length === 0) {
+                    addStep({ action: 'replace', target: describeTarget(target), html: target.innerHTML });
+                }
+            }
+        });
+    });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true, attributes: true });
+
+    window.stopReplayRecording = () => {
+        observer.disconnect();
+        console.log(`AI Navigator recorder: ${steps.length} steps recorded`);
+        return { html, steps };
+    };
+    console.log('AI Navigator recorder: recording. Call stopReplayRecording() when done.');
+})();
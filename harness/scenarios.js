@@ -0,0 +1,335 @@
+// scenarios.js - Recorded replays of the fixture pages for the replay harness (harness/index.html)
+
+/**
+ * A scenario loads `fixture` (a page in fixtures/) with the `provider` config, then runs
+ * its steps in order. An optional `prepare(document)` function changes the fixture before the
+ * content scripts start, as the benchmarks do to build large conversations. Steps that change the page act on the last element matching `target`,
+ * which is usually the newest message:
+ *
+ * - { action: 'append', target, html } - add markup at the end of the target (a new turn)
+ * - { action: 'prepend', target, html } - add markup at the start of the target (earlier history loading)
+ * - { action: 'appendText', target, text } - add text at the end of the target (a streamed chunk)
+ * - { action: 'setText', target, text } - replace the target's text
+ * - { action: 'replace', target, html } - replace the target's content (a re-rendered chat)
+ * - { action: 'setAttribute', target, name, value }
+ * - { action: 'remove', target } - remove every element matching the target
+ * - { action: 'navigate', url } - pushState to a URL relative to the fixture, as single-page apps do
+ * - { action: 'search', text } - type into the sidebar's search box
+ * - { action: 'pin', item } - click the pin button of the nav item shown as `item` ("<query|response>: <summary>")
+ * - { action: 'note', item, text } - save a note on that nav item
+ * - { action: 'wait', ms }
+ * - { action: 'expect', navItems, searchResults, codeLanguages, versions, statuses, pins, notes, layout, timeout }
+ *
+ * An expectation is checked until it holds or `timeout` (5 s by default) runs out:
+ * - navItems: every sidebar item as "<query|response>: <summary>"
+ * - searchResults: the items the search leaves visible, in the same form
+ * - codeLanguages: the languages listed in the Code tab
+ * - versions: the version labels of edited or regenerated turns as "<query|response> <turn>: <label>"
+ * - statuses: "response <turn>: generating" while a response streams, then its word and character count
+ * - pins: the Pinned section's entries as "<query|response>: <summary>"
+ * - notes: the notes on turns as "<query|response> <turn>: <note>"
+ * - layout: { target, marginRight } - the margin the sidebar gave the page's main column
+ *
+ * Steps can be recorded on a live site with harness/recorder.js.
+ */
+
+// The same two-question conversation is in every fixture (see fixtures/README.md)
+const REVERSE_LIST_NAV_ITEMS = [
+    'query: 1. How do I reverse a list in Python?',
+    'response: 1. Slicing A slice with a negative step returns a reversed...',
+    'query: 2. And a string?',
+    'response: 2. Strings support slicing too, so "abc"[::-1] gives "cba".'
+];
+const REVERSE_LIST_STRING_RESULTS = [
+    'query: 2. And a string?',
+    'response: 2. Strings support slicing too, so "abc"[::-1] gives "cba".'
+];
+const SIDEBAR_MARGIN = '260px'; // Default navBarWidth plus gap
+
+/**
+ * Builds the scenario every fixture gets: the sidebar lists the conversation, makes room
+ * for itself, indexes the code block and finds the second turn by searching
+ * @param {string} provider - Provider config id
+ * @param {string} fixture - Fixture file
+ * @param {string} mainContent - Selector of the main column the sidebar should shift
+ * @param {Object} overrides - Expected values that differ from the shared conversation
+ * @returns {Object} The scenario
+ */
+function createSnapshotScenario(provider, fixture, mainContent, overrides = {}) {
+    return {
+        name: `${provider}-snapshot`,
+        fixture,
+        provider,
+        steps: [
+            {
+                action: 'expect',
+                navItems: overrides.navItems || REVERSE_LIST_NAV_ITEMS,
+                codeLanguages: ['python'],
+                layout: { target: mainContent, marginRight: SIDEBAR_MARGIN }
+            },
+            { action: 'search', text: 'string' },
+            { action: 'expect', searchResults: overrides.searchResults || REVERSE_LIST_STRING_RESULTS }
+        ]
+    };
+}
+
+const REPLAY_SCENARIOS = [
+    createSnapshotScenario('gemini', 'gemini.html', 'main'),
+    createSnapshotScenario('chatgpt', 'chatgpt.html', 'main'),
+    createSnapshotScenario('claude', 'claude.html', 'main'),
+    createSnapshotScenario('aistudio', 'aistudio.html', 'main'),
+    createSnapshotScenario('perplexity', 'perplexity.html', 'main', {
+        navItems: [
+            'query: 1. How do I reverse a list in Python?',
+            'response: 1. There are two common ways 1: Slicing A slice with...',
+            'query: 2. And a string? Without a loop, if possible.',
+            'response: 2. Strings support slicing too, so "abc"[::-1] gives "cba".'
+        ],
+        searchResults: [
+            'query: 2. And a string? Without a loop, if possible.',
+            'response: 2. Strings support slicing too, so "abc"[::-1] gives "cba".'
+        ]
+    }),
+    createSnapshotScenario('le-chat', 'le-chat.html', 'main'),
+    createSnapshotScenario('deepseek', 'deepseek.html', '#root > div'),
+    createSnapshotScenario('copilot', 'copilot.html', 'main', {
+        navItems: [
+            'query: 1. How do I reverse a list in Python?',
+            'response: 1. Slicing returns a reversed copy: xs = [1, 2, 3]...',
+            'query: 2. And a string?',
+            'response: 2. Strings support slicing too, so "abc"[::-1] gives "cba".'
+        ]
+    }),
+    createSnapshotScenario('grok', 'grok.html', 'main'),
+    createSnapshotScenario('poe', 'poe.html', 'main'),
+    createSnapshotScenario('open-webui', 'open-webui.html', '#chat-container'),
+    createSnapshotScenario('librechat', 'librechat.html', 'main'),
+
+    {
+        // A new question, then the answer streamed in chunks: the summary follows the text
+        name: 'chatgpt-streaming',
+        fixture: 'chatgpt.html',
+        provider: 'chatgpt',
+        steps: [
+            { action: 'expect', navItems: REVERSE_LIST_NAV_ITEMS },
+            {
+                action: 'append',
+                target: 'main > .flex-col',
+                html: '<article data-testid="conversation-turn-5"><div data-message-author-role="user"><div class="whitespace-pre-wrap">What about a tuple?</div></div></article>'
+            },
+            {
+                action: 'append',
+                target: 'main > .flex-col',
+                html: '<article data-testid="conversation-turn-6"><div data-message-author-role="assistant"><div class="markdown prose"><p>Tuples</p></div></div></article>'
+            },
+            // ChatGPT shows a stop button while the newest response streams
+            { action: 'append', target: 'form', html: '<button data-testid="stop-button" aria-label="Stop streaming">Stop</button>' },
+            { action: 'appendText', target: '.markdown.prose p', text: ' are immutable,' },
+            { action: 'wait', ms: 150 },
+            { action: 'appendText', target: '.markdown.prose p', text: ' so slicing returns a new tuple.' },
+            {
+                action: 'expect',
+                navItems: [
+                    ...REVERSE_LIST_NAV_ITEMS,
+                    'query: 3. What about a tuple?',
+                    'response: 3. Tuples are immutable, so slicing returns a new tuple.'
+                ],
+                statuses: ['response 3: generating']
+            },
+            { action: 'remove', target: '[data-testid="stop-button"]' },
+            { action: 'expect', statuses: ['response 3: 9 words · 53 chars'] }
+        ]
+    },
+    {
+        // A regenerated response, then an edited question, then switching back: the other versions are remembered
+        name: 'chatgpt-branches',
+        fixture: 'chatgpt.html',
+        provider: 'chatgpt',
+        steps: [
+            { action: 'expect', navItems: REVERSE_LIST_NAV_ITEMS, versions: [] },
+            {
+                action: 'replace',
+                target: 'article[data-testid="conversation-turn-4"]',
+                html: '<div data-message-author-role="assistant" data-message-id="bbb3"><div class="markdown prose"><p>Use slicing: "abc"[::-1] is "cba".</p></div></div>' +
+                    '<div class="flex items-center"><button aria-label="Previous response">&lt;</button><div class="tabular-nums">2/2</div><button aria-label="Next response">&gt;</button></div>'
+            },
+            {
+                action: 'expect',
+                navItems: [
+                    ...REVERSE_LIST_NAV_ITEMS.slice(0, 3),
+                    'response: 2. Use slicing: "abc"[::-1] is "cba".'
+                ],
+                versions: ['response 2: \u25b8 2/2 \u00b7 1 other seen']
+            },
+            {
+                action: 'replace',
+                target: 'article[data-testid="conversation-turn-3"]',
+                html: '<div data-message-author-role="user" data-message-id="aaa3"><div class="whitespace-pre-wrap">And a tuple?</div></div>' +
+                    '<div class="flex items-center"><button aria-label="Previous prompt">&lt;</button><div class="tabular-nums">2/2</div><button aria-label="Next prompt">&gt;</button></div>'
+            },
+            {
+                action: 'replace',
+                target: 'article[data-testid="conversation-turn-4"]',
+                html: '<div data-message-author-role="assistant" data-message-id="bbb4"><div class="markdown prose"><p>Tuples slice the same way.</p></div></div>'
+            },
+            {
+                action: 'expect',
+                navItems: [
+                    ...REVERSE_LIST_NAV_ITEMS.slice(0, 2),
+                    'query: 2. And a tuple?',
+                    'response: 2. Tuples slice the same way.'
+                ],
+                versions: ['query 2: \u25b8 2/2 \u00b7 1 other seen']
+            },
+            {
+                action: 'replace',
+                target: 'article[data-testid="conversation-turn-3"]',
+                html: '<div data-message-author-role="user" data-message-id="aaa2"><div class="whitespace-pre-wrap">And a string?</div></div>' +
+                    '<div class="flex items-center"><button aria-label="Previous prompt">&lt;</button><div class="tabular-nums">1/2</div><button aria-label="Next prompt">&gt;</button></div>'
+            },
+            {
+                action: 'replace',
+                target: 'article[data-testid="conversation-turn-4"]',
+                html: '<div data-message-author-role="assistant" data-message-id="bbb3"><div class="markdown prose"><p>Use slicing: "abc"[::-1] is "cba".</p></div></div>'
+            },
+            {
+                action: 'expect',
+                navItems: [
+                    ...REVERSE_LIST_NAV_ITEMS.slice(0, 3),
+                    'response: 2. Use slicing: "abc"[::-1] is "cba".'
+                ],
+                versions: ['query 2: \u25b8 1/2 \u00b7 1 other seen']
+            }
+        ]
+    },
+    {
+        // Claude marks a response as streaming until it is complete; the sidebar shows it generating, then its length
+        name: 'claude-streaming',
+        fixture: 'claude.html',
+        provider: 'claude',
+        steps: [
+            { action: 'expect', navItems: REVERSE_LIST_NAV_ITEMS },
+            {
+                action: 'append',
+                target: '.flex-1.flex.flex-col',
+                html: '<div><div data-testid="user-message"><p class="whitespace-pre-wrap">What about a tuple?</p></div></div>'
+            },
+            {
+                action: 'append',
+                target: '.flex-1.flex.flex-col',
+                html: '<div><div data-is-streaming="true"><div class="font-claude-message"><div class="grid-cols-1 grid"><p>Tuples</p></div></div></div></div>'
+            },
+            { action: 'appendText', target: '.grid-cols-1.grid p', text: ' are immutable,' },
+            {
+                action: 'expect',
+                navItems: [...REVERSE_LIST_NAV_ITEMS, 'query: 3. What about a tuple?', 'response: 3. Tuples are immutable,'],
+                statuses: ['response 3: generating']
+            },
+            { action: 'appendText', target: '.grid-cols-1.grid p', text: ' so slicing returns a new tuple.' },
+            {
+                action: 'expect',
+                navItems: [
+                    ...REVERSE_LIST_NAV_ITEMS,
+                    'query: 3. What about a tuple?',
+                    'response: 3. Tuples are immutable, so slicing returns a new tuple.'
+                ],
+                statuses: ['response 3: generating']
+            },
+            // Only the attribute changes when the response is complete
+            { action: 'setAttribute', target: '[data-is-streaming]', name: 'data-is-streaming', value: 'false' },
+            { action: 'expect', statuses: ['response 3: 9 words · 53 chars'] }
+        ]
+    },
+    {
+        // Switching conversations without a page load replaces the sidebar's items
+        name: 'gemini-navigation',
+        fixture: 'gemini.html',
+        provider: 'gemini',
+        steps: [
+            { action: 'expect', navItems: REVERSE_LIST_NAV_ITEMS },
+            {
+                action: 'replace',
+                target: 'infinite-scroller.chat-history',
+                html: '<div class="conversation-container"><user-query><span class="user-query-bubble-with-background"><div class="query-text"><p>Plan a weekend in Lisbon</p></div></span></user-query><model-response><div class="response-content"><div class="markdown response-text"><p>Day one: Alfama and the castle.</p></div></div></model-response></div>'
+            },
+            { action: 'navigate', url: 'gemini-lisbon' },
+            {
+                action: 'expect',
+                navItems: [
+                    'query: 1. Plan a weekend in Lisbon',
+                    'response: 1. Day one: Alfama and the castle.'
+                ]
+            }
+        ]
+    },
+    {
+        // Gemini has no message IDs, so turns are known by position and text; pins and notes must
+        // follow their turns when earlier history loads above them
+        name: 'gemini-history-loaded',
+        fixture: 'gemini.html',
+        provider: 'gemini',
+        steps: [
+            { action: 'expect', navItems: REVERSE_LIST_NAV_ITEMS },
+            { action: 'pin', item: 'query: 2. And a string?' },
+            { action: 'note', item: 'response: 1. Slicing A slice with a negative step returns a reversed...', text: 'Copies the list' },
+            {
+                action: 'expect',
+                pins: ['query: 2. And a string?'],
+                notes: ['response 1: Copies the list']
+            },
+            {
+                action: 'prepend',
+                target: 'infinite-scroller.chat-history',
+                html: '<div class="conversation-container"><user-query><span class="user-query-bubble-with-background"><div class="query-text"><p>What is a list?</p></div></span></user-query><model-response><div class="response-content"><div class="markdown response-text"><p>An ordered, mutable sequence.</p></div></div></model-response></div>'
+            },
+            {
+                action: 'expect',
+                navItems: [
+                    'query: 1. What is a list?',
+                    'response: 1. An ordered, mutable sequence.',
+                    'query: 2. How do I reverse a list in Python?',
+                    'response: 2. Slicing A slice with a negative step returns a reversed...',
+                    'query: 3. And a string?',
+                    'response: 3. Strings support slicing too, so "abc"[::-1] gives "cba".'
+                ],
+                pins: ['query: 3. And a string?'],
+                notes: ['response 2: Copies the list']
+            }
+        ]
+    },
+    {
+        // AI Studio only renders the turns near the viewport; turns scrolled out stay in the sidebar
+        name: 'aistudio-virtualized',
+        fixture: 'aistudio.html',
+        provider: 'aistudio',
+        steps: [
+            { action: 'expect', navItems: REVERSE_LIST_NAV_ITEMS },
+            { action: 'remove', target: 'ms-chat-turn:nth-child(-n+2)' },
+            { action: 'wait', ms: 300 },
+            { action: 'expect', navItems: REVERSE_LIST_NAV_ITEMS }
+        ]
+    },
+    {
+        // A self-hosted chat that streams its answer into a new message
+        name: 'open-webui-new-turn',
+        fixture: 'open-webui.html',
+        provider: 'open-webui',
+        steps: [
+            { action: 'expect', navItems: REVERSE_LIST_NAV_ITEMS },
+            {
+                action: 'append',
+                target: '#messages-container',
+                html: '<div class="message"><div class="chat-user">What about a tuple?</div></div><div class="message"><div class="chat-assistant"><p>Tuples</p></div></div>'
+            },
+            { action: 'appendText', target: '.chat-assistant p', text: ' are immutable, so slicing returns a new tuple.' },
+            {
+                action: 'expect',
+                navItems: [
+                    ...REVERSE_LIST_NAV_ITEMS,
+                    'query: 3. What about a tuple?',
+                    'response: 3. Tuples are immutable, so slicing returns a new tuple.'
+                ]
+            }
+        ]
+    }
+];
@@ -0,0 +1,505 @@
+// options.js - Options page for global and per-provider settings and provider configs
+
+// Starting point for a new provider config
+const NEW_PROVIDER_TEMPLATE = {
+    id: 'my-provider',
+    name: 'My provider',
+    navTitle: 'Chat Navigation',
+    matches: ['https://chat.example.com/*'],
+    selectors: {
+        queries: '.user-message',
+        responses: '.assistant-message',
+        responseText: '.markdown'
+    },
+    extract: {
+        query: [{ selector: '.message-text' }]
+    }
+};
+
+let settings = { global: {}, providers: {} };
+let userProviderConfigs = []; // Provider configs defined or edited by the user (see provider-configs.js)
+let selectedConfigId = null; // Id of the provider config in the editor, null for a new, unsaved one
+let statusTimeout;
+
+/**
+ * Shows a short status message under the forms
+ * @param {string} message - The message to show
+ * @param {boolean} [isError] - Whether the message is an error
+ */
+function showStatus(message, isError = false) {
+    const status = document.getElementById('save-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+
+    clearTimeout(statusTimeout);
+    statusTimeout = setTimeout(() => {
+        status.textContent = '';
+    }, 2000);
+}
+
+/**
+ * Saves the current settings and reports the result
+ */
+async function saveSettings() {
+    try {
+        await SettingsStore.save(settings);
+        settings = SettingsStore.normalize(settings);
+        showStatus('Saved - open tabs update automatically');
+    } catch (error) {
+        console.error('AI Navigator: Failed to save settings:', error);
+        showStatus(`Could not save settings: ${error.message}`, true);
+    }
+}
+
+/**
+ * Gets the chat sites known to the extension
+ * @returns {Array<AIProvider>} All providers except the saved-conversation viewer
+ */
+function getProviders() {
+    return new ProviderFactory(userProviderConfigs).providers.filter(provider => !(provider instanceof ViewerProvider));
+}
+
+/**
+ * Describes what an empty field falls back to
+ * @param {Object} field - Field definition from SETTINGS_FIELDS
+ * @param {AIProvider|null} provider - Provider for per-provider fields, null for the general form
+ * @returns {string} Placeholder text
+ */
+function getInheritedValueLabel(field, provider) {
+    if (provider && settings.global[field.key] !== undefined) {
+        return String(settings.global[field.key]);
+    }
+    if (field.default !== null) {
+        return String(field.default);
+    }
+    if (provider) {
+        return String(provider.getLayoutConfig()[field.key]);
+    }
+    return 'Provider default';
+}
+
+/**
+ * Renders one settings form
+ * @param {HTMLFormElement} form - The form to render into
+ * @param {Object} values - The stored values for this scope
+ * @param {AIProvider|null} provider - Provider for per-provider overrides, null for general settings
+ */
+function renderSettingsForm(form, values, provider) {
+    form.innerHTML = '';
+
+    SETTINGS_FIELDS.forEach(field => {
+        const id = `${provider ? 'provider' : 'global'}-${field.key}`;
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = field.label;
+
+        let input;
+        if (field.type === 'boolean' && provider) {
+            // Per-provider booleans need a third "inherit" state
+            input = document.createElement('select');
+            const inherited = values[field.key] === undefined;
+            const inheritedValue = settings.global[field.key] !== undefined ? settings.global[field.key] : field.default;
+            input.innerHTML = `
+                <option value="">Default (${inheritedValue ? 'on' : 'off'})</option>
+                <option value="true">On</option>
+                <option value="false">Off</option>
+            `;
+            input.value = inherited ? '' : String(values[field.key]);
+        } else if (field.type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = values[field.key] !== undefined ? values[field.key] : field.default;
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.min = field.min;
+            input.max = field.max;
+            input.placeholder = getInheritedValueLabel(field, provider);
+            input.value = values[field.key] !== undefined ? values[field.key] : '';
+        }
+
+        input.id = id;
+        input.addEventListener('change', () => {
+            let value;
+            if (input.type === 'checkbox') {
+                value = input.checked;
+            } else if (input.tagName === 'SELECT') {
+                value = input.value === '' ? undefined : input.value === 'true';
+            } else {
+                value = input.value === '' ? undefined : Number(input.value);
+            }
+
+            if (value === undefined) {
+                delete values[field.key];
+            } else {
+                values[field.key] = value;
+            }
+
+            saveSettings().then(() => {
+                // Re-render so clamped values and inherited placeholders are shown
+                renderAll();
+            });
+        });
+
+        form.appendChild(label);
+        form.appendChild(input);
+    });
+}
+
+/**
+ * Renders the per-provider form for the selected provider
+ */
+function renderProviderForm() {
+    const providerSelect = document.getElementById('provider-select');
+    const provider = getProviders().find(p => p.name === providerSelect.value);
+    if (!provider) return;
+
+    if (!settings.providers[provider.name]) {
+        settings.providers[provider.name] = {};
+    }
+    renderSettingsForm(document.getElementById('provider-settings'), settings.providers[provider.name], provider);
+}
+
+/**
+ * Renders both forms from the current settings
+ */
+function renderAll() {
+    renderSettingsForm(document.getElementById('global-settings'), settings.global, null);
+    renderProviderForm();
+}
+
+/**
+ * Fills the per-provider overrides picker, keeping the current selection where possible
+ */
+function renderProviderSelect() {
+    const providerSelect = document.getElementById('provider-select');
+    const selected = providerSelect.value;
+    providerSelect.innerHTML = '';
+    getProviders().forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.name;
+        option.textContent = provider.name;
+        providerSelect.appendChild(option);
+    });
+    if (getProviders().some(provider => provider.name === selected)) {
+        providerSelect.value = selected;
+    }
+}
+
+
+/**
+ * Fills the provider config picker with the built-in and user providers
+ */
+function renderProviderConfigSelect() {
+    const configSelect = document.getElementById('provider-config-select');
+    const builtInIds = new Set(BUILT_IN_PROVIDER_CONFIGS.map(config => config.id));
+    const userIds = new Set(userProviderConfigs.map(config => config.id));
+    configSelect.innerHTML = '';
+
+    ProviderConfigStore.merge(userProviderConfigs).forEach(config => {
+        const option = document.createElement('option');
+        option.value = config.id;
+        const origin = !builtInIds.has(config.id) ? 'custom' : userIds.has(config.id) ? 'edited' : 'built-in';
+        option.textContent = `${config.name} (${origin})`;
+        configSelect.appendChild(option);
+    });
+
+    if (selectedConfigId === null) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = 'New provider (not saved)';
+        configSelect.appendChild(option);
+    }
+    configSelect.value = selectedConfigId === null ? '' : selectedConfigId;
+}
+
+/**
+ * Shows a provider config in the editor
+ * @param {string|null} id - Id of the config, or null to start a new provider
+ */
+function selectProviderConfig(id) {
+    selectedConfigId = id;
+    const config = id === null
+        ? NEW_PROVIDER_TEMPLATE
+        : ProviderConfigStore.merge(userProviderConfigs).find(candidate => candidate.id === id);
+
+    document.getElementById('provider-config-editor').value = JSON.stringify(config, null, 2);
+    renderProviderConfigSelect();
+    updateProviderConfigButtons();
+    validateProviderConfigEditor();
+}
+
+/**
+ * Labels the remove button for what it does to the selected provider
+ */
+function updateProviderConfigButtons() {
+    const removeButton = document.getElementById('provider-config-remove');
+    const isBuiltIn = BUILT_IN_PROVIDER_CONFIGS.some(config => config.id === selectedConfigId);
+    const isUserConfig = userProviderConfigs.some(config => config.id === selectedConfigId);
+
+    removeButton.textContent = isBuiltIn ? 'Reset to built-in' : 'Delete provider';
+    removeButton.disabled = !isUserConfig;
+}
+
+/**
+ * Parses and validates the config in the editor, listing any problems under it
+ * @returns {Object|null} The config, or null if it is invalid
+ */
+function validateProviderConfigEditor() {
+    const errorList = document.getElementById('provider-config-errors');
+    errorList.innerHTML = '';
+
+    let config = null;
+    let errors;
+    try {
+        config = JSON.parse(document.getElementById('provider-config-editor').value);
+        errors = ProviderConfigStore.validate(config);
+    } catch (error) {
+        errors = [`Not valid JSON: ${error.message}`];
+    }
+
+    errors.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        errorList.appendChild(item);
+    });
+    return errors.length === 0 ? config : null;
+}
+
+/**
+ * Saves a new list of user provider configs and refreshes everything that lists providers
+ * @param {Array<Object>} configs - Every user config
+ * @param {string} message - Status message to show on success
+ * @returns {Promise<boolean>} Whether the configs were saved
+ */
+async function saveProviderConfigs(configs, message) {
+    try {
+        await ProviderConfigStore.save(configs);
+        userProviderConfigs = configs;
+        renderProviderSelect();
+        renderProviderForm();
+        showStatus(message);
+        return true;
+    } catch (error) {
+        console.error('AI Navigator: Failed to save provider configs:', error);
+        showStatus(`Could not save providers: ${error.message}`, true);
+        return false;
+    }
+}
+
+/**
+ * Saves the config in the editor, replacing the selected provider
+ */
+async function saveEditedProviderConfig() {
+    const config = validateProviderConfigEditor();
+    if (!config) {
+        showStatus('Fix the problems listed under the editor first', true);
+        return;
+    }
+
+    // Replace the config being edited; an id change turns an edited built-in into a new provider
+    const configs = userProviderConfigs.filter(existing => existing.id !== selectedConfigId && existing.id !== config.id);
+    const builtIn = BUILT_IN_PROVIDER_CONFIGS.find(existing => existing.id === config.id);
+    if (!builtIn || JSON.stringify(builtIn) !== JSON.stringify(config)) {
+        configs.push(config);
+    }
+
+    if (await saveProviderConfigs(configs, 'Provider saved - open tabs update automatically')) {
+        selectProviderConfig(config.id);
+    }
+}
+
+/**
+ * Deletes the selected user provider, or resets an edited built-in
+ */
+async function removeSelectedProviderConfig() {
+    const isBuiltIn = BUILT_IN_PROVIDER_CONFIGS.some(config => config.id === selectedConfigId);
+    const configs = userProviderConfigs.filter(config => config.id !== selectedConfigId);
+
+    if (await saveProviderConfigs(configs, isBuiltIn ? 'Provider reset to the built-in config' : 'Provider deleted')) {
+        selectProviderConfig(isBuiltIn ? selectedConfigId : BUILT_IN_PROVIDER_CONFIGS[0].id);
+    }
+}
+
+/**
+ * Adds or replaces user providers from an exported file
+ * @param {File} file - The chosen file
+ */
+async function importProviderConfigs(file) {
+    let imported;
+    try {
+        imported = ProviderConfigStore.fromJSON(await file.text());
+    } catch (error) {
+        showStatus(`Could not import ${file.name}: ${error.message}`, true);
+        return;
+    }
+
+    const importedIds = new Set(imported.map(config => config.id));
+    const configs = [...userProviderConfigs.filter(config => !importedIds.has(config.id)), ...imported];
+    const count = `${imported.length} provider${imported.length === 1 ? '' : 's'}`;
+    if (await saveProviderConfigs(configs, `Imported ${count}`)) {
+        selectProviderConfig(imported[0].id);
+    }
+}
+
+/**
+ * Downloads every user provider as a file that can be imported elsewhere
+ */
+function exportProviderConfigs() {
+    if (userProviderConfigs.length === 0) {
+        showStatus('There are no custom or edited providers to export', true);
+        return;
+    }
+
+    const blob = new Blob([ProviderConfigStore.toJSON(userProviderConfigs)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'ai-navigator-providers.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Wires up the provider config editor
+ */
+function initProviderConfigEditor() {
+    document.getElementById('provider-config-select').addEventListener('change', (event) => {
+        selectProviderConfig(event.target.value === '' ? null : event.target.value);
+    });
+    document.getElementById('provider-config-editor').addEventListener('input', validateProviderConfigEditor);
+    document.getElementById('provider-config-save').addEventListener('click', saveEditedProviderConfig);
+    document.getElementById('provider-config-remove').addEventListener('click', removeSelectedProviderConfig);
+    document.getElementById('provider-config-new').addEventListener('click', () => selectProviderConfig(null));
+
+    const fileInput = document.getElementById('provider-config-file');
+    document.getElementById('provider-config-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) {
+            importProviderConfigs(fileInput.files[0]);
+            fileInput.value = '';
+        }
+    });
+    document.getElementById('provider-config-export').addEventListener('click', exportProviderConfigs);
+
+    selectProviderConfig(BUILT_IN_PROVIDER_CONFIGS[0].id);
+}
+
+/**
+ * Turns an address typed by the user into a match pattern for the whole site
+ * @param {string} value - An address such as chat.example.internal or https://chat.example.internal/c/1
+ * @returns {string} The match pattern, e.g. https://chat.example.internal/*
+ * @throws {Error} If the address is not an http or https site
+ */
+function getOriginPattern(value) {
+    let url;
+    try {
+        url = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+    } catch (error) {
+        throw new Error(`"${value}" is not a valid address`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error('Only http and https sites are supported');
+    }
+    // Match patterns cover every port of a host
+    return `${url.protocol}//${url.hostname}/*`;
+}
+
+/**
+ * Lists the self-hosted sites the navigator has access to
+ */
+async function renderGrantedOrigins() {
+    const list = document.getElementById('origin-list');
+    const builtInMatches = chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches);
+    const { origins = [] } = await chrome.permissions.getAll();
+    const granted = origins.filter(origin => !builtInMatches.includes(origin));
+
+    list.innerHTML = '';
+    if (granted.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'origin-empty';
+        empty.textContent = 'No self-hosted sites yet.';
+        list.appendChild(empty);
+        return;
+    }
+
+    granted.forEach(origin => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = origin.replace(/\/\*$/, '');
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', async () => {
+            try {
+                await chrome.permissions.remove({ origins: [origin] });
+                showStatus(`Removed access to ${label.textContent}`);
+            } catch (error) {
+                showStatus(`Could not remove access: ${error.message}`, true);
+            }
+            renderGrantedOrigins();
+        });
+        item.appendChild(label);
+        item.appendChild(removeButton);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Asks Chrome for access to the site in the address box. The service worker then
+ * registers the content script for it (see background.js).
+ * @param {Event} event - The form's submit event
+ */
+async function grantOrigin(event) {
+    event.preventDefault();
+    const input = document.getElementById('origin-input');
+
+    let pattern;
+    try {
+        pattern = getOriginPattern(input.value.trim());
+    } catch (error) {
+        showStatus(error.message, true);
+        return;
+    }
+
+    try {
+        // Must be the first await, while the click still counts as a user gesture
+        const granted = await chrome.permissions.request({ origins: [pattern] });
+        if (granted) {
+            input.value = '';
+            showStatus(`The navigator now runs on ${pattern.replace(/\/\*$/, '')}`);
+        } else {
+            showStatus('Access was not granted', true);
+        }
+    } catch (error) {
+        showStatus(`Could not request access: ${error.message}`, true);
+    }
+    renderGrantedOrigins();
+}
+
+/**
+ * Initializes the options page
+ */
+async function initOptions() {
+    settings = await SettingsStore.load();
+    userProviderConfigs = await ProviderConfigStore.load();
+
+    const providerSelect = document.getElementById('provider-select');
+    renderProviderSelect();
+    providerSelect.addEventListener('change', renderProviderForm);
+
+    document.getElementById('provider-reset').addEventListener('click', () => {
+        delete settings.providers[providerSelect.value];
+        saveSettings().then(renderAll);
+    });
+
+    renderAll();
+    initProviderConfigEditor();
+
+    document.getElementById('origin-form').addEventListener('submit', grantOrigin);
+    renderGrantedOrigins();
+}
+
+document.addEventListener('DOMContentLoaded', initOptions);
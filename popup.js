@@ -0,0 +1,173 @@
+// popup.js - Toolbar popup showing the current chat outline
+
+let activeTabId = null;
+let outline = null;
+
+/**
+ * Sends a message to the content script in the active tab
+ * @param {Object} message - The message to send
+ * @returns {Promise<Object>} The content script's response
+ */
+async function sendToActiveTab(message) {
+    if (activeTabId === null) {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) throw new Error('No active tab');
+        activeTabId = tab.id;
+    }
+    const response = await chrome.tabs.sendMessage(activeTabId, message);
+    if (!response) throw new Error('No response from page');
+    if (response.error) throw new Error(response.error);
+    return response;
+}
+
+/**
+ * Shows a message in place of the outline
+ * @param {string} text - The message, or empty to hide it
+ */
+function showMessage(text) {
+    document.getElementById('popup-message').textContent = text;
+}
+
+/**
+ * Renders the outline, filtered by the search box
+ */
+function renderOutline() {
+    const container = document.getElementById('popup-outline');
+    container.innerHTML = '';
+    if (!outline) return;
+
+    const searchTerm = document.getElementById('popup-search').value.toLowerCase().trim();
+    const items = outline.items.filter(item => !searchTerm ||
+        item.text.toLowerCase().includes(searchTerm) ||
+        (item.note || '').toLowerCase().includes(searchTerm));
+
+    // Pinned turns first, like the sidebar
+    const pinnedItems = items.filter(item => item.pinned);
+    const orderedItems = searchTerm ? items : [...pinnedItems, ...items.filter(item => !item.pinned)];
+
+    orderedItems.forEach(item => {
+        const element = document.createElement('div');
+        element.className = `popup-item ${item.type}`;
+        element.classList.toggle('active', item.active);
+        element.title = item.text.substring(0, 200);
+
+        if (item.pinned) {
+            const pin = document.createElement('span');
+            pin.className = 'popup-pin';
+            pin.textContent = '★';
+            element.appendChild(pin);
+        }
+
+        const number = document.createElement('strong');
+        number.textContent = `${item.index}. `;
+        element.appendChild(number);
+        element.appendChild(document.createTextNode(item.summary));
+
+        if (item.note) {
+            const note = document.createElement('span');
+            note.className = 'popup-note';
+            note.textContent = item.note;
+            element.appendChild(note);
+        }
+
+        element.addEventListener('click', async () => {
+            try {
+                await sendToActiveTab({ type: 'ai-nav:scrollTo', itemKey: item.key });
+                outline.items.forEach(other => { other.active = other.key === item.key; });
+                renderOutline();
+            } catch (error) {
+                showMessage(`Could not scroll: ${error.message}`);
+            }
+        });
+
+        container.appendChild(element);
+    });
+
+    if (outline.items.length === 0) {
+        showMessage('No questions found in this chat yet.');
+    } else if (orderedItems.length === 0) {
+        showMessage('No matches.');
+    } else {
+        showMessage('');
+    }
+}
+
+/**
+ * Loads the outline from the active tab and renders the popup
+ */
+async function loadOutline() {
+    try {
+        outline = await sendToActiveTab({ type: 'ai-nav:getOutline' });
+    } catch (error) {
+        document.getElementById('popup-controls').style.display = 'none';
+        document.getElementById('popup-search').style.display = 'none';
+        showMessage('Open a Gemini, ChatGPT, Claude or AI Studio chat to use the navigator.');
+        return;
+    }
+
+    document.getElementById('popup-provider').textContent = outline.provider;
+    document.getElementById('popup-title').textContent = outline.title;
+    document.getElementById('popup-sidebar-toggle').checked = !outline.collapsed;
+    document.getElementById('popup-focus-toggle').checked = outline.focusModeEnabled;
+    renderOutline();
+}
+
+/**
+ * Asks the page to export the conversation in the given format
+ * @param {string} format - Export format, 'markdown' or 'json'
+ */
+async function exportConversation(format) {
+    try {
+        const response = await sendToActiveTab({ type: 'ai-nav:export', format });
+        showMessage(response.ok ? 'Export downloaded.' : 'Nothing to export yet.');
+    } catch (error) {
+        showMessage(`Could not export: ${error.message}`);
+    }
+}
+
+/**
+ * Initializes the popup
+ */
+function initPopup() {
+    document.getElementById('popup-search').addEventListener('input', renderOutline);
+
+    document.getElementById('popup-options').addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+    });
+
+    document.getElementById('popup-sidebar-toggle').addEventListener('change', async (event) => {
+        try {
+            const response = await sendToActiveTab({ type: 'ai-nav:setCollapsed', collapsed: !event.target.checked });
+            event.target.checked = !response.collapsed;
+        } catch (error) {
+            showMessage(`Could not toggle the sidebar: ${error.message}`);
+        }
+    });
+
+    document.getElementById('popup-focus-toggle').addEventListener('change', async (event) => {
+        try {
+            const response = await sendToActiveTab({ type: 'ai-nav:setFocusMode', enabled: event.target.checked });
+            event.target.checked = response.focusModeEnabled;
+        } catch (error) {
+            showMessage(`Could not toggle focus mode: ${error.message}`);
+        }
+    });
+
+    document.getElementById('popup-export-markdown').addEventListener('click', () => exportConversation('markdown'));
+    document.getElementById('popup-export-json').addEventListener('click', () => exportConversation('json'));
+
+    document.getElementById('popup-open-search').addEventListener('click', (event) => {
+        event.preventDefault();
+        chrome.tabs.create({ url: chrome.runtime.getURL('global-search.html') });
+    });
+
+    document.getElementById('popup-open-viewer').addEventListener('click', (event) => {
+        event.preventDefault();
+        chrome.tabs.create({ url: chrome.runtime.getURL('viewer.html') });
+    });
+
+    loadOutline();
+    document.getElementById('popup-search').focus();
+}
+
+document.addEventListener('DOMContentLoaded', initPopup);
@@ -0,0 +1,806 @@
+// provider-configs.js - Declarative provider configs: the built-in sites, the config schema and user-defined configs
+
+const PROVIDER_CONFIGS_STORAGE_KEY = 'ai-nav:providers';
+const PROVIDER_CONFIGS_FORMAT = 'ai-chat-navigator.providers'; // Identifies exported provider files
+const PROVIDER_CONFIGS_FORMAT_VERSION = 1;
+
+/**
+ * Schema every provider config is validated against (a subset of JSON Schema, see
+ * ProviderConfigStore.validate). The format is documented in docs/provider-configs.md.
+ *
+ * A provider needs `matches`, `detect` or both. Self-hosted chats run on whatever host
+ * their owner picked, so their providers recognise the page by its markup (`detect`)
+ * on the sites the user granted access to.
+ *
+ * Extraction rules turn a chat element into text. Rules are tried in order and the first
+ * one that produces text wins; the element's own text is the last resort. A rule reads the
+ * text of the first element matching `selector` inside the chat element (the chat element
+ * itself without a selector), or of every match joined with `join` when `all` is set.
+ * `each` applies nested rules to every match instead of taking its text, and `when` skips
+ * the rule unless the chat element matches that selector.
+ *
+ * `turnId` names the attribute holding the site's own ID for a message, read from the chat
+ * element or from its `closest` ancestor matching that selector. Without one, turns are told
+ * apart by their position and text.
+ *
+ * `branchCounter` finds the "2/3" label of sites that keep several versions of an edited question
+ * or regenerated response, inside the chat element or its `closest` ancestor matching that selector.
+ */
+const PROVIDER_CONFIG_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'selectors'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' },
+        name: { type: 'string', minLength: 1 },
+        navTitle: { type: 'string' },
+        matches: { type: 'array', minItems: 1, items: { type: 'string', format: 'match-pattern' } },
+        detect: { type: 'string', format: 'selector' },
+        virtualizedTurns: { type: 'boolean' },
+        wholeTurnContent: { type: 'boolean' },
+        selectors: {
+            type: 'object',
+            required: ['queries', 'responses'],
+            additionalProperties: false,
+            properties: {
+                queries: { type: 'string', format: 'selector' },
+                queryText: { type: 'string', format: 'selector' },
+                responses: { type: 'string', format: 'selector' },
+                responseText: { type: 'string', format: 'selector' },
+                chatContainer: { type: 'string', format: 'selector' },
+                scrollContainer: { type: 'string', format: 'selector' },
+                mainContent: { type: 'array', items: { type: 'string', format: 'selector' } },
+                inputField: { type: 'array', items: { type: 'string', format: 'selector' } },
+                submitButton: { type: 'string', format: 'selector' },
+                inputContainer: { type: 'string', format: 'selector' },
+                streamingResponse: { type: 'string', format: 'selector' },
+                stopButton: { type: 'string', format: 'selector' }
+            }
+        },
+        layout: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                navBarWidth: { type: 'number', minimum: 150, maximum: 600 },
+                gap: { type: 'number', minimum: 0, maximum: 100 },
+                topOffset: { type: 'number', minimum: 0, maximum: 300 }
+            }
+        },
+        extract: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                query: { $ref: '#/definitions/rules' },
+                response: { $ref: '#/definitions/rules' }
+            }
+        },
+        codeLanguage: {
+            type: 'object',
+            required: ['selector'],
+            additionalProperties: false,
+            properties: {
+                closest: { type: 'string', format: 'selector' },
+                selector: { type: 'string', format: 'selector' }
+            }
+        },
+        turnId: {
+            type: 'object',
+            required: ['attribute'],
+            additionalProperties: false,
+            properties: {
+                closest: { type: 'string', format: 'selector' },
+                attribute: { type: 'string', pattern: '^[a-zA-Z_:][a-zA-Z0-9_:.-]*$' }
+            }
+        },
+        branchCounter: {
+            type: 'object',
+            required: ['selector'],
+            additionalProperties: false,
+            properties: {
+                closest: { type: 'string', format: 'selector' },
+                selector: { type: 'string', format: 'selector' }
+            }
+        }
+    },
+    definitions: {
+        rules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    selector: { type: 'string', format: 'selector' },
+                    all: { type: 'boolean' },
+                    join: { type: 'string' },
+                    when: { type: 'string', format: 'selector' },
+                    each: { $ref: '#/definitions/rules' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * The sites supported out of the box. A user config with the same id replaces one of these.
+ */
+const BUILT_IN_PROVIDER_CONFIGS = [
+    {
+        id: 'gemini',
+        name: 'Gemini',
+        navTitle: 'Chat Navigation',
+        matches: ['https://gemini.google.com/app/*', 'https://gemini.google.com/chat/*'],
+        selectors: {
+            queries: 'span.user-query-bubble-with-background',
+            queryText: 'div.query-text',
+            responses: 'div.response-content', // Update as needed
+            responseText: 'div.response-text', // Update as needed
+            chatContainer: 'infinite-scroller.chat-history', // Earlier history loads in above the first turn
+            scrollContainer: 'infinite-scroller.chat-history',
+            mainContent: [
+                'main',
+                '[role="main"]',
+                '.main-content',
+                'body > div:first-child > div:nth-child(2)'
+            ],
+            // Input detection selectors
+            inputField: [
+                'rich-textarea .ql-editor[contenteditable="true"]',
+                'textarea[placeholder*="Enter a prompt"]',
+                'textarea[placeholder*="Ask Gemini"]',
+                'div[contenteditable="true"][role="textbox"]',
+                'input[type="text"]'
+            ],
+            submitButton: 'button[aria-label="Send message"], button[type="submit"]',
+            inputContainer: '.input-container, form',
+            stopButton: 'button[aria-label="Stop response"]'
+        },
+        layout: { navBarWidth: 250, gap: 10, topOffset: 60 },
+        extract: {
+            query: [{ selector: 'div.query-text' }]
+        },
+        // The language label sits in a decoration bar just above the <pre>
+        codeLanguage: { closest: '.code-block', selector: '.code-block-decoration' }
+    },
+    {
+        id: 'chatgpt',
+        name: 'ChatGPT',
+        navTitle: 'Chat Navigation',
+        matches: ['https://chatgpt.com/c/*', 'https://chatgpt.com/*'],
+        selectors: {
+            queries: '[data-message-author-role="user"]',
+            queryText: '.whitespace-pre-wrap',
+            responses: '[data-message-author-role="assistant"]',
+            responseText: '.markdown.prose',
+            chatContainer: 'main',
+            mainContent: [
+                'main',
+                '[role="main"]',
+                '.flex-1'
+            ],
+            // Input detection selectors
+            inputField: [
+                '#prompt-textarea',
+                'div[contenteditable="true"].ProseMirror',
+                'textarea[placeholder*="Message"]',
+                'textarea[placeholder*="Ask anything"]',
+                'div[contenteditable="true"][role="textbox"]'
+            ],
+            submitButton: 'button[data-testid="send-button"], button[aria-label="Send message"]',
+            inputContainer: 'form, .composer-parent',
+            // The send button turns into a stop button while an answer is generated
+            streamingResponse: '.result-streaming',
+            stopButton: 'button[data-testid="stop-button"]'
+        },
+        layout: { navBarWidth: 250, gap: 10, topOffset: 0 },
+        extract: {
+            // User messages keep their text in .whitespace-pre-wrap, assistant messages in .markdown.prose
+            query: [{ selector: '.whitespace-pre-wrap' }, { selector: '.markdown.prose' }]
+        },
+        // Code blocks carry a header row with the language label above the code
+        codeLanguage: { selector: ':scope > div > div:first-child' },
+        turnId: { attribute: 'data-message-id' },
+        // Edited questions and regenerated responses get "< 2/3 >" buttons below the message
+        branchCounter: { closest: 'article', selector: '.tabular-nums' }
+    },
+    {
+        id: 'claude',
+        name: 'Claude',
+        navTitle: 'Chat Navigation',
+        matches: ['https://claude.ai/chat/*', 'https://claude.ai/*'],
+        selectors: {
+            queries: '[data-testid="user-message"]',
+            queryText: '.whitespace-pre-wrap',
+            responses: '[data-is-streaming]',
+            responseText: '.grid-cols-1.grid',
+            chatContainer: '.flex-1.flex.flex-col',
+            mainContent: [
+                'main',
+                '.flex-1',
+                '.max-w-3xl'
+            ],
+            // Input detection selectors
+            inputField: [
+                'div[contenteditable="true"].ProseMirror',
+                'div[aria-label*="Write your prompt"]',
+                'div[contenteditable="true"][role="textbox"]',
+                '[contenteditable="true"]'
+            ],
+            submitButton: 'button[aria-label="Send message"]',
+            inputContainer: '.flex.flex-col.bg-bg-000',
+            streamingResponse: '[data-is-streaming="true"]'
+        },
+        layout: { navBarWidth: 250, gap: 10, topOffset: 0 },
+        extract: {
+            query: [
+                // User messages split their text across .whitespace-pre-wrap paragraphs
+                { selector: ':scope [data-testid="user-message"] .whitespace-pre-wrap', all: true, join: ' ' },
+                // Assistant messages keep their content in a grid container
+                { when: '[data-is-streaming]', selector: '.grid-cols-1.grid' },
+                { selector: '.whitespace-pre-wrap' }
+            ]
+        },
+        // Edited questions and retried responses get "< 2 / 3 >" buttons below the message
+        branchCounter: { closest: '[data-test-render-count]', selector: 'span.self-center' }
+    },
+    {
+        id: 'aistudio',
+        name: 'AI Studio',
+        navTitle: 'Chat Navigation',
+        matches: ['https://aistudio.google.com/prompts/*', 'https://aistudio.google.com/live/*', 'https://aistudio.google.com/*'],
+        virtualizedTurns: true,
+        // Content is split across several ms-text-chunk elements, so export the whole turn
+        wholeTurnContent: true,
+        selectors: {
+            queries: '[data-turn-role="User"]',
+            queryText: 'ms-text-chunk',
+            responses: '[data-turn-role="Model"]',
+            responseText: 'ms-text-chunk',
+            chatContainer: 'ms-autoscroll-container',
+            scrollContainer: 'ms-autoscroll-container',
+            mainContent: [
+                'main',
+                '[role="main"]',
+                '.chat-container'
+            ],
+            // Input detection selectors
+            inputField: [
+                'textarea[placeholder*="Start typing a prompt"]',
+                'textarea.cdk-textarea-autosize',
+                'textarea',
+                'input[type="text"]',
+                'div[contenteditable="true"]'
+            ],
+            submitButton: 'button[aria-label="Send"], button[type="submit"]',
+            inputContainer: '.input-area, form'
+        },
+        layout: { navBarWidth: 250, gap: 10, topOffset: 60 },
+        extract: {
+            // Turns are split across several ms-text-chunk elements, with the text in cmark nodes
+            query: [
+                { selector: 'ms-text-chunk', all: true, join: ' ', each: [{ selector: 'ms-cmark-node span', all: true, join: ' ' }] },
+                { selector: 'span.ng-star-inserted', all: true, join: ' ' }
+            ],
+            // Model turns are split the same way as user turns
+            response: [
+                { selector: 'ms-text-chunk', all: true, join: ' ', each: [{ selector: 'ms-cmark-node span', all: true, join: ' ' }] },
+                { selector: 'span.ng-star-inserted', all: true, join: ' ' }
+            ]
+        },
+        // Turns scrolled out of view are re-rendered, so they are recognised by the turn's ID
+        turnId: { closest: 'ms-chat-turn', attribute: 'id' }
+    },
+    {
+        id: 'perplexity',
+        name: 'Perplexity',
+        navTitle: 'Chat Navigation',
+        matches: ['https://www.perplexity.ai/*', 'https://perplexity.ai/*'],
+        selectors: {
+            // The question is the heading of each answer section
+            queries: 'div[class*="group/query"]',
+            queryText: 'h1, .whitespace-pre-line',
+            responses: 'div[id^="markdown-content-"]',
+            responseText: '.prose',
+            mainContent: [
+                'main',
+                '[role="main"]'
+            ],
+            // Input detection selectors
+            inputField: [
+                '#ask-input',
+                'textarea[placeholder*="Ask"]',
+                'div[contenteditable="true"][role="textbox"]'
+            ],
+            submitButton: 'button[aria-label="Submit"]',
+            inputContainer: 'form, .grow.block'
+        },
+        layout: { navBarWidth: 250, gap: 10, topOffset: 0 },
+        extract: {
+            query: [{ selector: 'h1' }, { selector: '.whitespace-pre-line' }]
+        }
+    },
+    {
+        id: 'le-chat',
+        name: 'Le Chat',
+        navTitle: 'Chat Navigation',
+        matches: ['https://chat.mistral.ai/*'],
+        selectors: {
+            queries: '[data-message-author-role="user"]',
+            queryText: '.whitespace-pre-wrap',
+            responses: '[data-message-author-role="assistant"]',
+            // Reasoning models put their thoughts in a separate part before the answer
+            responseText: '[data-message-part-type="answer"]',
+            mainContent: [
+                'main',
+                '[role="main"]'
+            ],
+            // Input detection selectors
+            inputField: [
+                'div.ProseMirror[contenteditable="true"]',
+                'textarea[name="message.text"]',
+                'textarea'
+            ],
+            submitButton: 'button[type="submit"]',
+            inputContainer: 'form'
+        },
+        layout: { navBarWidth: 250, gap: 10, topOffset: 0 },
+        extract: {
+            query: [{ selector: '.whitespace-pre-wrap' }]
+        }
+    },
+    {
+        id: 'deepseek',
+        name: 'DeepSeek',
+        navTitle: 'Chat Navigation',
+        matches: ['https://chat.deepseek.com/*'],
+        selectors: {
+            // Both roles share .ds-message; only responses render markdown
+            queries: '.ds-message:not(:has(.ds-markdown))',
+            responses: '.ds-message:has(.ds-markdown)',
+            // The answer is a direct child, the "thinking" text is nested deeper
+            responseText: ':scope > .ds-markdown',
+            mainContent: [
+                'main',
+                '#root > div'
+            ],
+            // Input detection selectors
+            inputField: [
+                'textarea#chat-input',
+                'textarea[placeholder*="DeepSeek"]'
+            ],
+            submitButton: 'div[role="button"][aria-disabled="false"]'
+        },
+        layout: { navBarWidth: 250, gap: 10, topOffset: 0 },
+        // Code blocks have a banner with the language above the <pre>
+        codeLanguage: { closest: '.md-code-block', selector: '.md-code-block-infostring' }
+    },
+    {
+        id: 'copilot',
+        name: 'Copilot',
+        navTitle: 'Chat Navigation',
+        matches: ['https://copilot.microsoft.com/*'],
+        selectors: {
+            queries: '[data-content="user-message"]',
+            responses: '[data-content="ai-message"]',
+            mainContent: [
+                'main',
+                '[role="main"]'
+            ],
+            // Input detection selectors
+            inputField: [
+                'textarea#userInput',
+                'textarea[placeholder*="Message Copilot"]'
+            ],
+            submitButton: 'button[data-testid="submit-button"], button[aria-label="Submit message"]',
+            inputContainer: 'form, [data-testid="composer"]'
+        },
+        layout: { navBarWidth: 250, gap: 10, topOffset: 0 },
+        extract: {
+            // Skip the visually hidden "You said" / "Copilot said" labels at the start of each message
+            query: [{ selector: '[class*="whitespace-pre-wrap"]' }, { selector: '.prose, [data-testid="markdown"]' }]
+        }
+    },
+    {
+        id: 'grok',
+        name: 'Grok',
+        navTitle: 'Chat Navigation',
+        matches: ['https://grok.com/*'],
+        selectors: {
+            // Questions are right-aligned bubbles, answers left-aligned ones
+            queries: '.items-end > .message-bubble',
+            responses: '.items-start > .message-bubble',
+            responseText: '.response-content-markdown',
+            mainContent: [
+                'main',
+                '[role="main"]'
+            ],
+            // Input detection selectors
+            inputField: [
+                'div.ProseMirror[contenteditable="true"]',
+                'textarea[aria-label*="Ask Grok"]',
+                'textarea'
+            ],
+            submitButton: 'button[type="submit"]',
+            inputContainer: 'form'
+        },
+        layout: { navBarWidth: 250, gap: 10, topOffset: 0 },
+        extract: {
+            query: [{ selector: '.whitespace-pre-wrap' }, { selector: '.response-content-markdown' }]
+        }
+    },
+    {
+        id: 'poe',
+        name: 'Poe',
+        navTitle: 'Chat Navigation',
+        matches: ['https://poe.com/*'],
+        selectors: {
+            // Class names are CSS-module hashes, so match on their stable prefix
+            queries: '[class*="Message_rightSideMessageBubble"]',
+            queryText: '[class*="Markdown_markdownContainer"]',
+            responses: '[class*="Message_leftSideMessageBubble"]',
+            responseText: '[class*="Markdown_markdownContainer"]',
+            scrollContainer: '[class*="ChatMessagesScrollWrapper"]',
+            mainContent: [
+                'main',
+                '[class*="MainColumn_column"]'
+            ],
+            // Input detection selectors
+            inputField: [
+                'textarea[class*="GrowingTextArea_textArea"]',
+                'textarea'
+            ],
+            submitButton: 'button[data-button-send], button[aria-label="Send message"]',
+            inputContainer: '[class*="ChatMessageInputContainer"], form'
+        },
+        layout: { navBarWidth: 250, gap: 10, topOffset: 0 },
+        extract: {
+            query: [{ selector: '[class*="Markdown_markdownContainer"]' }]
+        }
+    },
+    // Self-hosted frontends, used on the sites granted under "Self-hosted chats" in the options
+    {
+        id: 'open-webui',
+        name: 'Open WebUI',
+        navTitle: 'Chat Navigation',
+        // The app's own tags in the page head, rather than chat markup other frontends share
+        detect: 'link[rel="search"][title="Open WebUI"], meta[name="apple-mobile-web-app-title"][content="Open WebUI"]',
+        selectors: {
+            queries: '.chat-user',
+            responses: '.chat-assistant',
+            scrollContainer: '#messages-container',
+            mainContent: [
+                '#chat-container',
+                'main'
+            ],
+            // Input detection selectors
+            inputField: [
+                '#chat-input',
+                'textarea#chat-textarea'
+            ],
+            submitButton: '#send-message-button',
+            inputContainer: '#message-input-container, form'
+        },
+        layout: { navBarWidth: 250, gap: 10, topOffset: 0 },
+        turnId: { closest: '.message', attribute: 'id' }
+    },
+    {
+        id: 'librechat',
+        name: 'LibreChat',
+        navTitle: 'Chat Navigation',
+        // ChatGPT's markup also has a #prompt-textarea, so recognise the app by its description instead
+        detect: 'meta[name="description"][content^="LibreChat"]',
+        selectors: {
+            queries: '.user-turn',
+            queryText: '.whitespace-pre-wrap',
+            responses: '.agent-turn',
+            responseText: '.markdown',
+            mainContent: [
+                'main',
+                '[role="main"]'
+            ],
+            // Input detection selectors
+            inputField: [
+                '#prompt-textarea'
+            ],
+            submitButton: 'button[data-testid="send-button"]',
+            inputContainer: 'form'
+        },
+        layout: { navBarWidth: 250, gap: 10, topOffset: 0 },
+        extract: {
+            // Skip the author label and buttons around the message
+            query: [{ selector: '.whitespace-pre-wrap' }, { selector: '.markdown' }]
+        }
+    }
+];
+
+/**
+ * Validates, stores and merges provider configs.
+ *
+ * Stored shape (chrome.storage.local, which has room for larger configs than sync):
+ * {
+ *   'ai-nav:providers': [ { id, name, matches, selectors, ... }, ... ]
+ * }
+ *
+ * Only user-defined configs are stored. A stored config with the id of a built-in
+ * replaces the built-in; any other id adds a provider.
+ */
+class ProviderConfigStore {
+    /**
+     * Get chrome.storage.local if the extension context is still valid
+     * @returns {Object|null} The storage area or null
+     */
+    static getStorageArea() {
+        try {
+            if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+                return chrome.storage.local;
+            }
+        } catch (error) {
+            // Accessing chrome.* throws once the extension has been reloaded
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a string is a URL match pattern such as https://*.example.com/*
+     * @param {string} pattern - The pattern
+     * @returns {boolean} True if the pattern is valid
+     */
+    static isMatchPattern(pattern) {
+        return /^(\*|https?):\/\/(\*|(\*\.)?[^/*:]+)(:\d+)?\/.*$/.test(pattern);
+    }
+
+    /**
+     * Get the host part of a match pattern
+     * @param {string} pattern - The pattern, e.g. https://*.example.com/chat/*
+     * @returns {string} The host, e.g. *.example.com
+     */
+    static getPatternHost(pattern) {
+        return pattern.replace(/^[^:]+:\/\//, '').replace(/[:/].*$/, '');
+    }
+
+    /**
+     * Check whether a URL matches a match pattern, path included, the way the browser matches
+     * content scripts: a pattern without a port matches any port, and the fragment is ignored
+     * @param {string} pattern - The pattern, e.g. https://*.example.com/chat/*
+     * @param {string} url - The URL, e.g. https://chat.example.com/chat/42
+     * @returns {boolean} True if the URL matches
+     */
+    static matchesUrl(pattern, url) {
+        const parts = pattern.match(/^(\*|https?):\/\/([^/:]+)(:\d+)?(\/.*)$/);
+        if (!parts) return false;
+        const [, scheme, host, port, path] = parts;
+        const toSource = text => text.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+
+        let hostSource;
+        if (host === '*') {
+            hostSource = '[^/:]+';
+        } else if (host.startsWith('*.')) {
+            hostSource = `([^/:]+\\.)?${toSource(host.slice(2).toLowerCase())}`;
+        } else {
+            hostSource = toSource(host.toLowerCase());
+        }
+
+        const source = `^${scheme === '*' ? 'https?' : scheme}://${hostSource}${port || '(:\\d+)?'}${toSource(path)}$`;
+        return new RegExp(source).test(url.split('#')[0]);
+    }
+
+    /**
+     * Validate one value against a schema node, collecting every problem found
+     * @param {*} value - The value
+     * @param {Object} schema - The schema node
+     * @param {string} path - Where the value is in the config, for error messages
+     * @param {Array<string>} errors - Problems found so far
+     */
+    static validateValue(value, schema, path, errors) {
+        if (schema.$ref) {
+            schema = PROVIDER_CONFIG_SCHEMA.definitions[schema.$ref.replace('#/definitions/', '')];
+        }
+
+        const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+        if (schema.type && type !== schema.type) {
+            errors.push(`${path} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+            return;
+        }
+
+        if (type === 'string') {
+            if (schema.minLength && value.length < schema.minLength) {
+                errors.push(`${path} must not be empty`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${path} must match ${schema.pattern}`);
+            }
+            if (schema.format === 'match-pattern' && !ProviderConfigStore.isMatchPattern(value)) {
+                errors.push(`${path} is not a URL match pattern like https://example.com/*`);
+            }
+            if (schema.format === 'selector' && typeof document !== 'undefined') {
+                try {
+                    document.createDocumentFragment().querySelector(value);
+                } catch (error) {
+                    errors.push(`${path} is not a valid CSS selector: ${value}`);
+                }
+            }
+        } else if (type === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path} must be at least ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path} must be at most ${schema.maximum}`);
+            }
+        } else if (type === 'array') {
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push(`${path} needs at least ${schema.minItems} ${schema.minItems === 1 ? 'entry' : 'entries'}`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => ProviderConfigStore.validateValue(item, schema.items, `${path}[${index}]`, errors));
+            }
+        } else if (type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push(`${path}.${key} is required`);
+                }
+            });
+            Object.entries(value).forEach(([key, propertyValue]) => {
+                const propertySchema = schema.properties && schema.properties[key];
+                if (propertySchema) {
+                    ProviderConfigStore.validateValue(propertyValue, propertySchema, `${path}.${key}`, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}.${key} is not a known setting`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Validate a provider config against the schema
+     * @param {Object} config - The config
+     * @returns {Array<string>} Problems found, empty if the config is valid
+     */
+    static validate(config) {
+        const errors = [];
+        ProviderConfigStore.validateValue(config, PROVIDER_CONFIG_SCHEMA, 'config', errors);
+        if (config && typeof config === 'object' && config.matches === undefined && config.detect === undefined) {
+            errors.push('config needs matches, detect or both');
+        }
+        return errors;
+    }
+
+    /**
+     * Combine the built-in configs with user configs
+     * @param {Array<Object>} userConfigs - Valid user configs
+     * @returns {Array<Object>} Configs in detection order: new user providers first, so they can
+     *   take over pages of a built-in site, then the built-ins (replaced where the user edited them)
+     */
+    static merge(userConfigs = []) {
+        const byId = new Map(userConfigs.map(config => [config.id, config]));
+        const builtInIds = new Set(BUILT_IN_PROVIDER_CONFIGS.map(config => config.id));
+        return [
+            ...userConfigs.filter(config => !builtInIds.has(config.id)),
+            ...BUILT_IN_PROVIDER_CONFIGS.map(config => byId.get(config.id) || config)
+        ];
+    }
+
+    /**
+     * Load the user configs, skipping any that no longer validate
+     * @returns {Promise<Array<Object>>} The user configs
+     */
+    static async load() {
+        const area = ProviderConfigStore.getStorageArea();
+        if (!area) return [];
+
+        try {
+            const stored = await area.get(PROVIDER_CONFIGS_STORAGE_KEY);
+            const configs = Array.isArray(stored[PROVIDER_CONFIGS_STORAGE_KEY]) ? stored[PROVIDER_CONFIGS_STORAGE_KEY] : [];
+            return configs.filter(config => {
+                const errors = ProviderConfigStore.validate(config);
+                if (errors.length > 0) {
+                    console.warn(`AI Navigator: Ignoring invalid provider config ${config && config.id}:`, errors);
+                }
+                return errors.length === 0;
+            });
+        } catch (error) {
+            console.error('AI Navigator: Failed to load provider configs:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Validate and save the user configs
+     * @param {Array<Object>} configs - Every user config
+     * @throws {Error} If a config is invalid or two providers share an id or name
+     */
+    static async save(configs) {
+        const ids = new Set();
+        configs.forEach(config => {
+            const errors = ProviderConfigStore.validate(config);
+            if (errors.length > 0) {
+                throw new Error(`${config.name || config.id || 'Provider'}: ${errors.join('; ')}`);
+            }
+            if (ids.has(config.id)) throw new Error(`Two providers use the id "${config.id}"`);
+            ids.add(config.id);
+        });
+
+        // Names key per-provider settings and stored conversations, so they must be unique too
+        const names = new Set();
+        ProviderConfigStore.merge(configs).forEach(config => {
+            if (names.has(config.name)) throw new Error(`Two providers are named "${config.name}"`);
+            names.add(config.name);
+        });
+
+        const area = ProviderConfigStore.getStorageArea();
+        if (!area) throw new Error('chrome.storage is unavailable');
+        await area.set({ [PROVIDER_CONFIGS_STORAGE_KEY]: configs });
+    }
+
+    /**
+     * Build the contents of an exported provider file
+     * @param {Array<Object>} configs - Configs to export
+     * @returns {string} The file contents
+     */
+    static toJSON(configs) {
+        return JSON.stringify({
+            format: PROVIDER_CONFIGS_FORMAT,
+            formatVersion: PROVIDER_CONFIGS_FORMAT_VERSION,
+            providers: configs
+        }, null, 2);
+    }
+
+    /**
+     * Parse an exported provider file, or a bare config or array of configs
+     * @param {string} json - The file contents
+     * @returns {Array<Object>} The configs, each validated
+     * @throws {Error} If the file is not valid JSON or a config is invalid
+     */
+    static fromJSON(json) {
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Not a valid JSON file: ${error.message}`);
+        }
+
+        let configs;
+        if (parsed && parsed.format === PROVIDER_CONFIGS_FORMAT) {
+            if (parsed.formatVersion > PROVIDER_CONFIGS_FORMAT_VERSION) {
+                throw new Error(`Unsupported provider file version: ${parsed.formatVersion}`);
+            }
+            configs = parsed.providers;
+        } else {
+            configs = Array.isArray(parsed) ? parsed : [parsed];
+        }
+        if (!Array.isArray(configs) || configs.length === 0) {
+            throw new Error('The file contains no providers');
+        }
+
+        configs.forEach((config, index) => {
+            const errors = ProviderConfigStore.validate(config);
+            if (errors.length > 0) {
+                throw new Error(`Provider ${index + 1}: ${errors.join('; ')}`);
+            }
+        });
+        return configs;
+    }
+
+    /**
+     * Call back whenever the user configs change in any extension page or tab
+     * @param {Function} callback - Receives the new, valid user configs
+     */
+    static onChange(callback) {
+        try {
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'local' && changes[PROVIDER_CONFIGS_STORAGE_KEY]) {
+                    ProviderConfigStore.load().then(callback);
+                }
+            });
+        } catch (error) {
+            console.warn('AI Navigator: Could not listen for provider config changes:', error);
+        }
+    }
+}
+
+// Export for use in content script and extension pages
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProviderConfigStore, BUILT_IN_PROVIDER_CONFIGS, PROVIDER_CONFIG_SCHEMA };
+} else {
+    window.ProviderConfigStore = ProviderConfigStore;
+    window.BUILT_IN_PROVIDER_CONFIGS = BUILT_IN_PROVIDER_CONFIGS;
+    window.PROVIDER_CONFIG_SCHEMA = PROVIDER_CONFIG_SCHEMA;
+}
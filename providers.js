@@ -35,6 +35,17 @@ class AIProvider {
         throw new Error('extractTextContent must be implemented by provider');
     }
 
+    /**
+     * Extract text content from an assistant response element
+     * @param {HTMLElement} element - The response element
+     * @returns {string} The extracted response text
+     */
+    extractResponseText(element) {
+        const responseTextSelector = this.getSelectors().responseText;
+        const textContainer = responseTextSelector ? element.querySelector(responseTextSelector) : null;
+        return textContainer ? textContainer.innerText : this.extractTextContent(element);
+    }
+
     /**
      * Determine if current URL matches this provider
      * @returns {boolean} True if current page matches this provider
@@ -44,6 +55,173 @@ class AIProvider {
         return this.domains.some(domain => currentUrl.includes(domain));
     }
 
+    /**
+     * Get the element holding the formatted content of a chat element, used for exports
+     * @param {HTMLElement} element - The query or response element
+     * @param {string} role - 'user' for queries, 'assistant' for responses
+     * @returns {HTMLElement} The content container, or the element itself
+     */
+    getContentElement(element, role) {
+        const selectors = this.getSelectors();
+        const contentSelector = role === 'user' ? selectors.queryText : selectors.responseText;
+        if (!contentSelector) return element;
+        if (element.matches(contentSelector)) return element;
+        return element.querySelector(contentSelector) || element;
+    }
+
+    /**
+     * Detect the language of a code block
+     * @param {HTMLElement} preElement - The <pre> element
+     * @returns {string} The language name, or an empty string if unknown
+     */
+    getCodeBlockLanguage(preElement) {
+        const codeElement = preElement.querySelector('code') || preElement;
+        for (const candidate of [codeElement, preElement]) {
+            if (candidate.dataset && candidate.dataset.language) {
+                return candidate.dataset.language.toLowerCase();
+            }
+            const match = (candidate.className || '').toString().match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+            if (match) {
+                return match[1].toLowerCase();
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Get the outline of a response: its headings, or the bold lead-ins of its paragraphs if it has none
+     * @param {HTMLElement} contentElement - The response's content element (see getContentElement)
+     * @returns {Array<Object>} Entries of { level, text, element } in document order
+     */
+    getResponseOutline(contentElement) {
+        const headings = Array.from(contentElement.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+            .map(element => ({ level: Number(element.tagName[1]), text: element.innerText.trim(), element }))
+            .filter(entry => entry.text);
+        if (headings.length > 0) return headings;
+
+        // Answers without headings often start paragraphs or list items with a bold label
+        const leadIns = [];
+        contentElement.querySelectorAll('p, li').forEach(block => {
+            const firstNode = Array.from(block.childNodes).find(node =>
+                node.nodeType !== Node.TEXT_NODE || node.textContent.trim());
+            if (!firstNode || (firstNode.tagName !== 'STRONG' && firstNode.tagName !== 'B')) return;
+
+            const text = firstNode.innerText.trim().replace(/[\s:.-]+$/, '');
+            if (text && text.length <= 80) {
+                leadIns.push({ level: block.tagName === 'LI' ? 2 : 1, text, element: block });
+            }
+        });
+        // A single bold phrase is emphasis rather than structure
+        return leadIns.length >= 2 ? leadIns : [];
+    }
+
+    /**
+     * Get an identifier for the conversation on the current page
+     * @returns {string} Conversation ID, derived from the URL path by default
+     */
+    getConversationId() {
+        const path = window.location.pathname.replace(/\/+$/, '');
+        return path || '/';
+    }
+
+    /**
+     * Get the site's own identifier for a chat element, such as a message ID, which stays
+     * the same across page loads and tells apart turns with the same text
+     * @param {HTMLElement} element - The query or response element
+     * @returns {string|null} The identifier, or null if the site has none (see getTurnIdentity in content.js)
+     */
+    getTurnId(element) {
+        return null;
+    }
+
+    /**
+     * Get which version of an edited question or regenerated response the page shows, as in "< 2/3 >"
+     * @param {HTMLElement} element - The query or response element
+     * @returns {{index: number, count: number}|null} 1-based version number and version count, or null with one version
+     */
+    getBranchInfo(element) {
+        return null;
+    }
+
+    /**
+     * Whether a response is still being generated
+     * @param {HTMLElement} element - The response element
+     * @param {boolean} isNewest - Whether it is the last response in the page
+     * @returns {boolean|null} True while it streams, or null if the site gives no sign of it (see updateStreamingTurns in content.js)
+     */
+    isResponseStreaming(element, isNewest) {
+        return null;
+    }
+
+    /**
+     * Get the element the conversation scrolls in
+     * @returns {HTMLElement|null} The scrolling element, or null when the whole page scrolls
+     */
+    getScrollContainer() {
+        const selectors = this.getSelectors();
+        if (selectors.scrollContainer) {
+            const container = document.querySelector(selectors.scrollContainer);
+            if (container) return container;
+        }
+
+        // Otherwise use the nearest scrollable ancestor of the first chat element
+        const firstQuery = document.querySelector(selectors.queries);
+        let candidate = firstQuery ? firstQuery.parentElement : null;
+        while (candidate && candidate !== document.body && candidate !== document.documentElement) {
+            const overflowY = window.getComputedStyle(candidate).overflowY;
+            if ((overflowY === 'auto' || overflowY === 'scroll') && candidate.scrollHeight > candidate.clientHeight) {
+                return candidate;
+            }
+            candidate = candidate.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * Whether the chat only renders the turns near the viewport (virtual scrolling).
+     * Turns missing from the DOM are then kept in the sidebar instead of being treated as deleted.
+     * @returns {boolean} True for virtualized chats
+     */
+    hasVirtualizedTurns() {
+        return !!this.config.virtualizedTurns;
+    }
+
+    /**
+     * Scroll a turn that is not rendered into view. The scroll container is moved a step at a time,
+     * first in the given direction and then the other way once an end is reached, until the turn renders.
+     * @param {Function} findElement - Returns the turn's element once it is rendered, otherwise null
+     * @param {Object} [options] - Navigation options
+     * @param {number} [options.direction] - 1 to search downwards first, -1 to search upwards first
+     * @param {number} [options.timeout] - Give up after this many milliseconds
+     * @returns {Promise<HTMLElement|null>} The turn's element, or null if it did not render in time
+     */
+    async navigateToTurn(findElement, { direction = 1, timeout = 8000 } = {}) {
+        const container = this.getScrollContainer() || document.scrollingElement || document.documentElement;
+        const deadline = Date.now() + timeout;
+        let reversed = false;
+
+        let element = findElement();
+        while (!element && Date.now() < deadline) {
+            const previousScrollTop = container.scrollTop;
+            container.scrollTop += direction * Math.max(container.clientHeight * 0.8, 200);
+
+            // Give the page a moment to render the turns that scrolled into view
+            await new Promise(resolve => setTimeout(resolve, 150));
+            element = findElement();
+
+            if (!element && container.scrollTop === previousScrollTop) {
+                if (reversed) break; // Reached both ends
+                direction = -direction;
+                reversed = true;
+            }
+        }
+
+        if (element) {
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        return element;
+    }
+
     /**
      * Get provider-specific chat container selector
      * @returns {string} Selector for the main chat container
@@ -62,40 +240,67 @@ class AIProvider {
 }
 
 /**
- * Gemini provider implementation
+ * Provider for a chat site described by a declarative config (see provider-configs.js).
+ * The built-in sites and user-defined providers all use this class.
  */
-class GeminiProvider extends AIProvider {
-    constructor() {
+class DeclarativeProvider extends AIProvider {
+    constructor(config) {
         super({
-            name: 'Gemini',
-            navTitle: 'Chat Navigation',
-            domains: ['gemini.google.com'],
+            ...config,
+            domains: [...new Set((config.matches || []).map(pattern => ProviderConfigStore.getPatternHost(pattern)))]
         });
+        this.id = config.id;
+    }
+
+    /**
+     * Read text from an element using extraction rules. The first rule that finds text wins.
+     * @param {HTMLElement} element - The chat element
+     * @param {Array<Object>} rules - Extraction rules (see PROVIDER_CONFIG_SCHEMA)
+     * @returns {string|null} The text, or null if no rule found any
+     */
+    static applyExtractionRules(element, rules = []) {
+        for (const rule of rules) {
+            if (rule.when && !element.matches(rule.when)) continue;
+
+            let targets;
+            if (!rule.selector) {
+                targets = [element];
+            } else if (rule.all) {
+                targets = Array.from(element.querySelectorAll(rule.selector));
+            } else {
+                targets = [element.querySelector(rule.selector)].filter(Boolean);
+            }
+
+            const texts = targets
+                .map(target => (rule.each && DeclarativeProvider.applyExtractionRules(target, rule.each)) || target.innerText)
+                .filter(text => text && text.trim());
+            if (texts.length > 0) {
+                return texts.join(rule.join !== undefined ? rule.join : ' ');
+            }
+        }
+        return null;
+    }
+
+    matches() {
+        const urlMatches = !this.config.matches ||
+            this.config.matches.some(pattern => ProviderConfigStore.matchesUrl(pattern, window.location.href));
+        return urlMatches && (!this.config.detect || !!document.querySelector(this.config.detect));
+    }
+
+    /**
+     * Whether the provider is recognised by its markup alone, which may render after the page loads
+     * @returns {boolean} True for providers without URL patterns
+     */
+    isDetectedByMarkup() {
+        return !this.config.matches;
     }
 
     getSelectors() {
         return {
-            queries: 'span.user-query-bubble-with-background',
-            queryText: 'div.query-text',
-            responses: 'div.response-content', // Update as needed
-            responseText: 'div.response-text', // Update as needed
             chatContainer: 'body',
-            mainContent: [
-                'main',
-                '[role="main"]',
-                '.main-content',
-                'body > div:first-child > div:nth-child(2)'
-            ],
-            // Input detection selectors
-            inputField: [
-                'rich-textarea .ql-editor[contenteditable="true"]',
-                'textarea[placeholder*="Enter a prompt"]', 
-                'textarea[placeholder*="Ask Gemini"]',
-                'div[contenteditable="true"][role="textbox"]',
-                'input[type="text"]'
-            ],
-            submitButton: 'button[aria-label="Send message"], button[type="submit"]',
-            inputContainer: '.input-container, form'
+            mainContent: ['main', '[role="main"]'],
+            inputField: [],
+            ...this.config.selectors
         };
     }
 
@@ -103,112 +308,113 @@ class GeminiProvider extends AIProvider {
         return {
             navBarWidth: 250,
             gap: 10,
-            topOffset: 60
+            topOffset: 0,
+            ...this.config.layout
         };
     }
 
     extractTextContent(element) {
-        const textContainer = element.querySelector(this.getSelectors().queryText);
-        return textContainer ? textContainer.innerText : element.innerText;
+        const rules = this.config.extract && this.config.extract.query;
+        return DeclarativeProvider.applyExtractionRules(element, rules) || element.innerText;
     }
-}
 
-/**
- * ChatGPT provider implementation
- */
-class ChatGPTProvider extends AIProvider {
-    constructor() {
-        super({
-            name: 'ChatGPT',
-            navTitle: 'Chat Navigation',
-            domains: ['chatgpt.com'],
-        });
+    extractResponseText(element) {
+        const rules = this.config.extract && this.config.extract.response;
+        if (!rules) return super.extractResponseText(element);
+        return DeclarativeProvider.applyExtractionRules(element, rules) || element.innerText;
     }
 
-    getSelectors() {
-        return {
-            queries: '[data-message-author-role="user"]',
-            queryText: '.whitespace-pre-wrap',
-            responses: '[data-message-author-role="assistant"]',
-            responseText: '.markdown.prose',
-            chatContainer: 'main',
-            mainContent: [
-                'main',
-                '[role="main"]',
-                '.flex-1'
-            ],
-            // Input detection selectors
-            inputField: [
-                '#prompt-textarea',
-                'div[contenteditable="true"].ProseMirror',
-                'textarea[placeholder*="Message"]',
-                'textarea[placeholder*="Ask anything"]',
-                'div[contenteditable="true"][role="textbox"]'
-            ],
-            submitButton: 'button[data-testid="send-button"], button[aria-label="Send message"]',
-            inputContainer: 'form, .composer-parent'
-        };
+    getContentElement(element, role) {
+        if (this.config.wholeTurnContent) return element;
+        return super.getContentElement(element, role);
     }
 
-    getLayoutConfig() {
-        return {
-            navBarWidth: 250,
-            gap: 10,
-            topOffset: 0
-        };
+    getTurnId(element) {
+        if (!this.config.turnId) return null;
+
+        // The ID is on the chat element itself or on the turn wrapping it
+        const { closest, attribute } = this.config.turnId;
+        const source = closest ? element.closest(closest) : element;
+        const value = source ? source.getAttribute(attribute) : null;
+        return value && value.trim() ? value.trim() : null;
     }
 
-    extractTextContent(element) {
-        // For user messages, text is in .whitespace-pre-wrap
-        const userTextContainer = element.querySelector('.whitespace-pre-wrap');
-        if (userTextContainer) {
-            return userTextContainer.innerText;
-        }
-        
-        // For assistant messages, text is in .markdown.prose
-        const assistantTextContainer = element.querySelector('.markdown.prose');
-        if (assistantTextContainer) {
-            return assistantTextContainer.innerText;
-        }
-        
-        // Fallback to element text
-        return element.innerText;
+    getBranchInfo(element) {
+        if (!this.config.branchCounter) return null;
+
+        // The switcher sits next to the message, so it is usually found from the turn around it
+        const { closest, selector } = this.config.branchCounter;
+        const scope = closest ? element.closest(closest) : element;
+        const counter = scope ? scope.querySelector(selector) : null;
+        const match = counter ? counter.textContent.match(/(\d+)\s*\/\s*(\d+)/) : null;
+        if (!match) return null;
+
+        const index = Number(match[1]);
+        const count = Number(match[2]);
+        return count > 1 && index >= 1 && index <= count ? { index, count } : null;
+    }
+
+    isResponseStreaming(element, isNewest) {
+        const { streamingResponse, stopButton } = this.config.selectors;
+        if (!streamingResponse && !stopButton) return null;
+
+        // Some sites mark the response itself, others only show a stop button while the newest one streams
+        if (streamingResponse && (element.matches(streamingResponse) || element.querySelector(streamingResponse))) return true;
+        return Boolean(stopButton && isNewest && document.querySelector(stopButton));
+    }
+
+    getCodeBlockLanguage(preElement) {
+        const language = super.getCodeBlockLanguage(preElement);
+        if (language || !this.config.codeLanguage) return language;
+
+        // Sites that show the language in a label next to the code rather than on it
+        const { closest, selector } = this.config.codeLanguage;
+        const scope = closest ? preElement.closest(closest) : preElement;
+        const labelElement = scope ? scope.querySelector(selector) : null;
+        const label = labelElement ? labelElement.textContent.trim().toLowerCase() : '';
+        return /^[\w+#.-]{1,20}$/.test(label) ? label : '';
     }
 }
 
 /**
- * Claude provider implementation
+ * Provider for conversations opened in the extension's own viewer page (viewer.html).
+ * The viewer renders saved JSON conversations as .viewer-turn elements so the
+ * regular sidebar can navigate them like a live chat.
  */
-class ClaudeProvider extends AIProvider {
+class ViewerProvider extends AIProvider {
     constructor() {
         super({
-            name: 'Claude',
+            name: 'Saved Conversation',
             navTitle: 'Chat Navigation',
-            domains: ['claude.ai'],
+            domains: [],
         });
     }
 
+    matches() {
+        // Only once the viewer has rendered a conversation file
+        return window.location.pathname.endsWith('/viewer.html') &&
+            !!document.body && document.body.dataset.conversationLoaded === 'true';
+    }
+
+    getConversationId() {
+        // The viewer puts the saved conversation's identity in the URL hash
+        return decodeURIComponent(window.location.hash.slice(1)) || 'viewer';
+    }
+
     getSelectors() {
         return {
-            queries: '[data-testid="user-message"]',
-            queryText: '.whitespace-pre-wrap',
-            responses: '[data-is-streaming="false"]',
-            responseText: '.grid-cols-1.grid',
-            chatContainer: '.flex-1.flex.flex-col',
+            queries: '.viewer-turn[data-role="user"]',
+            queryText: '.viewer-turn-content',
+            responses: '.viewer-turn[data-role="assistant"]',
+            responseText: '.viewer-turn-content',
+            chatContainer: '#viewer-conversation',
             mainContent: [
-                'main',
-                '.flex-1',
-                '.max-w-3xl'
-            ],
-            // Input detection selectors
-            inputField: [
-                'div[contenteditable="true"].ProseMirror',
-                'div[aria-label*="Write your prompt"]',
-                'div[contenteditable="true"][role="textbox"]',
-                '[contenteditable="true"]'
+                '#viewer-main'
             ],
-            submitButton: 'button[aria-label="Send message"]',
-            inputContainer: '.flex.flex-col.bg-bg-000'
+            // The viewer is read-only, so there are no chat inputs
+            inputField: [],
+            submitButton: '',
+            inputContainer: ''
         };
     }
 
@@ -221,110 +427,21 @@ class ClaudeProvider extends AIProvider {
     }
 
     extractTextContent(element) {
-        // For user messages, text is in .whitespace-pre-wrap paragraphs
-        const userMessageContainer = element.querySelector('[data-testid="user-message"]');
-        if (userMessageContainer) {
-            // Get all paragraphs with whitespace-pre-wrap inside user message
-            const textParagraphs = userMessageContainer.querySelectorAll('.whitespace-pre-wrap');
-            if (textParagraphs.length > 0) {
-                return Array.from(textParagraphs).map(p => p.innerText).join(' ');
-            }
-        }
-        
-        // For assistant messages, check if element has data-is-streaming attribute
-        if (element.hasAttribute('data-is-streaming')) {
-            // Look for the content grid container
-            const contentContainer = element.querySelector('.grid-cols-1.grid');
-            if (contentContainer) {
-                return contentContainer.innerText;
-            }
-        }
-        
-        // Fallback: look for any .whitespace-pre-wrap in the element
-        const anyTextContainer = element.querySelector('.whitespace-pre-wrap');
-        if (anyTextContainer) {
-            return anyTextContainer.innerText;
-        }
-        
-        // Final fallback to element text
-        return element.innerText;
+        // The exact text from the file, so pins and notes match what was exported
+        return element.dataset.turnText || element.innerText;
     }
-}
 
-/**
- * Google AI Studio provider implementation
- */
-class AIStudioProvider extends AIProvider {
-    constructor() {
-        super({
-            name: 'AI Studio',
-            navTitle: 'Chat Navigation',
-            domains: ['aistudio.google.com'],
-        });
+    getTurnId(element) {
+        return element.dataset.turnId || null;
     }
 
-    getSelectors() {
-        return {
-            queries: '[data-turn-role="User"]',
-            queryText: 'ms-text-chunk',
-            responses: '[data-turn-role="Model"]',
-            responseText: 'ms-text-chunk',
-            chatContainer: 'ms-autoscroll-container',
-            mainContent: [
-                'main',
-                '[role="main"]',
-                '.chat-container'
-            ],
-            // Input detection selectors
-            inputField: [
-                'textarea[placeholder*="Start typing a prompt"]',
-                'textarea.cdk-textarea-autosize',
-                'textarea',
-                'input[type="text"]',
-                'div[contenteditable="true"]'
-            ],
-            submitButton: 'button[aria-label="Send"], button[type="submit"]',
-            inputContainer: '.input-area, form'
-        };
+    // A saved conversation is complete
+    isResponseStreaming(element, isNewest) {
+        return false;
     }
 
-    getLayoutConfig() {
-        return {
-            navBarWidth: 250,
-            gap: 10,
-            topOffset: 60
-        };
-    }
-
-    extractTextContent(element) {
-        // Look for ms-text-chunk elements within the turn
-        const textChunks = element.querySelectorAll('ms-text-chunk');
-        if (textChunks.length > 0) {
-            // Get text from all chunks and combine them
-            return Array.from(textChunks).map(chunk => {
-                // Look for the actual text content within cmark nodes
-                const cmarkNodes = chunk.querySelectorAll('ms-cmark-node span');
-                if (cmarkNodes.length > 0) {
-                    return Array.from(cmarkNodes).map(node => node.innerText).join(' ');
-                }
-                return chunk.innerText;
-            }).join(' ');
-        }
-        
-        // Fallback: look for any span elements with text content
-        const textSpans = element.querySelectorAll('span.ng-star-inserted');
-        if (textSpans.length > 0) {
-            const textContent = Array.from(textSpans)
-                .map(span => span.innerText)
-                .filter(text => text && text.trim().length > 0)
-                .join(' ');
-            if (textContent) {
-                return textContent;
-            }
-        }
-        
-        // Final fallback to element text
-        return element.innerText;
+    extractResponseText(element) {
+        return this.extractTextContent(element);
     }
 }
 
@@ -332,12 +449,15 @@ class AIStudioProvider extends AIProvider {
  * Provider factory that automatically detects and returns the appropriate provider
  */
 class ProviderFactory {
-    constructor() {
+    /**
+     * @param {Array<Object>} [userConfigs] - User-defined provider configs (see ProviderConfigStore.load)
+     */
+    constructor(userConfigs = []) {
+        // The viewer comes first: its URL hash holds the saved conversation's URL,
+        // which would otherwise match the original site's provider
         this.providers = [
-            new GeminiProvider(),
-            new ChatGPTProvider(),
-            new ClaudeProvider(),
-            new AIStudioProvider()
+            new ViewerProvider(),
+            ...ProviderConfigStore.merge(userConfigs).map(config => new DeclarativeProvider(config))
         ];
     }
 
@@ -350,37 +470,35 @@ class ProviderFactory {
     }
 
     /**
-     * Get all supported domains for manifest.json
+     * Whether a provider recognised by its markup may still match once the page renders more of it.
+     * Self-hosted chats do not run on the sites of the providers matched by URL, so a page there that
+     * none of their patterns match, such as a settings page, is not checked again.
+     * @returns {boolean} True if the page is worth checking again
+     */
+    mayMatchLater() {
+        // Extension pages such as the viewer start the navigator themselves once they are ready
+        if (!/^https?:$/.test(window.location.protocol)) return false;
+        const onProviderSite = this.providers.some(provider => provider instanceof DeclarativeProvider &&
+            !provider.isDetectedByMarkup() &&
+            provider.domains.some(host => ProviderConfigStore.matchesUrl(`*://${host}/*`, window.location.href)));
+        return !onProviderSite && this.providers.some(provider =>
+            provider instanceof DeclarativeProvider && provider.isDetectedByMarkup());
+    }
+
+    /**
+     * Get the URL match patterns of every provider, as used in manifest.json
      * @returns {Array<string>} Array of all supported URL patterns
      */
     getAllDomains() {
-        const domains = [];
-        this.providers.forEach(provider => {
-            provider.domains.forEach(domain => {
-                if (domain === 'gemini.google.com') {
-                    domains.push('https://gemini.google.com/app/*');
-                    domains.push('https://gemini.google.com/chat/*');
-                } else if (domain === 'chatgpt.com') {
-                    domains.push('https://chatgpt.com/c/*');
-                    domains.push('https://chatgpt.com/*');
-                } else if (domain === 'claude.ai') {
-                    domains.push('https://claude.ai/chat/*');
-                    domains.push('https://claude.ai/*');
-                } else if (domain === 'aistudio.google.com') {
-                    domains.push('https://aistudio.google.com/prompts/*');
-                    domains.push('https://aistudio.google.com/live/*');
-                    domains.push('https://aistudio.google.com/*');
-                }
-            });
-        });
-        return domains;
+        return [...new Set(this.providers.flatMap(provider => provider.config.matches || []))];
     }
 }
 
 // Export for use in content script
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { ProviderFactory, AIProvider };
+    module.exports = { ProviderFactory, AIProvider, DeclarativeProvider };
 } else {
     window.ProviderFactory = ProviderFactory;
     window.AIProvider = AIProvider;
+    window.DeclarativeProvider = DeclarativeProvider;
 }
\ No newline at end of file
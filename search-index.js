@@ -0,0 +1,318 @@
+// search-index.js - Local full-text index of every visited conversation, backed by IndexedDB
+
+const SEARCH_INDEX_DB_NAME = 'ai-nav-search';
+const SEARCH_INDEX_DB_VERSION = 1;
+const SEARCH_INDEX_MAX_WORD_LENGTH = 40; // Longer "words" are hashes, base64 and the like
+const SEARCH_INDEX_FUZZY_MIN_RESULTS = 20; // Look for typo matches when exact and prefix matches find fewer turns
+const SEARCH_INDEX_RESULT_LIMIT = 50;
+
+/**
+ * Full-text index of conversation turns, shared by the background service worker
+ * (which writes it) and the global search page (which reads it).
+ *
+ * Stores:
+ * - conversations: { key, provider, conversationId, url, title, updatedAt }
+ * - turns: { id: '<conversation key>|<item key>', conversationKey, itemKey, role: 'user' | 'assistant',
+ *            turnIndex, text, firstSeenAt, indexedAt, words: [unique lowercase words] }
+ *
+ * The turns store has a multi-entry index on `words`, so it doubles as the inverted
+ * index: a term is looked up with a key range instead of scanning every turn, and
+ * updating one turn only rewrites that turn's entries.
+ */
+class ConversationIndex {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database, creating the stores on first use
+     * @returns {Promise<IDBDatabase>} The open database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(SEARCH_INDEX_DB_NAME, SEARCH_INDEX_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('conversations', { keyPath: 'key' });
+                    const turns = db.createObjectStore('turns', { keyPath: 'id' });
+                    turns.createIndex('conversationKey', 'conversationKey');
+                    turns.createIndex('words', 'words', { multiEntry: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest} request - The request
+     * @returns {Promise<*>} The request's result
+     */
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Wait for a transaction to commit
+     * @param {IDBTransaction} transaction - The transaction
+     * @returns {Promise<void>}
+     */
+    static complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Split text into the words stored in the index
+     * @param {string} text - Turn text
+     * @returns {Array<string>} Unique lowercase words
+     */
+    static getWords(text) {
+        const words = new Set();
+        for (const match of (text || '').toLowerCase().matchAll(SEARCH_WORD_PATTERN)) {
+            if (match[0].length <= SEARCH_INDEX_MAX_WORD_LENGTH) {
+                words.add(match[0]);
+            }
+        }
+        return [...words];
+    }
+
+    /**
+     * Add or update turns of a conversation and remove turns that no longer exist
+     * @param {Object} conversation - { key, provider, conversationId, url, title }
+     * @param {Array<Object>} turns - Changed turns: { itemKey, role, turnIndex, text, firstSeenAt }
+     * @param {Array<string>} removedItemKeys - Item keys of turns to drop from the index
+     */
+    async indexConversation(conversation, turns = [], removedItemKeys = []) {
+        const db = await this.open();
+        const transaction = db.transaction(['conversations', 'turns'], 'readwrite');
+        const turnStore = transaction.objectStore('turns');
+        const now = Date.now();
+
+        transaction.objectStore('conversations').put({
+            key: conversation.key,
+            provider: conversation.provider,
+            conversationId: conversation.conversationId,
+            url: conversation.url,
+            title: conversation.title,
+            updatedAt: now
+        });
+
+        turns.forEach(turn => {
+            turnStore.put({
+                id: `${conversation.key}|${turn.itemKey}`,
+                conversationKey: conversation.key,
+                itemKey: turn.itemKey,
+                role: turn.role,
+                turnIndex: turn.turnIndex,
+                text: turn.text,
+                firstSeenAt: turn.firstSeenAt || now,
+                indexedAt: now,
+                words: ConversationIndex.getWords(turn.text)
+            });
+        });
+
+        removedItemKeys.forEach(itemKey => turnStore.delete(`${conversation.key}|${itemKey}`));
+
+        await ConversationIndex.complete(transaction);
+    }
+
+    /**
+     * Remove conversations and all their turns, e.g. once their stored navigation state was evicted
+     * @param {Array<string>} conversationKeys - Keys of the conversations
+     */
+    async removeConversations(conversationKeys) {
+        const db = await this.open();
+        const transaction = db.transaction(['conversations', 'turns'], 'readwrite');
+        const conversationStore = transaction.objectStore('conversations');
+        const turnsByConversation = transaction.objectStore('turns').index('conversationKey');
+
+        conversationKeys.forEach(key => {
+            conversationStore.delete(key);
+            const request = turnsByConversation.openCursor(IDBKeyRange.only(key));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+
+        await ConversationIndex.complete(transaction);
+    }
+
+    /**
+     * Find the turns containing a word that starts with the term, or - when there are
+     * few of those - a word a few typos away from it
+     * @param {IDBIndex} wordIndex - The `words` index of the turns store
+     * @param {string} term - Lowercase search term
+     * @returns {Promise<Map<string, number>>} Turn ID -> best match quality (as in FuzzySearch.findTerm)
+     */
+    static async lookupTerm(wordIndex, term) {
+        const qualities = new Map();
+        const addMatch = (turnId, quality) => {
+            qualities.set(turnId, Math.max(qualities.get(turnId) || 0, quality));
+        };
+
+        // Whole words and words starting with the term are next to each other in the index
+        await new Promise((resolve, reject) => {
+            const request = wordIndex.openKeyCursor(IDBKeyRange.bound(term, `${term}\uffff`));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve();
+                addMatch(cursor.primaryKey, cursor.key === term ? 3 : 2);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        const maxDistance = FuzzySearch.getMaxDistance(term);
+        if (maxDistance === 0 || qualities.size >= SEARCH_INDEX_FUZZY_MIN_RESULTS) {
+            return qualities;
+        }
+
+        // Typo matches: walk the distinct words sharing the term's first letter
+        const nearWords = [];
+        await new Promise((resolve, reject) => {
+            const request = wordIndex.openKeyCursor(IDBKeyRange.bound(term[0], `${term[0]}\uffff`), 'nextunique');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve();
+                const word = cursor.key;
+                if (!word.startsWith(term)) {
+                    const distance = FuzzySearch.editDistance(term, word, maxDistance);
+                    if (distance <= maxDistance) {
+                        nearWords.push({ word, distance });
+                    }
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        for (const { word, distance } of nearWords) {
+            const turnIds = await ConversationIndex.promisify(wordIndex.getAllKeys(IDBKeyRange.only(word)));
+            turnIds.forEach(turnId => addMatch(turnId, 1 - 0.3 * distance));
+        }
+
+        return qualities;
+    }
+
+    /**
+     * Search every indexed conversation
+     * @param {string} query - The search text
+     * @param {number} limit - Maximum number of hits
+     * @returns {Promise<Array<Object>>} Hits, best first: { turn, conversation, score, snippet }
+     */
+    async search(query, limit = SEARCH_INDEX_RESULT_LIMIT) {
+        const terms = ConversationIndex.getWords(query);
+        if (terms.length === 0) return [];
+
+        const db = await this.open();
+        const transaction = db.transaction(['conversations', 'turns'], 'readonly');
+        const turnStore = transaction.objectStore('turns');
+        const wordIndex = turnStore.index('words');
+
+        // Every term has to match; rarest terms first so the candidate set shrinks quickly
+        const termMatches = [];
+        for (const term of terms) {
+            const matches = await ConversationIndex.lookupTerm(wordIndex, term);
+            if (matches.size === 0) return [];
+            termMatches.push(matches);
+        }
+        termMatches.sort((a, b) => a.size - b.size);
+
+        const scores = new Map();
+        termMatches[0].forEach((quality, turnId) => scores.set(turnId, quality));
+        termMatches.slice(1).forEach(matches => {
+            scores.forEach((score, turnId) => {
+                if (matches.has(turnId)) {
+                    scores.set(turnId, score + matches.get(turnId));
+                } else {
+                    scores.delete(turnId);
+                }
+            });
+        });
+
+        // Questions are what people remember, so they win ties with responses
+        const candidates = [];
+        for (const [turnId, score] of scores) {
+            const turn = await ConversationIndex.promisify(turnStore.get(turnId));
+            if (turn) {
+                candidates.push({ turn, score: score + (turn.role === 'user' ? 0.5 : 0) });
+            }
+        }
+        candidates.sort((a, b) => b.score - a.score || b.turn.firstSeenAt - a.turn.firstSeenAt);
+
+        const conversationStore = transaction.objectStore('conversations');
+        const conversations = new Map();
+        const hits = [];
+        for (const { turn, score } of candidates.slice(0, limit)) {
+            if (!conversations.has(turn.conversationKey)) {
+                conversations.set(turn.conversationKey, await ConversationIndex.promisify(conversationStore.get(turn.conversationKey)));
+            }
+
+            const ranges = [];
+            terms.forEach(term => {
+                const found = FuzzySearch.findTerm(term, turn.text);
+                if (found) ranges.push(...found.ranges);
+            });
+            ranges.sort((a, b) => a[0] - b[0]);
+
+            hits.push({
+                turn,
+                conversation: conversations.get(turn.conversationKey) || { key: turn.conversationKey, title: '', provider: '' },
+                score,
+                snippet: ranges.length > 0
+                    ? FuzzySearch.getSnippet(turn.text, ranges, 80)
+                    : { text: turn.text.substring(0, 160).replace(/\s/g, ' '), ranges: [] }
+            });
+        }
+
+        return hits;
+    }
+
+    /**
+     * Count what is in the index
+     * @returns {Promise<Object>} { conversations, turns }
+     */
+    async getStats() {
+        const db = await this.open();
+        const transaction = db.transaction(['conversations', 'turns'], 'readonly');
+        const [conversations, turns] = await Promise.all([
+            ConversationIndex.promisify(transaction.objectStore('conversations').count()),
+            ConversationIndex.promisify(transaction.objectStore('turns').count())
+        ]);
+        return { conversations, turns };
+    }
+
+    /**
+     * Remove everything from the index
+     */
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction(['conversations', 'turns'], 'readwrite');
+        transaction.objectStore('conversations').clear();
+        transaction.objectStore('turns').clear();
+        await ConversationIndex.complete(transaction);
+    }
+}
+
+// Export for use in the background service worker and the global search page
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConversationIndex };
+} else {
+    self.ConversationIndex = ConversationIndex;
+}
@@ -0,0 +1,472 @@
+// search.js - Fuzzy, ranked matching and match highlighting for the sidebar search
+
+// Characters that make up words when looking for near-miss (typo) matches
+const SEARCH_WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+/**
+ * Typo-tolerant matching for sidebar search.
+ *
+ * Every term of a search has to match at least one field of an item. A term matches a
+ * field as a whole word, inside a word, or - failing both - as a word a few typos away.
+ * Items are scored by how well each term matched, weighted by the field it matched in,
+ * so a hit in the summary ranks above the same hit deep in a long response.
+ */
+class FuzzySearch {
+    /**
+     * Split a search into terms
+     * @param {string} query - The search text
+     * @returns {Array<string>} Unique lowercase terms
+     */
+    static tokenize(query) {
+        const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        return [...new Set(terms)];
+    }
+
+    /**
+     * How many typos a term may contain and still match
+     * @param {string} term - The search term
+     * @returns {number} The maximum edit distance
+     */
+    static getMaxDistance(term) {
+        if (term.length <= 3) return 0;
+        if (term.length <= 6) return 1;
+        return 2;
+    }
+
+    /**
+     * Edit distance between two strings, counting a swap of neighbouring letters as one edit
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} maxDistance - Stop early once the distance is known to exceed this
+     * @returns {number} The distance, or maxDistance + 1 if it is larger than maxDistance
+     */
+    static editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMinimum = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, previousPrevious[j - 2] + 1);
+                }
+                current.push(distance);
+                rowMinimum = Math.min(rowMinimum, distance);
+            }
+            if (rowMinimum > maxDistance) return maxDistance + 1;
+            previousPrevious = previous;
+            previous = current;
+        }
+        return Math.min(previous[b.length], maxDistance + 1);
+    }
+
+    /**
+     * Find where a term occurs in a text
+     * @param {string} term - Lowercase search term
+     * @param {string} text - The text to search
+     * @returns {Object|null} { quality, ranges } with quality 3 for a whole word, 2 inside a word
+     *   and below 1 for typo matches, and ranges of [start, end] offsets; null if there is no match
+     */
+    static findTerm(term, text) {
+        if (!term || !text) return null;
+        const lowerText = text.toLowerCase();
+
+        // Exact occurrences first
+        const ranges = [];
+        let wholeWord = false;
+        let index = lowerText.indexOf(term);
+        while (index !== -1) {
+            const end = index + term.length;
+            ranges.push([index, end]);
+            if (!/[\p{L}\p{N}_]/u.test(lowerText[index - 1] || '') && !/[\p{L}\p{N}_]/u.test(lowerText[end] || '')) {
+                wholeWord = true;
+            }
+            index = lowerText.indexOf(term, end);
+        }
+        if (ranges.length > 0) {
+            return { quality: wholeWord ? 3 : 2, ranges };
+        }
+
+        // Then words within a few typos
+        const maxDistance = FuzzySearch.getMaxDistance(term);
+        if (maxDistance === 0) return null;
+
+        let bestDistance = maxDistance + 1;
+        for (const match of lowerText.matchAll(SEARCH_WORD_PATTERN)) {
+            const distance = FuzzySearch.editDistance(term, match[0], maxDistance);
+            if (distance > maxDistance) continue;
+
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                ranges.length = 0;
+            }
+            if (distance === bestDistance) {
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+        if (ranges.length === 0) return null;
+
+        return { quality: 1 - bestDistance * 0.3, ranges };
+    }
+
+    /**
+     * Match search terms against the fields of an item
+     * @param {Array<string>} terms - Terms from tokenize()
+     * @param {Object} fields - Map of field name to { text, weight }
+     * @returns {Object|null} { score, ranges } where ranges maps field names to the [start, end]
+     *   offsets of every matched term, or null if some term matched nowhere
+     */
+    static match(terms, fields) {
+        let score = 0;
+        const ranges = {};
+        Object.keys(fields).forEach(name => {
+            ranges[name] = [];
+        });
+
+        for (const term of terms) {
+            let bestScore = 0;
+            Object.entries(fields).forEach(([name, field]) => {
+                const found = FuzzySearch.findTerm(term, field.text);
+                if (!found) return;
+
+                ranges[name].push(...found.ranges);
+                bestScore = Math.max(bestScore, found.quality * field.weight);
+            });
+
+            if (bestScore === 0) return null;
+            score += bestScore;
+        }
+
+        Object.values(ranges).forEach(fieldRanges => fieldRanges.sort((a, b) => a[0] - b[0]));
+        return { score, ranges };
+    }
+
+    /**
+     * Cut a short excerpt of a text around a match
+     * @param {string} text - The full text
+     * @param {Array<Array<number>>} ranges - Sorted [start, end] offsets of the matches
+     * @param {number} [radius] - Characters of context on each side of the first match
+     * @returns {Object} { text, ranges } of the excerpt, with the ranges inside it
+     */
+    static getSnippet(text, ranges, radius = 40) {
+        const [firstStart, firstEnd] = ranges[0];
+        let start = Math.max(0, firstStart - radius);
+        let end = Math.min(text.length, firstEnd + radius);
+
+        // Don't cut words in half at the edges
+        while (start > 0 && /\S/.test(text[start - 1]) && firstStart - start < radius + 15) start--;
+        while (end < text.length && /\S/.test(text[end]) && end - firstEnd < radius + 15) end++;
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < text.length ? '…' : '';
+        const snippetRanges = ranges
+            .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+            .map(([rangeStart, rangeEnd]) => [rangeStart - start + prefix.length, rangeEnd - start + prefix.length]);
+
+        return {
+            // Replace line breaks one for one so the offsets still line up
+            text: prefix + text.substring(start, end).replace(/\s/g, ' ') + suffix,
+            ranges: snippetRanges
+        };
+    }
+
+    /**
+     * Wrap ranges of an element's text in <mark> elements
+     * @param {HTMLElement} element - The element; ranges are offsets into its textContent
+     * @param {Array<Array<number>>} ranges - Sorted [start, end] offsets
+     * @param {string} [className] - Class for the <mark> elements
+     */
+    static markRanges(element, ranges, className = 'ai-nav-mark') {
+        if (!ranges || ranges.length === 0) return;
+
+        // Merge overlapping ranges so marks never nest
+        const merged = [];
+        ranges.forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        let offset = 0;
+        textNodes.forEach(node => {
+            const nodeStart = offset;
+            const nodeEnd = offset + node.nodeValue.length;
+            offset = nodeEnd;
+
+            // Work backwards so earlier offsets stay valid while splitting
+            merged.filter(([start, end]) => start < nodeEnd && end > nodeStart).reverse().forEach(([start, end]) => {
+                const localStart = Math.max(start, nodeStart) - nodeStart;
+                const localEnd = Math.min(end, nodeEnd) - nodeStart;
+                const matchNode = node.splitText(localStart);
+                matchNode.splitText(localEnd - localStart);
+
+                const mark = document.createElement('mark');
+                mark.className = className;
+                matchNode.parentNode.replaceChild(mark, matchNode);
+                mark.appendChild(matchNode);
+            });
+        });
+    }
+}
+
+// Operators understood by SearchQuery and the values they accept (null = any value)
+const SEARCH_OPERATORS = {
+    role: ['user', 'assistant'],
+    has: ['code', 'link', 'table'],
+    lang: null,
+    after: null,
+    before: null
+};
+
+/**
+ * Parses and evaluates sidebar searches with operators.
+ *
+ * Supported syntax, combinable and all required to match:
+ *   word            fuzzy term (see FuzzySearch)
+ *   "some phrase"   exact phrase
+ *   /regex/flags    regular expression (case-insensitive unless flags are given); other
+ *                   tokens starting with a slash, like /usr/bin, are exact phrases
+ *   role:user       role:user or role:assistant
+ *   has:code        has:code, has:link or has:table
+ *   lang:python     contains a code block in that language
+ *   pinned          pinned turns only
+ *   after:DATE      first seen on or after DATE (YYYY-MM-DD, or 7d / 2w ago)
+ *   before:DATE     first seen before DATE
+ *   -anything       negates a term, phrase, regex or filter
+ */
+class SearchQuery {
+    /**
+     * Split a search into tokens, keeping quoted phrases and regexes together
+     * @param {string} query - The search text
+     * @returns {Array<string>} The tokens
+     */
+    static splitTokens(query) {
+        return (query || '').match(/-?"[^"]*"?|-?\/(?:\\.|[^/\\])+\/[dgimsuy]*(?=\s|$)|\S+/g) || [];
+    }
+
+    /**
+     * Parse a date filter value
+     * @param {string} value - YYYY-MM-DD, or a number of days (7d) or weeks (2w) ago
+     * @returns {number|null} Timestamp of the start of that day, or null if invalid
+     */
+    static parseDate(value) {
+        const relative = value.match(/^(\d+)([dw])$/);
+        if (relative) {
+            const days = Number(relative[1]) * (relative[2] === 'w' ? 7 : 1);
+            const date = new Date();
+            date.setHours(0, 0, 0, 0);
+            date.setDate(date.getDate() - days);
+            return date.getTime();
+        }
+
+        const absolute = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (!absolute) return null;
+        const date = new Date(Number(absolute[1]), Number(absolute[2]) - 1, Number(absolute[3]));
+        return Number.isNaN(date.getTime()) ? null : date.getTime();
+    }
+
+    /**
+     * Parse a search
+     * @param {string} query - The search text
+     * @returns {Object} { terms, phrases, regexes, excluded: { terms, phrases, regexes }, filters, errors, isEmpty }
+     */
+    static parse(query) {
+        const parsed = {
+            terms: [],
+            phrases: [],
+            regexes: [],
+            excluded: { terms: [], phrases: [], regexes: [] },
+            filters: [],
+            errors: [],
+            isEmpty: true
+        };
+
+        SearchQuery.splitTokens(query).forEach(rawToken => {
+            const negated = rawToken.length > 1 && rawToken.startsWith('-');
+            const token = negated ? rawToken.slice(1) : rawToken;
+            const target = negated ? parsed.excluded : parsed;
+            parsed.isEmpty = false;
+
+            if (token.startsWith('"')) {
+                const phrase = token.replace(/^"|"$/g, '').toLowerCase().trim();
+                if (phrase) target.phrases.push(phrase);
+                return;
+            }
+
+            const regexMatch = token.match(/^\/(.+)\/([dgimsuy]*)$/);
+            if (regexMatch) {
+                try {
+                    const flags = regexMatch[2] ? regexMatch[2].replace(/g/g, '') : 'i';
+                    target.regexes.push(new RegExp(regexMatch[1], `${flags}g`));
+                } catch (error) {
+                    parsed.errors.push(`Invalid regular expression: ${token}`);
+                }
+                return;
+            }
+            if (token.startsWith('/')) {
+                // A path or the like, not a regular expression
+                target.phrases.push(token.toLowerCase());
+                return;
+            }
+
+            if (token.toLowerCase() === 'pinned') {
+                parsed.filters.push({ key: 'pinned', value: true, negated });
+                return;
+            }
+
+            const operatorMatch = token.match(/^([a-z]+):(.+)$/i);
+            if (operatorMatch && Object.prototype.hasOwnProperty.call(SEARCH_OPERATORS, operatorMatch[1].toLowerCase())) {
+                const key = operatorMatch[1].toLowerCase();
+                let value = operatorMatch[2].toLowerCase();
+                const allowed = SEARCH_OPERATORS[key];
+
+                if (allowed && !allowed.includes(value)) {
+                    parsed.errors.push(`Unknown value for ${key}: "${value}" (use ${allowed.join(', ')})`);
+                    return;
+                }
+                if (key === 'after' || key === 'before') {
+                    value = SearchQuery.parseDate(value);
+                    if (value === null) {
+                        parsed.errors.push(`Invalid date for ${key}: use YYYY-MM-DD, 7d or 2w`);
+                        return;
+                    }
+                }
+                parsed.filters.push({ key, value, negated });
+                return;
+            }
+
+            FuzzySearch.tokenize(token).forEach(term => target.terms.push(term));
+        });
+
+        return parsed;
+    }
+
+    /**
+     * Check one operator filter against an item
+     * @param {Object} filter - { key, value } from parse()
+     * @param {Object} facts - { role, hasCode, hasLink, hasTable, languages, pinned, timestamp }
+     * @returns {boolean} True if the item passes, before negation
+     */
+    static matchesFilter(filter, facts) {
+        switch (filter.key) {
+            case 'role':
+                return facts.role === filter.value;
+            case 'has':
+                return filter.value === 'code' ? !!facts.hasCode :
+                    filter.value === 'link' ? !!facts.hasLink : !!facts.hasTable;
+            case 'lang':
+                return (facts.languages || []).includes(filter.value);
+            case 'pinned':
+                return !!facts.pinned;
+            case 'after':
+                return !!facts.timestamp && facts.timestamp >= filter.value;
+            case 'before':
+                return !!facts.timestamp && facts.timestamp < filter.value;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Find every exact, case-insensitive occurrence of a phrase in a text
+     * @param {string} phrase - Lowercase phrase
+     * @param {string} text - The text
+     * @returns {Array<Array<number>>} [start, end] offsets of the occurrences
+     */
+    static findPhrase(phrase, text) {
+        const lowerText = text.toLowerCase();
+        const ranges = [];
+        let index = lowerText.indexOf(phrase);
+        while (index !== -1) {
+            ranges.push([index, index + phrase.length]);
+            index = lowerText.indexOf(phrase, index + phrase.length);
+        }
+        return ranges;
+    }
+
+    /**
+     * Find every match of a regular expression in a text
+     * @param {RegExp} regex - A global regular expression
+     * @param {string} text - The text
+     * @returns {Array<Array<number>>} [start, end] offsets of non-empty matches
+     */
+    static findRegex(regex, text) {
+        regex.lastIndex = 0;
+        return Array.from(text.matchAll(regex))
+            .filter(match => match[0].length > 0)
+            .map(match => [match.index, match.index + match[0].length]);
+    }
+
+    /**
+     * Evaluate a parsed search against an item
+     * @param {Object} parsed - Result of parse()
+     * @param {Object} fields - Map of field name to { text, weight }, as for FuzzySearch.match()
+     * @param {Object} facts - Item facts for the operator filters, see matchesFilter()
+     * @returns {Object|null} { score, ranges } as for FuzzySearch.match(), or null if the item doesn't match
+     */
+    static evaluate(parsed, fields, facts) {
+        if (!parsed.filters.every(filter => SearchQuery.matchesFilter(filter, facts) !== filter.negated)) {
+            return null;
+        }
+
+        const fieldEntries = Object.entries(fields);
+        const excluded = parsed.excluded;
+        const isExcluded = fieldEntries.some(([, field]) => {
+            const text = (field.text || '').toLowerCase();
+            return excluded.terms.some(term => text.includes(term)) ||
+                excluded.phrases.some(phrase => text.includes(phrase)) ||
+                excluded.regexes.some(regex => SearchQuery.findRegex(regex, field.text || '').length > 0);
+        });
+        if (isExcluded) return null;
+
+        let result = { score: 0, ranges: {} };
+        fieldEntries.forEach(([name]) => {
+            result.ranges[name] = [];
+        });
+        if (parsed.terms.length > 0) {
+            result = FuzzySearch.match(parsed.terms, fields);
+            if (!result) return null;
+        }
+
+        // Phrases and regexes must each be found in at least one field
+        const exactMatchers = [
+            ...parsed.phrases.map(phrase => text => SearchQuery.findPhrase(phrase, text)),
+            ...parsed.regexes.map(regex => text => SearchQuery.findRegex(regex, text))
+        ];
+        for (const findRanges of exactMatchers) {
+            let bestScore = 0;
+            fieldEntries.forEach(([name, field]) => {
+                const ranges = field.text ? findRanges(field.text) : [];
+                if (ranges.length === 0) return;
+                result.ranges[name].push(...ranges);
+                bestScore = Math.max(bestScore, 3 * field.weight);
+            });
+            if (bestScore === 0) return null;
+            result.score += bestScore;
+        }
+
+        Object.values(result.ranges).forEach(fieldRanges => fieldRanges.sort((a, b) => a[0] - b[0]));
+        return result;
+    }
+}
+
+// Export for use in content script, extension pages and the background service worker (no window there)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FuzzySearch, SearchQuery };
+} else {
+    self.FuzzySearch = FuzzySearch;
+    self.SearchQuery = SearchQuery;
+}
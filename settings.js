@@ -0,0 +1,176 @@
+// settings.js - User settings backed by chrome.storage.sync, shared by content scripts and the options page
+
+const SETTINGS_STORAGE_KEY = 'ai-nav:settings';
+
+/**
+ * Every user-facing setting with its default and limits.
+ * navBarWidth and topOffset default to null, meaning "use the provider's getLayoutConfig() value".
+ */
+const SETTINGS_FIELDS = [
+    { key: 'maxSummaryWords', label: 'Summary length (words)', type: 'number', min: 3, max: 50, default: 10 },
+    { key: 'observerDebounceTime', label: 'Update delay after page changes (ms)', type: 'number', min: 100, max: 10000, default: 1000 },
+    { key: 'initDelay', label: 'Initial load delay (ms)', type: 'number', min: 0, max: 15000, default: 2000 },
+    { key: 'submitDelay', label: 'Delay after sending a message (ms)', type: 'number', min: 0, max: 5000, default: 200 },
+    { key: 'startCollapsed', label: 'Start with the sidebar collapsed', type: 'boolean', default: true },
+    { key: 'focusModeEnabled', label: 'Focus mode (auto-hide sidebar while typing)', type: 'boolean', default: true },
+    { key: 'navBarWidth', label: 'Sidebar width (px)', type: 'number', min: 150, max: 600, default: null },
+    { key: 'topOffset', label: 'Sidebar top offset (px)', type: 'number', min: 0, max: 300, default: null },
+    { key: 'completionNotification', label: 'Desktop notification when a long answer finishes in a background tab', type: 'boolean', default: true },
+    { key: 'completionSound', label: 'Play a sound when a long answer finishes in a background tab', type: 'boolean', default: false },
+    { key: 'longAnswerSeconds', label: 'Answers count as long after (seconds)', type: 'number', min: 0, max: 600, default: 20 }
+];
+
+/**
+ * Loads, saves and resolves settings.
+ *
+ * Stored shape:
+ * {
+ *   global: { maxSummaryWords: 10, ... },
+ *   providers: { 'Claude': { navBarWidth: 300 }, ... }
+ * }
+ *
+ * A provider entry only holds the settings overridden for that provider;
+ * anything missing or null falls back to the global value, then the default.
+ */
+class SettingsStore {
+    /**
+     * Get the default value of every setting
+     * @returns {Object} Map of setting key to default value
+     */
+    static getDefaults() {
+        const defaults = {};
+        SETTINGS_FIELDS.forEach(field => {
+            defaults[field.key] = field.default;
+        });
+        return defaults;
+    }
+
+    /**
+     * Get chrome.storage.sync if the extension context is still valid
+     * @returns {Object|null} The storage area or null
+     */
+    static getStorageArea() {
+        try {
+            if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
+                return chrome.storage.sync;
+            }
+        } catch (error) {
+            // Accessing chrome.* throws once the extension has been reloaded
+        }
+        return null;
+    }
+
+    /**
+     * Drop unknown keys and clamp values to each field's limits
+     * @param {Object} values - Raw setting values
+     * @returns {Object} Only the valid, set values
+     */
+    static sanitize(values) {
+        const clean = {};
+        if (!values || typeof values !== 'object') return clean;
+
+        SETTINGS_FIELDS.forEach(field => {
+            const value = values[field.key];
+            if (value === undefined || value === null || value === '') return;
+
+            if (field.type === 'boolean') {
+                clean[field.key] = Boolean(value);
+            } else {
+                const number = Number(value);
+                if (Number.isFinite(number)) {
+                    clean[field.key] = Math.min(field.max, Math.max(field.min, Math.round(number)));
+                }
+            }
+        });
+        return clean;
+    }
+
+    /**
+     * Load the stored settings
+     * @returns {Promise<Object>} Settings in the stored shape
+     */
+    static async load() {
+        const area = SettingsStore.getStorageArea();
+        if (!area) {
+            return { global: {}, providers: {} };
+        }
+
+        try {
+            const result = await area.get(SETTINGS_STORAGE_KEY);
+            return SettingsStore.normalize(result[SETTINGS_STORAGE_KEY]);
+        } catch (error) {
+            console.warn('AI Navigator: Failed to load settings:', error);
+            return { global: {}, providers: {} };
+        }
+    }
+
+    /**
+     * Save settings
+     * @param {Object} settings - Settings in the stored shape
+     * @returns {Promise<void>}
+     */
+    static async save(settings) {
+        const area = SettingsStore.getStorageArea();
+        if (!area) return;
+
+        await area.set({ [SETTINGS_STORAGE_KEY]: SettingsStore.normalize(settings) });
+    }
+
+    /**
+     * Bring stored settings into the expected shape
+     * @param {Object} settings - Settings as stored
+     * @returns {Object} Settings with sanitized global and per-provider values
+     */
+    static normalize(settings) {
+        const normalized = { global: {}, providers: {} };
+        if (!settings || typeof settings !== 'object') return normalized;
+
+        normalized.global = SettingsStore.sanitize(settings.global);
+        Object.entries(settings.providers || {}).forEach(([providerName, overrides]) => {
+            const clean = SettingsStore.sanitize(overrides);
+            if (Object.keys(clean).length > 0) {
+                normalized.providers[providerName] = clean;
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Resolve the effective settings for a provider
+     * @param {Object} settings - Settings in the stored shape
+     * @param {string} providerName - The provider name
+     * @returns {Object} Flat map of every setting key to its effective value
+     */
+    static resolve(settings, providerName) {
+        const normalized = SettingsStore.normalize(settings);
+        return {
+            ...SettingsStore.getDefaults(),
+            ...normalized.global,
+            ...(normalized.providers[providerName] || {})
+        };
+    }
+
+    /**
+     * Listen for settings changes made anywhere (options page, other tabs)
+     * @param {Function} callback - Called with the new settings in the stored shape
+     */
+    static onChange(callback) {
+        try {
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'sync' && changes[SETTINGS_STORAGE_KEY]) {
+                    callback(SettingsStore.normalize(changes[SETTINGS_STORAGE_KEY].newValue));
+                }
+            });
+        } catch (error) {
+            console.warn('AI Navigator: Could not listen for settings changes:', error);
+        }
+    }
+}
+
+// Export for use in content script and options page
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SettingsStore, SETTINGS_FIELDS };
+} else {
+    window.SettingsStore = SettingsStore;
+    window.SETTINGS_FIELDS = SETTINGS_FIELDS;
+}
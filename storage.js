@@ -0,0 +1,335 @@
+// storage.js - Persistent per-conversation navigation state backed by chrome.storage.local
+
+const STORAGE_SCHEMA_VERSION = 4;
+const STORAGE_KEY_PREFIX = 'ai-nav:conv:';
+const STORAGE_INDEX_KEY = 'ai-nav:index';
+const STORAGE_MAX_CONVERSATIONS = 200; // Least recently used conversations beyond this are evicted
+const STORAGE_MAX_BYTES = 4 * 1024 * 1024; // Stay well under the chrome.storage.local quota
+const STORAGE_SAVE_DEBOUNCE_TIME = 500; // Milliseconds to batch writes during rapid DOM changes
+
+/**
+ * Schema migrations, keyed by the version they upgrade a record TO.
+ * Each function receives a record at version N-1 and returns it at version N.
+ */
+const STORAGE_MIGRATIONS = {
+    // v2: pinned turns
+    2: record => ({ ...record, pins: [] }),
+    // v3: private notes on turns
+    3: record => ({ ...record, notes: [] }),
+    // v4: stable turn identities instead of element IDs generated per page load. The old
+    // queries are matched to their turns by text once, when the page shows them again.
+    4: record => ({
+        ...record,
+        queries: (record.queries || []).map(({ elementId, response, ...query }) => ({
+            ...query,
+            legacy: true,
+            ...(response ? { response: { text: response.text, timestamp: response.timestamp } } : {})
+        }))
+    })
+};
+
+/**
+ * Stores navigation state per provider and conversation.
+ *
+ * Record shape (schema version 4):
+ * {
+ *   schemaVersion: 4,
+ *   provider: 'ChatGPT',
+ *   conversationId: '/c/abc123',
+ *   url: 'https://chatgpt.com/c/abc123',
+ *   title: 'Page title',
+ *   queries: [{ id (turn identity), text, timestamp (first seen), index, branch: { index, count },
+ *               versions: [{ id, branch, text, timestamp, response }],
+ *               response: { id, text, timestamp, duration (ms to generate, if seen streaming), branch,
+ *                           versions: [{ id, branch, text, timestamp }] } }],
+ *   pins: [{ type: 'query' | 'response', turnId, text (of the query), pinnedAt }],
+ *   notes: [{ type: 'query' | 'response', turnId, text (of the query), note, updatedAt }],
+ *   activeItemKey: 'turn-id:query' | null,
+ *   collapsed: true,
+ *   lastAccessed: 1700000000000
+ * }
+ *
+ * An index record tracks the size and last access time of every stored
+ * conversation so the least recently used ones can be evicted once the
+ * conversation count or total size cap is exceeded. Every tab updates it by
+ * reading and writing it whole, so two tabs saving at once can drop each
+ * other's entries; each store puts back the entries it wrote when it sees that.
+ */
+class NavigationStore {
+    constructor() {
+        this.pendingWrites = new Map(); // conversation key -> record awaiting a debounced write
+        this.inFlightWrites = new Map(); // conversation key -> { record } being written by flush()
+        this.writtenIndexEntries = new Map(); // conversation key -> index entry this store last wrote
+        this.saveTimeout = null;
+        this.area = NavigationStore.getStorageArea();
+
+        if (!this.area) {
+            console.warn('AI Navigator: chrome.storage is unavailable, navigation state will not persist');
+            return;
+        }
+
+        try {
+            chrome.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName === 'local' && changes[STORAGE_INDEX_KEY]) {
+                    this.repairIndex(changes[STORAGE_INDEX_KEY].newValue || {});
+                }
+            });
+        } catch (error) {
+            console.warn('AI Navigator: Could not listen for storage index changes:', error);
+        }
+    }
+
+    /**
+     * Get chrome.storage.local if the extension context is still valid
+     * @returns {Object|null} The storage area or null
+     */
+    static getStorageArea() {
+        try {
+            if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+                return chrome.storage.local;
+            }
+        } catch (error) {
+            // Accessing chrome.* throws once the extension has been reloaded
+        }
+        return null;
+    }
+
+    /**
+     * Build the storage key for a conversation
+     * @param {string} providerName - Provider name, e.g. 'Claude'
+     * @param {string} conversationId - Provider-specific conversation ID
+     * @returns {string} The storage key
+     */
+    static getConversationKey(providerName, conversationId) {
+        return `${STORAGE_KEY_PREFIX}${providerName}:${conversationId}`;
+    }
+
+    /**
+     * Create an empty record for a conversation
+     * @param {string} providerName - Provider name
+     * @param {string} conversationId - Provider-specific conversation ID
+     * @param {Object} [defaults] - Initial sidebar state, e.g. { collapsed: false }
+     * @returns {Object} A record at the current schema version
+     */
+    static createEmptyRecord(providerName, conversationId, defaults = {}) {
+        return {
+            schemaVersion: STORAGE_SCHEMA_VERSION,
+            provider: providerName,
+            conversationId,
+            url: window.location.href,
+            title: document.title,
+            queries: [],
+            pins: [],
+            notes: [],
+            activeItemKey: null,
+            collapsed: defaults.collapsed !== undefined ? defaults.collapsed : true,
+            lastAccessed: Date.now()
+        };
+    }
+
+    /**
+     * Upgrade a stored record to the current schema version
+     * @param {Object} record - The stored record
+     * @returns {Object|null} The migrated record, or null if it cannot be read
+     */
+    static migrateRecord(record) {
+        if (!record || typeof record !== 'object') return null;
+
+        let version = record.schemaVersion || 0;
+        if (version > STORAGE_SCHEMA_VERSION) {
+            console.warn(`AI Navigator: Stored record uses newer schema v${version}, ignoring it`);
+            return null;
+        }
+
+        let migrated = record;
+        while (version < STORAGE_SCHEMA_VERSION) {
+            const migration = STORAGE_MIGRATIONS[version + 1];
+            if (!migration) {
+                console.warn(`AI Navigator: No migration from schema v${version}, discarding stored record`);
+                return null;
+            }
+            migrated = migration(migrated);
+            version++;
+            migrated.schemaVersion = version;
+        }
+        return migrated;
+    }
+
+    /**
+     * Load the record for a conversation, creating an empty one if none exists
+     * @param {string} providerName - Provider name
+     * @param {string} conversationId - Provider-specific conversation ID
+     * @param {Object} [defaults] - Initial sidebar state for a conversation seen for the first time
+     * @returns {Promise<Object>} The conversation record
+     */
+    async load(providerName, conversationId, defaults = {}) {
+        const key = NavigationStore.getConversationKey(providerName, conversationId);
+
+        // A write may still be pending or under way for this conversation - it is newer than storage
+        if (this.pendingWrites.has(key)) {
+            return this.pendingWrites.get(key);
+        }
+        if (this.inFlightWrites.has(key)) {
+            return this.inFlightWrites.get(key).record;
+        }
+
+        if (!this.area) {
+            return NavigationStore.createEmptyRecord(providerName, conversationId, defaults);
+        }
+
+        try {
+            const result = await this.area.get(key);
+            const storedVersion = result[key] && result[key].schemaVersion;
+            const record = NavigationStore.migrateRecord(result[key]);
+            if (!record) {
+                return NavigationStore.createEmptyRecord(providerName, conversationId, defaults);
+            }
+
+            record.lastAccessed = Date.now();
+            if (storedVersion !== record.schemaVersion) {
+                console.log(`AI Navigator: Migrated stored conversation from schema v${storedVersion || 0} to v${record.schemaVersion}`);
+                this.save(record);
+            }
+            return record;
+        } catch (error) {
+            console.warn('AI Navigator: Failed to load navigation state:', error);
+            return NavigationStore.createEmptyRecord(providerName, conversationId, defaults);
+        }
+    }
+
+    /**
+     * Schedule a debounced write of a conversation record
+     * @param {Object} record - The conversation record to save
+     */
+    save(record) {
+        const key = NavigationStore.getConversationKey(record.provider, record.conversationId);
+        record.lastAccessed = Date.now();
+        this.pendingWrites.set(key, record);
+
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => this.flush(), STORAGE_SAVE_DEBOUNCE_TIME);
+    }
+
+    /**
+     * Write all pending records to storage and enforce the size cap
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+
+        if (!this.area || this.pendingWrites.size === 0) {
+            this.pendingWrites.clear();
+            return;
+        }
+
+        const writes = {};
+        const flushing = new Map(); // conversation key -> its entry in inFlightWrites
+        this.pendingWrites.forEach((record, key) => {
+            writes[key] = JSON.parse(JSON.stringify(record));
+            flushing.set(key, { record });
+        });
+        flushing.forEach((entry, key) => this.inFlightWrites.set(key, entry));
+        this.pendingWrites.clear();
+
+        try {
+            const result = await this.area.get(STORAGE_INDEX_KEY);
+            const index = result[STORAGE_INDEX_KEY] || {};
+
+            Object.entries(writes).forEach(([key, record]) => {
+                index[key] = {
+                    lastAccessed: record.lastAccessed,
+                    bytes: JSON.stringify(record).length
+                };
+            });
+
+            const evictedKeys = NavigationStore.selectEvictions(index, Object.keys(writes));
+            evictedKeys.forEach(key => delete index[key]);
+
+            // Records go before their index entries, so a record missing from storage was evicted (see repairIndex)
+            if (evictedKeys.length > 0) {
+                await this.area.remove(evictedKeys);
+                evictedKeys.forEach(key => this.writtenIndexEntries.delete(key));
+                console.log(`AI Navigator: Evicted ${evictedKeys.length} least recently used conversations from storage`);
+            }
+            await this.area.set({ ...writes, [STORAGE_INDEX_KEY]: index });
+            Object.keys(writes).forEach(key => this.writtenIndexEntries.set(key, index[key]));
+        } catch (error) {
+            console.warn('AI Navigator: Failed to save navigation state:', error);
+        } finally {
+            // Storage has the records now, unless a later flush is already writing newer ones
+            flushing.forEach((entry, key) => {
+                if (this.inFlightWrites.get(key) === entry) {
+                    this.inFlightWrites.delete(key);
+                }
+            });
+        }
+    }
+
+    /**
+     * Put back the index entries of records this store wrote that are missing from, or older in,
+     * an index another tab wrote - it read the index before this store's write
+     * @param {Object} index - The index as written
+     * @returns {Promise<void>}
+     */
+    async repairIndex(index) {
+        const isStale = (entry, written) => !entry || entry.lastAccessed < written.lastAccessed;
+        const staleKeys = Array.from(this.writtenIndexEntries.keys())
+            .filter(key => isStale(index[key], this.writtenIndexEntries.get(key)));
+        if (staleKeys.length === 0) return;
+
+        try {
+            const stored = await this.area.get(staleKeys);
+            const result = await this.area.get(STORAGE_INDEX_KEY);
+            const currentIndex = result[STORAGE_INDEX_KEY] || {};
+
+            let repaired = 0;
+            staleKeys.forEach(key => {
+                const written = this.writtenIndexEntries.get(key);
+                if (!stored[key]) {
+                    // Evicted by another tab
+                    this.writtenIndexEntries.delete(key);
+                } else if (written && isStale(currentIndex[key], written)) {
+                    currentIndex[key] = written;
+                    repaired++;
+                }
+            });
+            if (repaired > 0) {
+                await this.area.set({ [STORAGE_INDEX_KEY]: currentIndex });
+                console.log(`AI Navigator: Restored ${repaired} storage index entries another tab overwrote`);
+            }
+        } catch (error) {
+            console.warn('AI Navigator: Failed to repair the storage index:', error);
+        }
+    }
+
+    /**
+     * Choose which conversations to evict so the index fits the caps
+     * @param {Object} index - Map of conversation key to { lastAccessed, bytes }
+     * @param {Array<string>} protectedKeys - Keys that were just written and must be kept
+     * @returns {Array<string>} Keys to evict, least recently used first
+     */
+    static selectEvictions(index, protectedKeys = []) {
+        const entries = Object.entries(index).sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
+        let count = entries.length;
+        let totalBytes = entries.reduce((sum, [, entry]) => sum + (entry.bytes || 0), 0);
+        const evicted = [];
+
+        for (const [key, entry] of entries) {
+            if (count <= STORAGE_MAX_CONVERSATIONS && totalBytes <= STORAGE_MAX_BYTES) break;
+            if (protectedKeys.includes(key)) continue;
+
+            evicted.push(key);
+            count--;
+            totalBytes -= entry.bytes || 0;
+        }
+        return evicted;
+    }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NavigationStore };
+} else {
+    window.NavigationStore = NavigationStore;
+}
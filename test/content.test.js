@@ -0,0 +1,39 @@
+// content.test.js - Helpers of the content script (content.js) that need no page
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { SettingsStore } = require('../settings.js');
+
+/**
+ * Runs content.js in a context of its own, with a document that never finishes loading
+ * so the script does not start
+ * @returns {Object} The context, whose properties are the script's functions
+ */
+function loadContentScript() {
+    const context = vm.createContext({
+        SettingsStore,
+        window: { location: { href: 'https://chatgpt.com/' } },
+        document: { readyState: 'loading', addEventListener() {} }
+    });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'content.js'), 'utf8'), context);
+    return context;
+}
+
+describe('formatDuration', () => {
+    const { formatDuration } = loadContentScript();
+
+    it('shows tenths of a second under a minute', () => {
+        assert.equal(formatDuration(8400), '8.4 s');
+        assert.equal(formatDuration(59940), '59.9 s');
+    });
+
+    it('rounds to whole seconds before splitting off the minutes', () => {
+        assert.equal(formatDuration(59960), '1 min 0 s');
+        assert.equal(formatDuration(119600), '2 min 0 s');
+        assert.equal(formatDuration(119400), '1 min 59 s');
+        assert.equal(formatDuration(125000), '2 min 5 s');
+    });
+});
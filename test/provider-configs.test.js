@@ -0,0 +1,106 @@
+// provider-configs.test.js - Validation and merging of provider configs (provider-configs.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ProviderConfigStore, BUILT_IN_PROVIDER_CONFIGS } = require('../provider-configs.js');
+
+const validConfig = {
+    id: 'my-chat',
+    name: 'My Chat',
+    matches: ['https://chat.example.com/*'],
+    selectors: {
+        queries: '.user-message',
+        responses: '.assistant-message',
+        chatContainer: 'main'
+    }
+};
+
+describe('ProviderConfigStore.validate', () => {
+    it('accepts every built-in config', () => {
+        BUILT_IN_PROVIDER_CONFIGS.forEach(config => {
+            assert.deepEqual(ProviderConfigStore.validate(config), [], config.id);
+        });
+    });
+
+    it('accepts a minimal user config', () => {
+        assert.deepEqual(ProviderConfigStore.validate(validConfig), []);
+    });
+
+    it('reports missing fields', () => {
+        assert.deepEqual(ProviderConfigStore.validate({ id: 'my-chat' }), [
+            'config.name is required',
+            'config.selectors is required',
+            'config needs matches, detect or both'
+        ]);
+    });
+
+    it('reports values of the wrong type or format', () => {
+        const errors = ProviderConfigStore.validate({
+            ...validConfig,
+            matches: ['chat.example.com'],
+            selectors: { ...validConfig.selectors, queries: 42 }
+        });
+
+        assert.deepEqual(errors, [
+            'config.matches[0] is not a URL match pattern like https://example.com/*',
+            'config.selectors.queries must be a string'
+        ]);
+    });
+
+    it('rejects settings it does not know', () => {
+        assert.ok(ProviderConfigStore.validate({ ...validConfig, colour: 'red' })
+            .includes('config.colour is not a known setting'));
+    });
+
+    it('reports a config that is not an object', () => {
+        assert.deepEqual(ProviderConfigStore.validate('my-chat'), ['config must be an object']);
+    });
+});
+
+describe('ProviderConfigStore.matchesUrl', () => {
+    it('compares the path as well as the host', () => {
+        assert.equal(ProviderConfigStore.matchesUrl('https://gemini.google.com/app/*', 'https://gemini.google.com/app/42'), true);
+        assert.equal(ProviderConfigStore.matchesUrl('https://gemini.google.com/app/*', 'https://gemini.google.com/settings'), false);
+        assert.equal(ProviderConfigStore.matchesUrl('https://chatgpt.com/*', 'https://chatgpt.com/'), true);
+    });
+
+    it('matches subdomains, any scheme and any port like the browser', () => {
+        const pattern = '*://*.example.com/chat/*';
+        assert.equal(ProviderConfigStore.matchesUrl(pattern, 'http://example.com/chat/1'), true);
+        assert.equal(ProviderConfigStore.matchesUrl(pattern, 'https://ai.example.com:8080/chat/1#top'), true);
+        assert.equal(ProviderConfigStore.matchesUrl(pattern, 'https://notexample.com/chat/1'), false);
+        assert.equal(ProviderConfigStore.matchesUrl('http://localhost:3000/*', 'http://localhost:8080/'), false);
+    });
+
+    it('treats the dots of a pattern literally', () => {
+        assert.equal(ProviderConfigStore.matchesUrl('https://chat.example.com/*', 'https://chatxexample.com/'), false);
+    });
+});
+
+describe('ProviderConfigStore.merge', () => {
+    it('puts new user providers first and replaces edited built-ins', () => {
+        const editedGemini = { ...BUILT_IN_PROVIDER_CONFIGS[0], name: 'Gemini (edited)' };
+        const merged = ProviderConfigStore.merge([validConfig, editedGemini]);
+
+        assert.equal(merged.length, BUILT_IN_PROVIDER_CONFIGS.length + 1);
+        assert.equal(merged[0], validConfig);
+        assert.equal(merged[1], editedGemini);
+        assert.equal(merged[2], BUILT_IN_PROVIDER_CONFIGS[1]);
+    });
+});
+
+describe('ProviderConfigStore.fromJSON', () => {
+    it('reads an exported provider file', () => {
+        assert.deepEqual(ProviderConfigStore.fromJSON(ProviderConfigStore.toJSON([validConfig])), [validConfig]);
+    });
+
+    it('reads a bare config', () => {
+        assert.deepEqual(ProviderConfigStore.fromJSON(JSON.stringify(validConfig)), [validConfig]);
+    });
+
+    it('rejects invalid JSON and invalid configs', () => {
+        assert.throws(() => ProviderConfigStore.fromJSON('{'), /Not a valid JSON file/);
+        assert.throws(() => ProviderConfigStore.fromJSON('[]'), /no providers/);
+        assert.throws(() => ProviderConfigStore.fromJSON(JSON.stringify({ id: 'my-chat' })), /Provider 1: config.name is required/);
+    });
+});
@@ -0,0 +1,47 @@
+// providers.test.js - Finding the provider for a page (providers.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+/**
+ * Loads the provider scripts into a page
+ * @param {string} url - The page's address
+ * @param {string} [fixture] - File in fixtures/ with the page's markup, an empty page without one
+ * @returns {Window} The page's window
+ */
+function loadPage(url, fixture) {
+    const html = fixture ? fs.readFileSync(path.join(REPO_ROOT, 'fixtures', fixture), 'utf8') : '<!DOCTYPE html>';
+    const { window } = new JSDOM(html, { url, runScripts: 'outside-only' });
+    ['provider-configs.js', 'providers.js'].forEach(file => {
+        window.eval(fs.readFileSync(path.join(REPO_ROOT, file), 'utf8'));
+    });
+    return window;
+}
+
+describe('ProviderFactory', () => {
+    it('recognises self-hosted chats by their own markup, on any address', () => {
+        const openWebUI = loadPage('http://chat.internal:3000/c/42', 'open-webui.html');
+        assert.equal(new openWebUI.ProviderFactory().getCurrentProvider().name, 'Open WebUI');
+        const libreChat = loadPage('https://chat.internal/c/new', 'librechat.html');
+        assert.equal(new libreChat.ProviderFactory().getCurrentProvider().name, 'LibreChat');
+    });
+
+    it('does not take a site with a #prompt-textarea for LibreChat', () => {
+        const window = loadPage('http://chat.internal/c/42', 'chatgpt.html');
+        assert.ok(window.document.querySelector('#prompt-textarea'));
+        assert.equal(new window.ProviderFactory().getCurrentProvider(), null);
+    });
+
+    it('keeps checking only pages a self-hosted chat could render on', () => {
+        const settings = loadPage('https://gemini.google.com/settings');
+        const factory = new settings.ProviderFactory();
+        assert.equal(factory.getCurrentProvider(), null);
+        assert.equal(factory.mayMatchLater(), false);
+        assert.equal(new (loadPage('http://chat.internal/').ProviderFactory)().mayMatchLater(), true);
+    });
+});
@@ -0,0 +1,84 @@
+// replay.test.js - Runs the replay harness's scenarios (harness/scenarios.js) against the fixture pages in jsdom,
+// so providers.js and content.js are checked on every `npm test` without a browser
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const HARNESS_ORIGIN = 'http://localhost'; // The harness and fixtures are served from the repository root here
+
+/**
+ * Serves the repository's files to jsdom, and nothing from the network
+ */
+class RepositoryLoader extends ResourceLoader {
+    fetch(url) {
+        const { origin, pathname } = new URL(url);
+        const file = path.join(REPO_ROOT, decodeURIComponent(pathname));
+        if (origin !== HARNESS_ORIGIN || !file.startsWith(REPO_ROOT) || !fs.existsSync(file)) {
+            return Promise.reject(new Error(`Not in the repository: ${url}`));
+        }
+        return Promise.resolve(fs.readFileSync(file));
+    }
+}
+
+/**
+ * Fills in the browser APIs the content scripts use that jsdom lacks: layout-based
+ * innerText, scrolling and intersection observers
+ * @param {Window} frameWindow - A fixture's window
+ */
+function fillInBrowserApis(frameWindow) {
+    Object.defineProperty(frameWindow.HTMLElement.prototype, 'innerText', {
+        get() { return this.textContent; },
+        set(value) { this.textContent = value; }
+    });
+    frameWindow.HTMLElement.prototype.scrollIntoView = () => {};
+    frameWindow.Element.prototype.scrollTo = () => {};
+    frameWindow.scrollTo = () => {};
+    frameWindow.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+}
+
+/**
+ * Loads the harness's scripts, without its page, which would run every scenario at once
+ * @returns {Promise<JSDOM>} The harness document
+ */
+async function loadHarness() {
+    const scripts = ['../provider-configs.js', '../settings.js', 'scenarios.js', 'harness.js']
+        .map(src => `<script src="${src}"></script>`)
+        .join('');
+    const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${scripts}</body></html>`, {
+        url: `${HARNESS_ORIGIN}/harness/replay.html`,
+        runScripts: 'dangerously',
+        resources: new RepositoryLoader(),
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole() // The content scripts log every scan
+    });
+    await new Promise(resolve => dom.window.addEventListener('load', resolve, { once: true }));
+    return dom;
+}
+
+describe('replay harness', async () => {
+    const dom = await loadHarness();
+    const harnessWindow = dom.window;
+    const manifest = JSON.parse(fs.readFileSync(path.join(REPO_ROOT, 'manifest.json'), 'utf8'));
+
+    after(() => harnessWindow.close());
+
+    // Top-level constants of the harness scripts are not properties of its window
+    harnessWindow.eval('REPLAY_SCENARIOS').forEach(scenario => {
+        it(`${scenario.name} (${scenario.fixture})`, async () => {
+            const resultElement = harnessWindow.document.createElement('li');
+            resultElement.innerHTML = '<span class="harness-status"></span><pre class="harness-message"></pre>';
+            harnessWindow.document.body.appendChild(resultElement);
+
+            const passed = await harnessWindow.runScenario(scenario, manifest, resultElement, fillInBrowserApis);
+            assert.ok(passed, resultElement.querySelector('.harness-message').textContent);
+        });
+    });
+});
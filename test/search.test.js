@@ -0,0 +1,112 @@
+// search.test.js - Fuzzy matching and search operators (search.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FuzzySearch, SearchQuery } = require('../search.js');
+
+describe('FuzzySearch', () => {
+    it('splits a search into unique lowercase terms', () => {
+        assert.deepEqual(FuzzySearch.tokenize('  Python python  Lists '), ['python', 'lists']);
+        assert.deepEqual(FuzzySearch.tokenize(''), []);
+    });
+
+    it('counts a swap of neighbouring letters as one edit', () => {
+        assert.equal(FuzzySearch.editDistance('revesre', 'reverse', 2), 1);
+        assert.equal(FuzzySearch.editDistance('kitten', 'sitting', 3), 3);
+        assert.equal(FuzzySearch.editDistance('kitten', 'sitting', 1), 2); // Stops past the limit
+    });
+
+    it('ranks whole words above parts of words above typos', () => {
+        assert.equal(FuzzySearch.findTerm('list', 'Reverse a list').quality, 3);
+        assert.equal(FuzzySearch.findTerm('list', 'Reverse the lists').quality, 2);
+        assert.equal(FuzzySearch.findTerm('revrse', 'Reverse a list').quality, 0.7);
+        assert.deepEqual(FuzzySearch.findTerm('list', 'list, then list').ranges, [[0, 4], [11, 15]]);
+    });
+
+    it('allows no typos in short terms', () => {
+        assert.equal(FuzzySearch.findTerm('lst', 'Reverse a list'), null);
+    });
+
+    it('needs every term to match some field', () => {
+        const fields = { text: { text: 'How do I reverse a list?', weight: 1 }, note: { text: 'python', weight: 2 } };
+        assert.ok(FuzzySearch.match(['reverse', 'python'], fields));
+        assert.equal(FuzzySearch.match(['reverse', 'string'], fields), null);
+    });
+});
+
+describe('SearchQuery.parse', () => {
+    it('separates terms, phrases, regexes, exclusions and filters', () => {
+        const parsed = SearchQuery.parse('reverse "a list" /rev.rse/ -string role:user -has:code pinned');
+
+        assert.deepEqual(parsed.terms, ['reverse']);
+        assert.deepEqual(parsed.phrases, ['a list']);
+        assert.deepEqual(parsed.regexes.map(String), ['/rev.rse/gi']);
+        assert.deepEqual(parsed.excluded.terms, ['string']);
+        assert.deepEqual(parsed.filters, [
+            { key: 'role', value: 'user', negated: false },
+            { key: 'has', value: 'code', negated: true },
+            { key: 'pinned', value: true, negated: false }
+        ]);
+        assert.deepEqual(parsed.errors, []);
+        assert.equal(parsed.isEmpty, false);
+    });
+
+    it('keeps the flags given with a regex', () => {
+        assert.deepEqual(SearchQuery.parse('/Foo/m').regexes.map(String), ['/Foo/gm']);
+    });
+
+    it('treats slash tokens that are not regexes as phrases', () => {
+        const parsed = SearchQuery.parse('run /usr/bin/env -/tmp');
+
+        assert.deepEqual(parsed.terms, ['run']);
+        assert.deepEqual(parsed.phrases, ['/usr/bin/env']);
+        assert.deepEqual(parsed.excluded.phrases, ['/tmp']);
+        assert.deepEqual(parsed.regexes, []);
+        assert.deepEqual(parsed.errors, []);
+    });
+
+    it('reports invalid regexes and operator values', () => {
+        assert.deepEqual(SearchQuery.parse('/(/').errors, ['Invalid regular expression: /(/']);
+        assert.equal(SearchQuery.parse('role:robot').errors.length, 1);
+        assert.equal(SearchQuery.parse('after:yesterday').errors.length, 1);
+    });
+
+    it('parses absolute and relative dates', () => {
+        assert.equal(SearchQuery.parseDate('2024-05-01'), new Date(2024, 4, 1).getTime());
+
+        const weekAgo = new Date();
+        weekAgo.setHours(0, 0, 0, 0);
+        weekAgo.setDate(weekAgo.getDate() - 7);
+        assert.equal(SearchQuery.parseDate('1w'), weekAgo.getTime());
+        assert.equal(SearchQuery.parseDate('soon'), null);
+    });
+
+    it('is empty for a blank search', () => {
+        assert.equal(SearchQuery.parse('   ').isEmpty, true);
+    });
+});
+
+describe('SearchQuery.evaluate', () => {
+    const fields = { text: { text: 'Run /usr/bin/python3 to reverse the list', weight: 1 } };
+    const facts = { role: 'assistant', hasCode: true, hasLink: false, hasTable: false, languages: ['python'], pinned: false, timestamp: Date.now() };
+    const evaluate = query => SearchQuery.evaluate(SearchQuery.parse(query), fields, facts);
+
+    it('matches terms, phrases and regexes', () => {
+        assert.ok(evaluate('reverse'));
+        assert.ok(evaluate('/usr/bin'));
+        assert.ok(evaluate('/python\\d/'));
+        assert.equal(evaluate('"reverse a list"'), null);
+    });
+
+    it('applies exclusions and filters', () => {
+        assert.equal(evaluate('reverse -list'), null);
+        assert.ok(evaluate('role:assistant has:code lang:python'));
+        assert.equal(evaluate('role:user'), null);
+        assert.equal(evaluate('pinned'), null);
+        assert.ok(evaluate('-pinned'));
+    });
+
+    it('returns the ranges of every match', () => {
+        assert.deepEqual(evaluate('list /usr/').ranges.text, [[5, 8], [36, 40]]);
+    });
+});
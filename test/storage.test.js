@@ -0,0 +1,110 @@
+// storage.test.js - Schema migrations and eviction of NavigationStore (storage.js)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { NavigationStore } = require('../storage.js');
+
+describe('NavigationStore.migrateRecord', () => {
+    const v1Record = {
+        schemaVersion: 1,
+        provider: 'ChatGPT',
+        conversationId: '/c/abc123',
+        queries: [
+            {
+                id: 'query-1',
+                elementId: 'ai-nav-query-1',
+                text: 'How do I reverse a list?',
+                timestamp: 1,
+                index: 0,
+                response: { elementId: 'ai-nav-response-1', text: 'Use slicing.', timestamp: 2 }
+            },
+            { id: 'query-2', elementId: 'ai-nav-query-2', text: 'And a string?', timestamp: 3, index: 1 }
+        ],
+        activeItemKey: null,
+        collapsed: true,
+        lastAccessed: 4
+    };
+
+    it('upgrades a v1 record to the current schema', () => {
+        const record = NavigationStore.migrateRecord(JSON.parse(JSON.stringify(v1Record)));
+
+        assert.equal(record.schemaVersion, 4);
+        assert.deepEqual(record.pins, []); // v2
+        assert.deepEqual(record.notes, []); // v3
+        assert.equal(record.provider, 'ChatGPT');
+        assert.equal(record.lastAccessed, 4);
+    });
+
+    it('marks queries for matching by text and drops element IDs (v4)', () => {
+        const record = NavigationStore.migrateRecord(JSON.parse(JSON.stringify(v1Record)));
+
+        assert.deepEqual(record.queries, [
+            {
+                id: 'query-1',
+                text: 'How do I reverse a list?',
+                timestamp: 1,
+                index: 0,
+                legacy: true,
+                response: { text: 'Use slicing.', timestamp: 2 }
+            },
+            { id: 'query-2', text: 'And a string?', timestamp: 3, index: 1, legacy: true }
+        ]);
+    });
+
+    it('keeps pins and notes added by earlier migrations', () => {
+        const pins = [{ type: 'query', text: 'And a string?', pinnedAt: 5 }];
+        const notes = [{ type: 'response', text: 'How do I reverse a list?', note: 'Copies', updatedAt: 6 }];
+        const record = NavigationStore.migrateRecord({ ...v1Record, schemaVersion: 3, pins, notes });
+
+        assert.equal(record.schemaVersion, 4);
+        assert.deepEqual(record.pins, pins);
+        assert.deepEqual(record.notes, notes);
+    });
+
+    it('leaves a current record as it is', () => {
+        const record = { ...v1Record, schemaVersion: 4, queries: [], pins: [], notes: [] };
+        assert.equal(NavigationStore.migrateRecord(record), record);
+    });
+
+    it('ignores records it cannot read', () => {
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            assert.equal(NavigationStore.migrateRecord(null), null);
+            assert.equal(NavigationStore.migrateRecord('record'), null);
+            assert.equal(NavigationStore.migrateRecord({ ...v1Record, schemaVersion: 99 }), null);
+            assert.equal(NavigationStore.migrateRecord({ ...v1Record, schemaVersion: undefined }), null);
+        } finally {
+            console.warn = warn;
+        }
+    });
+});
+
+describe('NavigationStore.selectEvictions', () => {
+    const buildIndex = (count, bytes) => {
+        const index = {};
+        for (let i = 0; i < count; i++) {
+            index[`ai-nav:conv:ChatGPT:/c/${i}`] = { lastAccessed: 1000 + i, bytes };
+        }
+        return index;
+    };
+
+    it('evicts nothing under the caps', () => {
+        assert.deepEqual(NavigationStore.selectEvictions(buildIndex(10, 100)), []);
+    });
+
+    it('evicts the least recently used conversations beyond the count cap', () => {
+        const evicted = NavigationStore.selectEvictions(buildIndex(202, 100));
+        assert.deepEqual(evicted, ['ai-nav:conv:ChatGPT:/c/0', 'ai-nav:conv:ChatGPT:/c/1']);
+    });
+
+    it('evicts until the total size fits', () => {
+        const evicted = NavigationStore.selectEvictions(buildIndex(5, 1024 * 1024));
+        assert.deepEqual(evicted, ['ai-nav:conv:ChatGPT:/c/0']);
+    });
+
+    it('never evicts the conversations just written', () => {
+        const evicted = NavigationStore.selectEvictions(buildIndex(202, 100), ['ai-nav:conv:ChatGPT:/c/0']);
+        assert.deepEqual(evicted, ['ai-nav:conv:ChatGPT:/c/1', 'ai-nav:conv:ChatGPT:/c/2']);
+    });
+});
@@ -0,0 +1,254 @@
+// viewer.js - Opens conversations saved in the JSON format and shows them with the navigation sidebar
+
+// Elements and attributes never rendered from a saved file
+const VIEWER_BLOCKED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'link', 'meta', 'base', 'form', 'input', 'button', 'textarea', 'select'];
+
+/**
+ * Parses saved HTML and strips anything active, leaving only formatting
+ * @param {string} html - HTML from a saved turn
+ * @returns {DocumentFragment} The sanitized content
+ */
+function sanitizeTurnHtml(html) {
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+
+    parsed.body.querySelectorAll(VIEWER_BLOCKED_TAGS.join(',')).forEach(element => element.remove());
+    parsed.body.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            const value = attribute.value.trim().toLowerCase();
+            if (name.startsWith('on') || ((name === 'href' || name === 'src') && value.startsWith('javascript:'))) {
+                element.removeAttribute(attribute.name);
+            }
+        });
+        if (element.tagName === 'A') {
+            element.target = '_blank';
+            element.rel = 'noopener noreferrer';
+        }
+    });
+
+    const fragment = document.createDocumentFragment();
+    Array.from(parsed.body.childNodes).forEach(node => fragment.appendChild(document.importNode(node, true)));
+    return fragment;
+}
+
+/**
+ * Gets the identity the sidebar knows a saved turn by (see ViewerProvider.getTurnId)
+ * @param {Object} turn - A turn from the conversation file
+ * @returns {string} The identity
+ */
+function getViewerTurnId(turn) {
+    return `saved-turn-${turn.index}`;
+}
+
+/**
+ * Creates the element for one saved turn
+ * @param {Object} turn - A turn from the conversation file
+ * @param {string} providerName - The provider the conversation came from
+ * @returns {HTMLElement} The turn element
+ */
+function renderTurn(turn, providerName) {
+    const turnElement = document.createElement('article');
+    turnElement.className = 'viewer-turn';
+    turnElement.dataset.role = turn.role;
+    turnElement.dataset.turnText = turn.text;
+    // A question and its answer share an index, and with it the identity of their turn
+    turnElement.dataset.turnId = getViewerTurnId(turn);
+    turnElement.id = `viewer-turn-${turn.id || `${turn.index}-${turn.role}`}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'viewer-turn-meta';
+    const parts = [`${turn.index}. ${turn.role === 'user' ? 'You' : providerName}`];
+    if (turn.branch) {
+        parts.push(`version ${turn.branch.index} of ${turn.branch.count}`);
+    }
+    if (turn.firstSeenAt) {
+        parts.push(new Date(turn.firstSeenAt).toLocaleString());
+    }
+    meta.textContent = parts.join(' · ');
+    if (turn.pinned) {
+        const pinned = document.createElement('span');
+        pinned.className = 'viewer-pinned';
+        pinned.textContent = ' ★ pinned';
+        meta.appendChild(pinned);
+    }
+    turnElement.appendChild(meta);
+
+    const content = document.createElement('div');
+    content.className = 'viewer-turn-content';
+    if (turn.html) {
+        content.appendChild(sanitizeTurnHtml(turn.html));
+    } else {
+        content.classList.add('plain-text');
+        content.textContent = turn.text;
+    }
+    turnElement.appendChild(content);
+
+    if (turn.note) {
+        const note = document.createElement('div');
+        note.className = 'viewer-turn-note';
+        note.textContent = turn.note;
+        turnElement.appendChild(note);
+    }
+
+    if (turn.versions && turn.versions.length > 0) {
+        turnElement.appendChild(renderSavedTurnVersions(turn.versions));
+    }
+
+    return turnElement;
+}
+
+/**
+ * Creates the collapsed list of the other versions of an edited or regenerated turn, as plain text
+ * @param {Array<Object>} versions - The turn's versions from the conversation file
+ * @returns {HTMLElement} The list
+ */
+function renderSavedTurnVersions(versions) {
+    const details = document.createElement('details');
+    details.className = 'viewer-turn-versions';
+    const summary = document.createElement('summary');
+    summary.textContent = `${versions.length} other version${versions.length === 1 ? '' : 's'}`;
+    details.appendChild(summary);
+
+    versions.forEach(version => {
+        const entry = document.createElement('div');
+        entry.className = 'viewer-turn-version';
+        const label = document.createElement('div');
+        label.className = 'viewer-turn-meta';
+        label.textContent = version.branch ? `Version ${version.branch}` : 'Earlier version';
+        const text = document.createElement('div');
+        text.className = 'viewer-turn-content plain-text';
+        text.textContent = version.text;
+        entry.append(label, text);
+
+        // An earlier question comes with the response it got
+        if (version.response) {
+            const response = document.createElement('div');
+            response.className = 'viewer-turn-content plain-text viewer-turn-version-response';
+            response.textContent = version.response;
+            entry.appendChild(response);
+        }
+        details.appendChild(entry);
+    });
+    return details;
+}
+
+/**
+ * Stores the file's pins and notes as the sidebar state for this conversation,
+ * so the sidebar shows them once it processes the rendered turns
+ * @param {Object} conversation - The parsed conversation
+ * @param {string} conversationId - ID the viewer provider reports for it
+ */
+async function seedNavigationState(conversation, conversationId) {
+    const store = new NavigationStore();
+    const record = await store.load(new ViewerProvider().name, conversationId, { collapsed: false });
+
+    // Pins and notes are matched by the identity of the question they belong to; the text is kept with them
+    const questionTexts = new Map();
+    conversation.turns.forEach(turn => {
+        if (turn.role === 'user') questionTexts.set(turn.index, turn.text.trim());
+    });
+
+    record.pins = [];
+    record.notes = [];
+    conversation.turns.forEach(turn => {
+        const text = questionTexts.get(turn.index);
+        if (!text) return;
+
+        const type = turn.role === 'user' ? 'query' : 'response';
+        if (turn.pinned) {
+            record.pins.push({ type, turnId: getViewerTurnId(turn), text, pinnedAt: Date.now() });
+        }
+        if (turn.note) {
+            record.notes.push({ type, turnId: getViewerTurnId(turn), text, note: turn.note, updatedAt: Date.now() });
+        }
+    });
+    record.title = conversation.title;
+
+    store.save(record);
+    await store.flush();
+}
+
+/**
+ * Renders a parsed conversation and hands it to the navigation sidebar
+ * @param {Object} conversation - The parsed conversation
+ */
+async function showConversation(conversation) {
+    document.title = `${conversation.title || 'Saved conversation'} - AI Chat Navigator`;
+    document.getElementById('viewer-title').textContent = conversation.title || 'Saved conversation';
+
+    const meta = document.getElementById('viewer-meta');
+    meta.textContent = `${conversation.provider} · exported ${conversation.exportedAt ? new Date(conversation.exportedAt).toLocaleString() : 'at an unknown time'} · `;
+    if (conversation.url && /^https?:/.test(conversation.url)) {
+        const link = document.createElement('a');
+        link.href = conversation.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = conversation.url;
+        meta.appendChild(link);
+    }
+
+    const container = document.getElementById('viewer-conversation');
+    container.innerHTML = '';
+    conversation.turns.forEach(turn => container.appendChild(renderTurn(turn, conversation.provider)));
+
+    const conversationId = `${conversation.provider}:${conversation.url || conversation.title}`;
+    await seedNavigationState(conversation, conversationId);
+
+    document.body.dataset.conversationLoaded = 'true';
+    document.body.classList.add('viewer-loaded');
+    window.location.hash = encodeURIComponent(conversationId);
+
+    // content.js is loaded on this page too - start it, or point it at the new conversation
+    if (!currentProvider) {
+        init();
+    } else {
+        handleUrlChange();
+    }
+}
+
+/**
+ * Reads a conversation file chosen or dropped by the user
+ * @param {File} file - The file
+ */
+async function openConversationFile(file) {
+    const errorElement = document.getElementById('viewer-error');
+    errorElement.textContent = '';
+
+    try {
+        const conversation = ConversationExporter.fromJSON(await file.text());
+        await showConversation(conversation);
+        console.log(`AI Navigator: Opened saved conversation with ${conversation.turns.length} turns`);
+    } catch (error) {
+        console.error('AI Navigator: Could not open conversation file:', error);
+        errorElement.textContent = `Could not open ${file.name}: ${error.message}`;
+    }
+}
+
+/**
+ * Initializes the viewer page
+ */
+function initViewer() {
+    const fileInput = document.getElementById('viewer-file');
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) {
+            openConversationFile(fileInput.files[0]);
+        }
+    });
+
+    const dropZone = document.getElementById('viewer-drop');
+    document.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        dropZone.classList.add('dragging');
+    });
+    document.addEventListener('dragleave', () => dropZone.classList.remove('dragging'));
+    document.addEventListener('drop', (event) => {
+        event.preventDefault();
+        dropZone.classList.remove('dragging');
+        const file = event.dataTransfer.files[0];
+        if (file) {
+            openConversationFile(file);
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initViewer);